@@ -1047,6 +1047,24 @@ var afio = (function () {
                 return fileContent; // Returns base64 data URL
             }
 
+            // The virtual file system keeps images written by
+            // writeImageToFile() as JSON of their imageData
+            if (backend === BACKEND_VIRTUAL) {
+                const result = await callFileIO('readTextFile', {
+                    method: 'readTextFile',
+                    node: node
+                });
+                let imageData = null;
+                try {
+                    imageData = JSON.parse(result.data);
+                } catch (e) {
+                    // not an image
+                }
+                if (imageData && imageData.image && imageData.encoding && imageData.mimeType) {
+                    return 'data:' + imageData.mimeType + ';' + imageData.encoding + ',' + imageData.image;
+                }
+            }
+
             // Fallback: try to read as text and assume it's already base64
             // or use the file path directly as image source
             const filePath = node._path;
@@ -4,36 +4,131 @@
  */
 var CsvParser = (function() {
     'use strict';
+
+    // !DATASOURCE_ENCODING names and their TextDecoder labels
+    const ENCODINGS = {
+        'utf-8': 'utf-8', 'utf8': 'utf-8',
+        'utf-16': 'utf-16le', 'utf-16le': 'utf-16le', 'utf-16be': 'utf-16be',
+        'shift_jis': 'shift_jis', 'shift-jis': 'shift_jis', 'sjis': 'shift_jis',
+        'cp932': 'shift_jis', 'windows-31j': 'shift_jis',
+        'euc-jp': 'euc-jp', 'eucjp': 'euc-jp',
+        'windows-1252': 'windows-1252', 'cp1252': 'windows-1252',
+        'latin1': 'windows-1252', 'iso-8859-1': 'windows-1252'
+    };
+    const DELIMITERS = [',', '\t', ';', '|'];
+
     return {
         parse: function(text, delimiter) {
-            const cleanText = text
-                .replace(/^\uFEFF/, '') // drop UTF-8/UTF-16 BOM
-                .replace(/\r\n/g, '\n')
-                .replace(/\r/g, '\n');
-            const sep = delimiter || this._guessDelimiter(cleanText);
+            const cleanText = text.replace(/^\uFEFF/, ''); // drop UTF-8/UTF-16 BOM
+            const sep = delimiter || this._guessDelimiter(cleanText.replace(/\r\n?/g, '\n'));
             const rows = [];
-            let currentRow = [], currentVal = '', insideQuote = false;
-            
+            let currentRow = [], currentVal = '', insideQuote = false, fieldStart = true, quoteClosed = false;
+
             for (let i = 0; i < cleanText.length; i++) {
                 const char = cleanText[i], next = cleanText[i+1];
-                if (char === '"') {
-                    if (insideQuote && next === '"') { currentVal += '"'; i++; }
-                    else insideQuote = !insideQuote;
-                } else if (char === sep && !insideQuote) {
-                    currentRow.push(currentVal); currentVal = '';
-                } else if (char === '\n' && !insideQuote) {
-                    currentRow.push(currentVal); rows.push(currentRow); currentRow = []; currentVal = '';
-                } else currentVal += char;
+                // blanks around a quoted field and before an unquoted one
+                // are dropped, as in a, b or a, "b" ,c
+                if ((fieldStart || quoteClosed) && /[ \t\v]/.test(char)) continue;
+                if (insideQuote) {
+                    if (char !== '"') currentVal += char; // line breaks in quotes are kept as they are
+                    else if (next === '"') { currentVal += '"'; i++; }
+                    else { insideQuote = false; quoteClosed = true; }
+                } else if (char === sep) {
+                    currentRow.push(currentVal); currentVal = ''; fieldStart = true; quoteClosed = false;
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && next === '\n') i++;
+                    currentRow.push(currentVal); rows.push(currentRow); currentRow = []; currentVal = ''; fieldStart = true; quoteClosed = false;
+                } else if (char === '"' && fieldStart) {
+                    // only a quote that starts the field quotes it, as in 55" wide
+                    insideQuote = true; fieldStart = false;
+                } else { currentVal += char; fieldStart = false; quoteClosed = false; }
             }
             if (currentVal || currentRow.length > 0) { currentRow.push(currentVal); rows.push(currentRow); }
             return rows;
         },
+        // Picks the candidate found outside quotes the same number of times
+        // on each of the first lines, or the most frequent one on the first line
         _guessDelimiter: function(text) {
-            const firstLine = text.split('\n')[0];
-            const c = (firstLine.match(/,/g)||[]).length, t = (firstLine.match(/\t/g)||[]).length, s = (firstLine.match(/;/g)||[]).length;
-            if (t > c && t > s) return '\t';
-            if (s > c && s > t) return ';';
-            return ',';
+            const lines = [];
+            let counts = DELIMITERS.map(() => 0), insideQuote = false, fieldStart = true;
+            for (let i = 0; i < text.length && lines.length < 10; i++) {
+                const char = text[i];
+                if (insideQuote) { if (char === '"') { if (text[i+1] === '"') i++; else insideQuote = false; } }
+                else if (char === '"' && fieldStart) insideQuote = true;
+                else if (char === '\n') { lines.push(counts); counts = DELIMITERS.map(() => 0); }
+                else if (DELIMITERS.indexOf(char) !== -1) counts[DELIMITERS.indexOf(char)]++;
+                // a quote opens a field at the line start or after a candidate
+                if (!insideQuote && !/[ \t\v]/.test(char))
+                    fieldStart = char === '\n' || DELIMITERS.indexOf(char) !== -1;
+            }
+            if (lines.length < 10 && counts.some(n => n)) lines.push(counts);
+            if (!lines.length) return ',';
+
+            let best = -1, bestConsistent = false;
+            DELIMITERS.forEach((d, k) => {
+                const n = lines[0][k];
+                if (!n) return;
+                const consistent = lines.every(line => line[k] === n);
+                if (best === -1 || (consistent && !bestConsistent) ||
+                    (consistent === bestConsistent && n > lines[0][best])) {
+                    best = k; bestConsistent = consistent;
+                }
+            });
+            return best === -1 ? ',' : DELIMITERS[best];
+        },
+        // TextDecoder label of an encoding name, null if not supported
+        normalizeEncoding: function(name) {
+            return ENCODINGS[String(name).trim().toLowerCase()] || null;
+        },
+        // Guesses the encoding of raw file bytes: BOM, UTF-16 zero bytes,
+        // valid UTF-8, Shift_JIS/EUC-JP byte patterns and finally Windows-1252
+        detectEncoding: function(bytes) {
+            if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+            if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+            if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+            const len = Math.min(bytes.length, 1024) & ~1;
+            let evenZeros = 0, oddZeros = 0;
+            for (let i = 0; i < len; i += 2) {
+                if (bytes[i] === 0) evenZeros++;
+                if (bytes[i+1] === 0) oddZeros++;
+            }
+            if (oddZeros > len / 4 && !evenZeros) return 'utf-16le';
+            if (evenZeros > len / 4 && !oddZeros) return 'utf-16be';
+
+            if (this._tryDecode(bytes, 'utf-8') !== null) return 'utf-8';
+            // 0x81-0x9F lead bytes only occur in Shift_JIS, EUC-JP uses
+            // 0x8E/0x8F for half-width kana and JIS X 0212
+            let sjis = false;
+            for (let i = 0; i < bytes.length; i++) {
+                if (bytes[i] >= 0x81 && bytes[i] <= 0x9F && bytes[i] !== 0x8E && bytes[i] !== 0x8F) {
+                    sjis = true; break;
+                }
+            }
+            const candidates = sjis ? ['shift_jis', 'euc-jp'] : ['euc-jp', 'shift_jis'];
+            for (const encoding of candidates) {
+                if (this._tryDecode(bytes, encoding) !== null) return encoding;
+            }
+            return 'windows-1252';
+        },
+        // Decodes raw file bytes, encoding is a TextDecoder label or empty to detect it
+        decode: function(bytes, encoding) {
+            const enc = encoding || this.detectEncoding(bytes);
+            return { text: new TextDecoder(enc).decode(bytes), encoding: enc };
+        },
+        // Bytes of a base64 data URL as returned by afio.readBinaryFile()
+        dataUrlToBytes: function(url) {
+            const binary = atob(url.substring(url.indexOf(',') + 1));
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+            return bytes;
+        },
+        _tryDecode: function(bytes, encoding) {
+            try {
+                return new TextDecoder(encoding, { fatal: true }).decode(bytes);
+            } catch (e) {
+                return null;
+            }
         }
     };
 })();
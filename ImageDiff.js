@@ -0,0 +1,41 @@
+/**
+ * ImageDiff.js
+ * Pixel comparison of two RGBA images for ASSERT SCREENSHOT
+ */
+var ImageDiff = (function() {
+    'use strict';
+
+    // largest channel difference of pixels counted as equal, it hides
+    // antialiasing and image compression noise
+    const THRESHOLD = 16;
+
+    return {
+        THRESHOLD: THRESHOLD,
+        // Compares RGBA pixel arrays of images of the same size. Returns the
+        // number of different pixels and the diff image: a faded copy of the
+        // baseline with the different pixels in red
+        compare: function(baseline, actual, threshold) {
+            const limit = typeof threshold === 'number' ? threshold : THRESHOLD;
+            const pixels = new Uint8ClampedArray(baseline.length);
+            let count = 0;
+            for (let i = 0; i < baseline.length; i += 4) {
+                const delta = Math.max(
+                    Math.abs(baseline[i] - actual[i]),
+                    Math.abs(baseline[i+1] - actual[i+1]),
+                    Math.abs(baseline[i+2] - actual[i+2]),
+                    Math.abs(baseline[i+3] - actual[i+3]));
+                if (delta > limit) {
+                    count++;
+                    pixels[i] = 255; pixels[i+1] = 0; pixels[i+2] = 0;
+                } else {
+                    const gray = (baseline[i] * 299 + baseline[i+1] * 587 + baseline[i+2] * 114) / 1000;
+                    pixels[i] = pixels[i+1] = pixels[i+2] = 255 - (255 - gray) / 4;
+                }
+                pixels[i+3] = 255;
+            }
+            return { count: count, total: baseline.length / 4, pixels: pixels };
+        }
+    };
+})();
+if (typeof window !== 'undefined') window.ImageDiff = ImageDiff;
+if (typeof self !== 'undefined') self.ImageDiff = ImageDiff;
@@ -0,0 +1,62 @@
+/**
+ * SuiteReport.js
+ * JSON and HTML summaries of the macros played by RUNSUITE
+ */
+var SuiteReport = (function() {
+    'use strict';
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    const STYLE =
+        'body{font:14px sans-serif;margin:2em}' +
+        'table{border-collapse:collapse}' +
+        'th,td{border:1px solid #ccc;padding:4px 8px;text-align:left}' +
+        '.passed{color:#1a7f37}.failed{color:#cf222e}.skipped{color:#6e7781}';
+
+    return {
+        // @summary is {suite, folder, started, duration, macros}, macros being
+        // {name, path, status, duration, errorCode, error, line}; the counts
+        // of passed, failed and skipped macros are added
+        summarize: function(summary) {
+            const count = status => summary.macros.filter(m => m.status == status).length;
+            return Object.assign({}, summary, {
+                total: summary.macros.length,
+                passed: count('passed'),
+                failed: count('failed'),
+                skipped: count('skipped')
+            });
+        },
+
+        toJSON: function(summary) {
+            return JSON.stringify(this.summarize(summary), null, 2) + '\n';
+        },
+
+        toHTML: function(summary) {
+            const s = this.summarize(summary);
+            const rows = s.macros.map(m =>
+                '<tr class="' + m.status + '"><td>' + escapeHtml(m.name) + '</td>' +
+                '<td>' + m.status + '</td>' +
+                '<td>' + m.duration.toFixed(3) + '</td>' +
+                '<td>' + escapeHtml(m.line) + '</td>' +
+                '<td>' + escapeHtml(m.error) + '</td></tr>');
+            return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+                '<title>' + escapeHtml(s.suite) + '</title>\n' +
+                '<style>' + STYLE + '</style>\n</head>\n<body>\n' +
+                '<h1>' + escapeHtml(s.suite) + '</h1>\n' +
+                '<p>' + escapeHtml(s.folder) + ', started ' + escapeHtml(s.started) +
+                ', ' + s.duration.toFixed(3) + ' s</p>\n' +
+                '<p><span class="passed">' + s.passed + ' passed</span>, ' +
+                '<span class="failed">' + s.failed + ' failed</span>' +
+                (s.skipped ? ', <span class="skipped">' + s.skipped + ' not played</span>' : '') +
+                ' of ' + s.total + ' macros</p>\n' +
+                '<table>\n<tr><th>Macro</th><th>Result</th><th>Seconds</th>' +
+                '<th>Error line</th><th>Error</th></tr>\n' +
+                rows.join('\n') + '\n</table>\n</body>\n</html>\n';
+        }
+    };
+})();
+if (typeof window !== 'undefined') window.SuiteReport = SuiteReport;
+if (typeof self !== 'undefined') self.SuiteReport = SuiteReport;
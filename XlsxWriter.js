@@ -0,0 +1,152 @@
+/**
+ * XlsxWriter.js
+ * Minimal single-sheet XLSX (Office Open XML) workbook writer
+ */
+var XlsxWriter = (function() {
+    'use strict';
+
+    const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // A1 style column name of a 0-based index
+    function columnName(index) {
+        let name = '';
+        for (index++; index > 0; index = Math.floor((index - 1) / 26)) {
+            name = String.fromCharCode(65 + (index - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    // numbers without leading zeros are stored as numbers, anything else as text
+    function cellXml(value, ref) {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (/^-?(?:0|[1-9]\d{0,14})(?:\.\d+)?$/.test(text)) {
+            return '<c r="' + ref + '"><v>' + text + '</v></c>';
+        }
+        return '<c r="' + ref + '" t="inlineStr"><is><t xml:space="preserve">' +
+            escapeXml(text) + '</t></is></c>';
+    }
+
+    function sheetXml(rows) {
+        const body = rows.map((row, r) =>
+            '<row r="' + (r + 1) + '">' +
+            row.map((value, c) => cellXml(value, columnName(c) + (r + 1))).join('') +
+            '</row>').join('');
+        return XML_HEADER +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetData>' + body + '</sheetData></worksheet>';
+    }
+
+    function workbookFiles(rows, sheetName) {
+        return [
+            ['[Content_Types].xml', XML_HEADER +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>'],
+            ['_rels/.rels', XML_HEADER +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'],
+            ['xl/workbook.xml', XML_HEADER +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets><sheet name="' + escapeXml(sheetName) + '" sheetId="1" r:id="rId1"/></sheets>' +
+                '</workbook>'],
+            ['xl/_rels/workbook.xml.rels', XML_HEADER +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>'],
+            ['xl/worksheets/sheet1.xml', sheetXml(rows)]
+        ];
+    }
+
+    // ZIP archive with uncompressed (stored) entries
+    function zip(files) {
+        const encoder = new TextEncoder();
+        const chunks = [], central = [];
+        let offset = 0;
+        files.forEach(([name, content]) => {
+            const nameBytes = encoder.encode(name), data = encoder.encode(content);
+            const crc = crc32(data);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, nameBytes.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+        const centralSize = central.reduce((n, chunk) => n + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = chunks.concat(central, [new Uint8Array(end.buffer)]);
+        const out = new Uint8Array(offset + centralSize + 22);
+        let pos = 0;
+        parts.forEach(part => { out.set(part, pos); pos += part.length; });
+        return out;
+    }
+
+    return {
+        MIME_TYPE: MIME_TYPE,
+        // Workbook bytes with one sheet holding rows (arrays of cell values)
+        build: function(rows, sheetName) {
+            return zip(workbookFiles(rows, sheetName || 'Sheet1'));
+        },
+        // Base64 of the workbook, as afio.writeImageToFile() expects
+        toBase64: function(bytes) {
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        }
+    };
+})();
+if (typeof window !== 'undefined') window.XlsxWriter = XlsxWriter;
+if (typeof self !== 'undefined') self.XlsxWriter = XlsxWriter;
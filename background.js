@@ -857,6 +857,21 @@ if (chrome.downloads && chrome.downloads.onChanged) {
     });
 }
 
+// Forward JavaScript dialog events of debugged tabs to Offscreen Document for ONDIALOG command support
+if (chrome.debugger && chrome.debugger.onEvent) {
+    chrome.debugger.onEvent.addListener((source, method, params) => {
+        if (method !== 'Page.javascriptDialogOpening') {
+            return;
+        }
+        forwardToOffscreen({
+            type: 'DEBUGGER_EVENT',
+            tabId: source.tabId,
+            method: method,
+            params: params
+        }).catch((error) => logForwardingError('DEBUGGER_EVENT', error));
+    });
+}
+
 // Helper function to execute clipboard write in a tab
 // Helper to check if a tab is usable for clipboard operations (shared by CLIPBOARD_READ/WRITE)
 function isUsableTabForClipboard(tab) {
@@ -1682,6 +1697,37 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return true;
     }
 
+    // --- SCRIPTING_INJECT: Proxy injection of on-demand content scripts from Offscreen Document ---
+    // Only the files listed here can be injected, into the top frame of the tab
+    if (msg.command === 'SCRIPTING_INJECT') {
+        if (!isOffscreenSender) {
+            return rejectInvalidSender();
+        }
+
+        const ON_DEMAND_CONTENT_SCRIPTS = ['content_scripts/crop_tool.js'];
+        const { tabId, file } = msg;
+        if (!isValidTabId(tabId) || !ON_DEMAND_CONTENT_SCRIPTS.includes(file)) {
+            sendResponse({ error: 'invalid input' });
+            return true;
+        }
+        if (!chrome.scripting || !chrome.scripting.executeScript) {
+            sendResponse({ error: 'chrome.scripting not available' });
+            return true;
+        }
+
+        chrome.scripting.executeScript({
+            target: { tabId: tabId, frameIds: [0] },
+            files: [file]
+        }, () => {
+            if (chrome.runtime.lastError) {
+                sendResponse({ error: chrome.runtime.lastError.message });
+            } else {
+                sendResponse({ success: true });
+            }
+        });
+        return true;
+    }
+
     // --- DEBUGGER_ATTACH: Proxy chrome.debugger.attach from Offscreen Document ---
     if (msg.command === 'DEBUGGER_ATTACH') {
         if (!isOffscreenSender) {
@@ -1872,6 +1918,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             'utils.js',
             'errorLogger.js',
             'content_scripts/connector.js',
+            'content_scripts/element_picker.js',
             'content_scripts/recorder.js',
             'content_scripts/player.js'
         ];
@@ -914,6 +914,7 @@ chrome.runtime.onInstalled.addListener(async () => {
         "utils.js",
         "errorLogger.js",
         "content_scripts/connector.js",
+        "content_scripts/element_picker.js",
         "content_scripts/recorder.js",
         "content_scripts/player.js"
     ];
@@ -888,10 +888,13 @@ globalScope.setDefaults = function () {
         "record-mode": "conventional",
         "recording-prefer-id": true,
         "recording-prefer-css-selectors": false,
+        "recording-locators": false,
+        "recording-accessible": false,
         "before-play-dialog": true,
         "dock-panel": false,
         "default-dirs-set": false,
         "profiler-enabled": false,
+        "runlog-enabled": false,
         "replaying-delay": 0,
         "default-timeout": 60
     };
@@ -0,0 +1,106 @@
+/**
+ * element_picker.js
+ * UI for picking an element and one of its locators while recording
+ */
+var ElementPicker = {
+    // Highlights the element under the mouse until it is clicked, then lists
+    // getCandidates(element), an array of {record, quality}, in a menu.
+    // callback gets the chosen candidate, or null if it was cancelled
+    pick: function(getCandidates, callback) {
+        if (window.iMacrosPickActive) { callback(null); return; }
+        window.iMacrosPickActive = true;
+
+        // the menu lives in a shadow root so that page styles don't apply
+        const host = document.createElement('div');
+        Object.assign(host.style, { position:'fixed', top:0, left:0, width:0, height:0, zIndex:2147483647 });
+        const root = host.attachShadow({ mode:'closed' });
+        const box = document.createElement('div');
+        Object.assign(box.style, { position:'fixed', border:'2px solid #0969da', backgroundColor:'rgba(9,105,218,0.1)', pointerEvents:'none', display:'none' });
+        const help = document.createElement('div');
+        help.textContent = 'Click the element to record. ESC to cancel.';
+        Object.assign(help.style, { position:'fixed', top:'10px', left:'50%', transform:'translateX(-50%)', backgroundColor:'rgba(0,0,0,0.7)', color:'white', padding:'5px', font:'12px sans-serif', pointerEvents:'none' });
+        const menu = document.createElement('div');
+        Object.assign(menu.style, { position:'fixed', display:'none', maxWidth:'600px', maxHeight:'50vh', overflow:'auto', backgroundColor:'white', border:'1px solid #888', boxShadow:'0 2px 8px rgba(0,0,0,0.3)', font:'12px monospace', color:'black' });
+        root.appendChild(box);
+        root.appendChild(help);
+        root.appendChild(menu);
+        document.documentElement.appendChild(host);
+
+        let picked = null;
+        const colors = { good:'#1a7f37', fair:'#9a6700', poor:'#cf222e' };
+
+        function outline(element) {
+            const r = element.getBoundingClientRect();
+            Object.assign(box.style, { left:r.left+'px', top:r.top+'px', width:r.width+'px', height:r.height+'px', display:'block' });
+        }
+        function showMenu(element) {
+            const candidates = getCandidates(element);
+            menu.textContent = '';
+            candidates.forEach(candidate => {
+                const item = document.createElement('div');
+                Object.assign(item.style, { padding:'4px 8px', cursor:'pointer', whiteSpace:'nowrap', borderBottom:'1px solid #eee' });
+                const score = document.createElement('span');
+                score.textContent = (candidate.quality.level == 'good' ? '' : '⚠ ') + candidate.quality.score + ' ';
+                Object.assign(score.style, { color:colors[candidate.quality.level], fontWeight:'bold' });
+                item.appendChild(score);
+                item.appendChild(document.createTextNode(candidate.record));
+                item.title = candidate.quality.warnings.join('\n');
+                item.addEventListener('mouseenter', () => { item.style.backgroundColor = '#ddf4ff'; });
+                item.addEventListener('mouseleave', () => { item.style.backgroundColor = ''; });
+                item.addEventListener('click', e => { e.stopPropagation(); cleanup(); callback(candidate); });
+                menu.appendChild(item);
+            });
+            if (!candidates.length) {
+                menu.textContent = 'No locator found for this element.';
+                menu.style.padding = '4px 8px';
+            }
+            const r = element.getBoundingClientRect();
+            Object.assign(menu.style, { left:Math.max(0, Math.min(r.left, window.innerWidth - 600))+'px', display:'block' });
+            if (r.bottom + 200 < window.innerHeight)
+                Object.assign(menu.style, { top:r.bottom+4+'px', bottom:'' });
+            else
+                Object.assign(menu.style, { top:'', bottom:Math.max(0, window.innerHeight - r.top + 4)+'px' });
+        }
+
+        // page elements under the menu still get the events, they are
+        // stopped here so that the page does not react to the picking
+        function onMove(e) {
+            if (picked || e.composedPath().includes(host)) return;
+            outline(e.composedPath()[0].nodeType == 1 ? e.composedPath()[0] : e.target);
+        }
+        function onBlock(e) {
+            if (e.composedPath().includes(host)) return;
+            e.preventDefault(); e.stopImmediatePropagation();
+        }
+        function onClick(e) {
+            if (e.composedPath().includes(host)) return;
+            e.preventDefault(); e.stopImmediatePropagation();
+            const element = e.composedPath()[0].nodeType == 1 ? e.composedPath()[0] : e.target;
+            picked = element;
+            outline(element);
+            showMenu(element);
+        }
+        function onKey(e) {
+            if (e.key !== 'Escape') return;
+            e.preventDefault(); e.stopImmediatePropagation();
+            // the first ESC closes the menu, the second one cancels
+            if (picked) { picked = null; menu.style.display = 'none'; }
+            else { cleanup(); callback(null); }
+        }
+        function cleanup() {
+            window.iMacrosPickActive = false;
+            host.remove();
+            document.removeEventListener('mousemove', onMove, true);
+            document.removeEventListener('mousedown', onBlock, true);
+            document.removeEventListener('mouseup', onBlock, true);
+            document.removeEventListener('click', onClick, true);
+            document.removeEventListener('keydown', onKey, true);
+        }
+
+        document.addEventListener('mousemove', onMove, true);
+        document.addEventListener('mousedown', onBlock, true);
+        document.addEventListener('mouseup', onBlock, true);
+        document.addEventListener('click', onClick, true);
+        document.addEventListener('keydown', onKey, true);
+    }
+};
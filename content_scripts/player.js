@@ -171,12 +171,14 @@ var getSelectorForElement = (el, favorIds) => {
 
 if (typeof FileInputElement === 'undefined') {
     window.FileInputElement = class FileInputElement {
-        // Note: Multiple file selection is not currently supported in CONTENT parameter.
-        // The current implementation assumes CONTENT defines a single file path.
-        // For multiple file uploads, use multiple TAG commands with different files.
+        // CONTENT is a file path, or several separated by "|" for an
+        // input field with the multiple attribute
         constructor(element, txt, favorIds = false) {
             this.selector = getSelectorForElement(element, favorIds)
-            this.files = [txt]
+            this.files = txt.split("|").map(file => file.trim()).filter(Boolean)
+            if (this.files.length > 1 && !element.multiple)
+                throw new RuntimeError("the file input field accepts one file only, " +
+                    this.files.length + " given", 711)
         }
     }
 }
@@ -289,6 +291,65 @@ var TagHandler = {
         return (this.lastNode = null);
     },
 
+    // find every element matching SELECTOR, XPATH or TYPE/ATTR/FORM (POS=ALL)
+    findAll: function (doc, root, args) {
+        if (args.xpath)
+            return this.findAllByXPath(doc, root, args.xpath);
+        if (args.selector)
+            return this.findAllByCSS(doc, args.selector);
+        if (args.role || args.text || args.label)
+            return this.findAllAccessible(doc, args);
+
+        var form_atts = args.form;
+        if (form_atts && form_atts["name"] &&
+            form_atts["name"].exec("NoFormName"))
+            form_atts = null;
+
+        return this.collectElementsDeep(doc, args.tagName).filter(node => {
+            var match = args.atts ? this.match(node, args.atts) : true;
+            if (match && form_atts && node.form)
+                match = this.match(node.form, form_atts);
+            return match;
+        });
+    },
+
+    // find element by TAG LOCATORS=, the first locator matching exactly one
+    // element wins. Returns {element, index, counts}, counts being the
+    // number of elements matched by each locator tried
+    findByLocators: function (doc, root, args) {
+        var counts = [];
+        var accept = node => node.nodeType == Node.ELEMENT_NODE &&
+            (!args.tagName || node.tagName.toLowerCase() == args.tagName) &&
+            (!args.atts || this.match(node, args.atts));
+        for (var i = 0; i < args.locators.length; i++) {
+            var nodes = this.findAllByLocator(doc, root, args.locators[i], accept);
+            if (nodes.length == 1) {
+                this.lastNode = nodes[0];
+                return { element: nodes[0], index: i, counts: counts };
+            }
+            counts.push(nodes.length);
+        }
+        this.lastNode = null;
+        return null;
+    },
+
+    findAllByLocator: function (doc, root, locator, accept) {
+        var attribute = {
+            id: "id", testid: "data-testid", aria: "aria-label", name: "name"
+        };
+        if (locator.kind == "selector")
+            return this.findAllByCSS(doc, locator.value).filter(accept);
+        if (locator.kind == "xpath")
+            return this.findAllByXPath(doc, root, locator.value).filter(accept);
+
+        var nodes = this.collectElementsDeep(doc, "*").filter(accept);
+        if (locator.kind != "txt")
+            return nodes.filter(node => node.hasAttribute(attribute[locator.kind]) &&
+                locator.re.test(node.getAttribute(attribute[locator.kind])));
+        return this.innermost(nodes.filter(node =>
+            locator.re.test(imns.escapeTextContent(node.textContent))));
+    },
+
     // Helper to collect all elements of a certain tag name across all Shadow DOMs
     collectElementsDeep: function (root, tagName) {
         var elements = [];
@@ -355,6 +416,37 @@ var TagHandler = {
         return null;
     },
 
+    // find all elements by XPath, the last part of a Shadow DOM XPath
+    // is evaluated in the shadow root of the host found by the others
+    findAllByXPath: function (doc, root, xpath) {
+        var context = root, evaluator = doc;
+        if (this.hasShadowDelimiter(xpath)) {
+            var parts = this.splitByShadowDelimiter(xpath);
+            xpath = parts.pop();
+            var host = parts.length > 1 ?
+                this.findByXPathInShadowDOM(doc, parts.join(" >> ")) :
+                this.findByXPath(doc, root, parts[0]);
+            if (!host || !host.shadowRoot)
+                return [];
+            context = host.shadowRoot;
+        }
+
+        var nodes = new Array();
+        try {
+            var result = evaluator.evaluate(xpath, context, null,
+                XPathResult.ORDERED_NODE_ITERATOR_TYPE,
+                null);
+            var node = null;
+            while (node = result.iterateNext()) {
+                nodes.push(node);
+            }
+        } catch (e) {
+            throw new RuntimeError("incorrect XPath expression: " + xpath, 781);
+        }
+
+        return nodes;
+    },
+
     // Helper to detect shadow DOM delimiter " >> " while respecting quoted strings
     hasShadowDelimiter: function (str) {
         for (var i = 0, inSingle = false, inDouble = false; i < str.length; i++) {
@@ -479,6 +571,39 @@ var TagHandler = {
         }
     },
 
+    // find all elements by CSS selector, in the light DOM and every
+    // shadow root, or in the shadow root of a " >> " host
+    findAllByCSS: function (doc, selector) {
+        try {
+            if (this.hasShadowDelimiter(selector)) {
+                var parts = this.splitByShadowDelimiter(selector);
+                var last = parts.pop();
+                var host = this.findByCSSInShadowDOM(doc, parts.join(" >> "));
+                if (!host || !host.shadowRoot)
+                    return [];
+                return Array.from(host.shadowRoot.querySelectorAll(last));
+            }
+
+            return this.querySelectorAllDeep(doc, selector);
+        } catch (e) {
+            if (e instanceof RuntimeError)
+                throw e;
+            throw new RuntimeError("incorrect CSS selector: " + selector, 783);
+        }
+    },
+
+    querySelectorAllDeep: function (root, selector) {
+        var elements = Array.from(root.querySelectorAll(selector));
+        var all = root.querySelectorAll('*');
+        for (var i = 0; i < all.length; i++) {
+            if (all[i].shadowRoot)
+                elements = elements.concat(
+                    this.querySelectorAllDeep(all[i].shadowRoot, selector)
+                );
+        }
+        return elements;
+    },
+
     // Helper for deep-searching an element by CSS selector across Shadow DOM boundaries
     querySelectorDeep: function (root, selector) {
         var el = root.querySelector(selector);
@@ -528,6 +653,282 @@ var TagHandler = {
         return currentElement;
     },
 
+    // implicit ARIA roles of HTML elements (HTML-AAM), elements with a role
+    // depending on their attributes are handled in getRole
+    implicitRoles: {
+        article: "article", aside: "complementary", button: "button",
+        dialog: "dialog", fieldset: "group", footer: "contentinfo",
+        form: "form", h1: "heading", h2: "heading", h3: "heading",
+        h4: "heading", h5: "heading", h6: "heading", header: "banner",
+        hr: "separator", li: "listitem", main: "main", menu: "list",
+        nav: "navigation", ol: "list", option: "option",
+        progress: "progressbar", table: "table", td: "cell",
+        textarea: "textbox", tr: "row", ul: "list"
+    },
+
+    // roles whose accessible name is computed from their content
+    nameFromContentRoles: new Set([
+        "button", "cell", "checkbox", "columnheader", "gridcell", "heading",
+        "link", "menuitem", "menuitemcheckbox", "menuitemradio", "option",
+        "radio", "row", "rowheader", "switch", "tab", "tooltip", "treeitem"
+    ]),
+
+    getRole: function (element) {
+        var role = (element.getAttribute("role") || "").trim().split(/\s+/)[0];
+        if (role)
+            return role.toLowerCase();
+        var tagName = element.tagName.toLowerCase();
+        switch (tagName) {
+            case "a": case "area":
+                return element.hasAttribute("href") ? "link" : "";
+            case "img":
+                return element.getAttribute("alt") === "" ? "presentation" : "img";
+            case "select":
+                return element.multiple || element.size > 1 ? "listbox" : "combobox";
+            case "th":
+                return element.getAttribute("scope") == "row" ?
+                    "rowheader" : "columnheader";
+            case "section":
+                return element.hasAttribute("aria-label") ||
+                    element.hasAttribute("aria-labelledby") ? "region" : "";
+            case "input":
+                var type = (element.getAttribute("type") || "text").toLowerCase();
+                if (/^(?:button|submit|reset|image)$/.test(type))
+                    return "button";
+                if (/^(?:checkbox|radio)$/.test(type))
+                    return type;
+                if (type == "range")
+                    return "slider";
+                if (type == "number")
+                    return "spinbutton";
+                if (/^(?:text|search|email|tel|url)$/.test(type))
+                    return element.hasAttribute("list") ? "combobox" :
+                        type == "search" ? "searchbox" : "textbox";
+                return "";
+        }
+        return this.implicitRoles[tagName] || "";
+    },
+
+    // hidden elements are not in the accessibility tree
+    isHidden: function (element) {
+        var view = element.ownerDocument.defaultView;
+        if (view.getComputedStyle(element).visibility == "hidden")
+            return true;
+        for (var e = element; e; e = e.parentElement ||
+            (e.getRootNode() instanceof ShadowRoot ? e.getRootNode().host : null)) {
+            if (e.hidden || e.getAttribute("aria-hidden") == "true" ||
+                view.getComputedStyle(e).display == "none")
+                return true;
+        }
+        return false;
+    },
+
+    // accessible name of the element, a simplified version of the
+    // accessible name computation of the accname specification
+    getAccessibleName: function (element, visited) {
+        var recursing = !!visited;
+        visited = visited || new Set();
+        if (visited.has(element))
+            return "";
+        visited.add(element);
+        var normalize = s => s.replace(/\s+/g, " ").trim();
+
+        var ids = element.getAttribute("aria-labelledby");
+        if (ids && !recursing) {
+            var root = element.getRootNode();
+            var text = normalize(ids.trim().split(/\s+/)
+                .map(id => root.getElementById(id))
+                .filter(Boolean)
+                .map(e => this.getAccessibleName(e, visited)).join(" "));
+            if (text)
+                return text;
+        }
+        var label = normalize(element.getAttribute("aria-label") || "");
+        if (label)
+            return label;
+
+        var tagName = element.tagName.toLowerCase();
+        var type = (element.getAttribute("type") || "").toLowerCase();
+        if (tagName == "input" && /^(?:button|submit|reset)$/.test(type))
+            return element.value ||
+                (type == "submit" ? "Submit" : type == "reset" ? "Reset" : "");
+        if (/^(?:input|select|textarea)$/.test(tagName)) {
+            // the value of a control is its name only inside another label
+            if (recursing)
+                return "";
+            if (element.labels && element.labels.length)
+                return normalize(Array.from(element.labels)
+                    .map(l => this.getNameFromContent(l, visited)).join(" "));
+            if (type == "image")
+                return element.getAttribute("alt") || element.value || "";
+        } else if (tagName == "img" || tagName == "area") {
+            return element.getAttribute("alt") || element.getAttribute("title") || "";
+        } else if (/^(?:fieldset|table|figure)$/.test(tagName)) {
+            var caption = element.querySelector(tagName == "fieldset" ?
+                ":scope > legend" : tagName == "table" ?
+                ":scope > caption" : ":scope > figcaption");
+            if (caption)
+                return this.getNameFromContent(caption, visited);
+        }
+
+        if (recursing || this.nameFromContentRoles.has(this.getRole(element))) {
+            var content = this.getNameFromContent(element, visited);
+            if (content)
+                return content;
+        }
+        return normalize(element.getAttribute("title") ||
+            element.getAttribute("placeholder") || "");
+    },
+
+    getNameFromContent: function (element, visited) {
+        var view = element.ownerDocument.defaultView;
+        var text = "";
+        element.childNodes.forEach(child => {
+            if (child.nodeType == Node.TEXT_NODE) {
+                text += child.textContent;
+            } else if (child.nodeType == Node.ELEMENT_NODE) {
+                var style = view.getComputedStyle(child);
+                if (child.hidden || child.getAttribute("aria-hidden") == "true" ||
+                    style.display == "none")
+                    return;
+                var name = this.getAccessibleName(child, visited);
+                // block elements separate words
+                text += /^(?:inline|contents)/.test(style.display) ?
+                    name : " " + name + " ";
+            }
+        });
+        return text.replace(/\s+/g, " ").trim();
+    },
+
+    // text of the element as TEXT= matches it
+    getVisibleText: function (element) {
+        if (element.tagName == "INPUT" &&
+            /^(?:button|submit|reset)$/i.test(element.type))
+            return element.value;
+        return element.textContent.replace(/\s+/g, " ").trim();
+    },
+
+    // keep the innermost elements, the text of a link is the text of its
+    // children too and the innermost element with the text is the one meant
+    innermost: function (nodes) {
+        return nodes.filter(node => !nodes.some(other =>
+            other != node && node.contains(other)));
+    },
+
+    // find every element given by ROLE/NAME, TEXT or LABEL in document order
+    findAllAccessible: function (doc, args) {
+        var nodes = this.collectElementsDeep(doc, "*")
+            .filter(node => !/^(?:script|style|noscript|template|head|title)$/i
+                .test(node.tagName));
+        if (args.role) {
+            nodes = nodes.filter(node => this.getRole(node) == args.role &&
+                (!args.name || args.name.test(this.getAccessibleName(node))));
+        } else if (args.text) {
+            nodes = nodes.filter(node =>
+                args.text.test(this.getVisibleText(node)));
+        } else {
+            nodes = nodes.filter(node => (node.hasAttribute("aria-labelledby") ||
+                node.hasAttribute("aria-label") ||
+                node.labels && node.labels.length) &&
+                args.label.test(this.getAccessibleName(node)));
+        }
+        nodes = nodes.filter(node => !this.isHidden(node));
+        return args.text ? this.innermost(nodes) : nodes;
+    },
+
+    findAccessible: function (doc, args) {
+        return (this.lastNode = this.findAllAccessible(doc, args)[0] || null);
+    },
+
+
+    // box of the element in page coordinates
+    getBox: function (element) {
+        var pos = ClickHandler.getElementLUCorner(element);
+        var rect = element.getBoundingClientRect();
+        return {
+            left: pos.x, top: pos.y,
+            right: pos.x + Math.round(rect.width),
+            bottom: pos.y + Math.round(rect.height)
+        };
+    },
+
+    // distance of @box from the @anchor box, null if the box is not in
+    // @direction. Boxes in line with the anchor come before boxes the
+    // same distance away diagonally
+    getDistance: function (anchor, box, direction) {
+        var tolerance = 2;
+        var gapX = Math.max(anchor.left - box.right, box.left - anchor.right, 0);
+        var gapY = Math.max(anchor.top - box.bottom, box.top - anchor.bottom, 0);
+        switch (direction) {
+            case "right":
+                return box.left < anchor.right - tolerance ? null : gapX + 2 * gapY;
+            case "left":
+                return box.right > anchor.left + tolerance ? null : gapX + 2 * gapY;
+            case "below":
+                return box.top < anchor.bottom - tolerance ? null : gapY + 2 * gapX;
+            case "above":
+                return box.bottom > anchor.top + tolerance ? null : gapY + 2 * gapX;
+        }
+        return Math.sqrt(gapX * gapX + gapY * gapY);
+    },
+
+    // find the containers of WITHIN=SELECTOR:|XPATH:, a selector may end
+    // with :has-text("text") to keep the containers with that text
+    findContainers: function (doc, root, within) {
+        if (within.kind == "xpath")
+            return this.findAllByXPath(doc, root, within.value);
+
+        var selector = within.value.trim(), texts = [], m;
+        var has_text_re = /:has-text\((?:"((?:[^"\\]|\\.)*)"|'([^']*)')\)$/;
+        while (m = has_text_re.exec(selector)) {
+            texts.push((m[1] !== undefined ? m[1].replace(/\\(.)/g, "$1") : m[2])
+                .replace(/\s+/g, " ").trim().toLowerCase());
+            selector = selector.slice(0, m.index);
+        }
+        return this.findAllByCSS(doc, selector || "*").filter(node => {
+            var text = this.getVisibleText(node).toLowerCase();
+            return texts.every(t => text.indexOf(t) != -1);
+        });
+    },
+
+    // find every element of TAG inside the WITHIN containers, nearest to
+    // the NEAR anchor first
+    findAllAnchored: function (doc, root, args) {
+        var nodes = this.findAll(doc, root, args)
+            .filter(node => node.nodeType == Node.ELEMENT_NODE);
+        var containers = null;
+        var inside = node => !containers || containers.some(container =>
+            container != node && container.contains(node));
+        if (args.within) {
+            containers = this.findContainers(doc, root, args.within);
+            nodes = nodes.filter(inside);
+        }
+        if (!args.near)
+            return nodes;
+
+        var anchor = this.findAllAccessible(doc, { text: args.near })
+            .filter(inside)[0];
+        if (!anchor)
+            return [];
+        var anchorBox = this.getBox(anchor);
+        return nodes.filter(node => !node.contains(anchor))
+            .map(node => ({ node: node, box: this.getBox(node) }))
+            // elements without a box are not displayed
+            .filter(item => item.box.right > item.box.left ||
+                item.box.bottom > item.box.top)
+            .map(item => ({
+                node: item.node,
+                distance: this.getDistance(anchorBox, item.box, args.direction)
+            }))
+            .filter(item => item.distance !== null)
+            .sort((a, b) => a.distance - b.distance)
+            .map(item => item.node);
+    },
+
+    findAnchored: function (doc, root, args) {
+        var nodes = this.findAllAnchored(doc, root, args);
+        return (this.lastNode = nodes[(args.pos || 1) - 1] || null);
+    },
 
     // Find element's position (for TAG recording)
     findPosition: function (element, atts, form_atts) {
@@ -572,9 +973,14 @@ var TagHandler = {
 
 
 
-    // handles EXTRACT=TXT|TXTALL|HTM|ALT|HREF|TITLE|CHECKED
+    // handles EXTRACT=TXT|TXTALL|HTM|ALT|HREF|TITLE|CHECKED|ATTR:|DATA:|
+    // VALUE|INNERTEXT|STYLE:|BBOX
     onExtractParam: function (tagName, element, extract_type) {
         var tmp = "", i;
+        // XPath may select an attribute or text node, ATTR:, DATA:, STYLE:
+        // and BBOX read the element it belongs to
+        var owner = element.nodeType == element.ELEMENT_NODE ? element :
+            element.ownerElement || element.parentNode;
         if (/^(txt|txtall)$/i.test(extract_type)) {
             tmp = RegExp.$1.toLowerCase();
             switch (tagName) {
@@ -632,12 +1038,110 @@ var TagHandler = {
                 throw new BadParameter("EXTRACT=CHECKED makes sense" +
                     " only for check or radio boxes");
             return element.checked ? "YES" : "NO";
+        } else if (/^attr:(\S+)$/i.test(extract_type)) {
+            tmp = RegExp.$1;
+            return owner.hasAttribute(tmp) ?
+                owner.getAttribute(tmp) : "#EANF#";
+        } else if (/^data:(\S+)$/i.test(extract_type)) {
+            // both DATA:product-id and DATA:productId read data-product-id
+            tmp = "data-" + RegExp.$1.replace(/([a-z\d])([A-Z])/g, "$1-$2")
+                .toLowerCase();
+            return owner.hasAttribute(tmp) ?
+                owner.getAttribute(tmp) : "#EANF#";
+        } else if (/^value$/i.test(extract_type)) {
+            if ("value" in element)
+                return String(element.value);
+            else if (element.hasAttribute("value"))
+                return element.getAttribute("value");
+            else
+                return "#EANF#";
+        } else if (/^innertext$/i.test(extract_type)) {
+            // rendered text, without hidden elements and with line breaks
+            return typeof element.innerText == "string" ?
+                element.innerText : element.textContent;
+        } else if (/^style:(\S+)$/i.test(extract_type)) {
+            // custom properties (--name) are case-sensitive
+            tmp = RegExp.$1;
+            if (!/^--/.test(tmp)) {
+                tmp = tmp.replace(/([a-z\d])([A-Z])/g, "$1-$2").toLowerCase();
+            }
+            var view = owner.ownerDocument.defaultView;
+            return view.getComputedStyle(owner).getPropertyValue(tmp);
+        } else if (/^bbox$/i.test(extract_type)) {
+            // x,y,width,height in CSS pixels relative to the frame document
+            var rect = owner.getBoundingClientRect();
+            var win = owner.ownerDocument.defaultView;
+            return [rect.left + win.scrollX, rect.top + win.scrollY,
+                rect.width, rect.height].map(Math.round).join(",");
         } else {
             throw new BadParameter("EXTRACT=TXT|TXTALL|HTM|" +
-                "TITLE|ALT|HREF|CHECKED", 5);
+                "TITLE|ALT|HREF|CHECKED|TABLE|ATTR:<name>|DATA:<key>|" +
+                "VALUE|INNERTEXT|STYLE:<property>|BBOX", 5);
         }
     },
 
+    // handles EXTRACT=TABLE: cell texts row by row, a cell spanning several
+    // rows or columns is repeated in each of them; the rows of <thead> or
+    // leading rows of <th> cells are joined into the column names
+    onExtractTable: function (element) {
+        if (element.tagName.toLowerCase() != "table")
+            throw new BadParameter("EXTRACT=TABLE can only be used " +
+                "with TABLE elements", 5);
+
+        var grid = [], headerRows = 0, inBody = false, width = 0;
+        var rows = element.rows;
+        for (var r = 0; r < rows.length; r++) {
+            var row = rows[r], c = 0;
+            grid[r] = grid[r] || [];
+            for (var i = 0; i < row.cells.length; i++) {
+                var cell = row.cells[i];
+                while (grid[r][c] !== undefined)
+                    c++;
+                var text = cell.textContent.replace(/\s+/g, " ").trim();
+                // ROWSPAN=0 spans the remaining rows
+                var rowspan = cell.rowSpan === 0 ? rows.length - r :
+                    Math.max(1, cell.rowSpan || 1);
+                var colspan = Math.max(1, cell.colSpan || 1);
+                for (var dr = 0; dr < rowspan && r + dr < rows.length; dr++) {
+                    grid[r + dr] = grid[r + dr] || [];
+                    for (var dc = 0; dc < colspan; dc++)
+                        grid[r + dr][c + dc] = text;
+                }
+                c += colspan;
+            }
+            width = Math.max(width, grid[r].length);
+
+            var isHeader = row.parentNode.tagName == "THEAD" ||
+                (row.cells.length && Array.from(row.cells).every(
+                    cell => cell.tagName == "TH"));
+            if (isHeader && !inBody)
+                headerRows = r + 1;
+            else
+                inBody = true;
+        }
+        for (r = 0; r < grid.length; r++) {
+            for (c = 0; c < width; c++) {
+                if (grid[r][c] === undefined)
+                    grid[r][c] = "";
+            }
+        }
+
+        var header = null;
+        if (headerRows) {
+            header = [];
+            for (c = 0; c < width; c++) {
+                var names = [];
+                for (r = 0; r < headerRows; r++) {
+                    if (grid[r][c] && names[names.length - 1] != grid[r][c])
+                        names.push(grid[r][c]);
+                }
+                header.push(names.join(" "));
+            }
+        }
+
+        return { header: header, rows: grid.slice(headerRows) };
+    },
+
 
     // Dispatch special keys (like ${KEY_ENTER}) to the element
     dispatchSpecialKeys: function (element, text) {
@@ -1395,10 +1899,16 @@ CSPlayer.prototype.registerHandlers = function () {
         this.onQueryPageDimensions.bind(this));
     connector.registerHandler("webpage-scroll-to",
         this.onWebPageScrollTo.bind(this));
+    connector.registerHandler("query-element-rect",
+        this.onQueryElementRect.bind(this));
+    connector.registerHandler("assert-query",
+        this.onAssertQuery.bind(this));
     connector.registerHandler("webpage-hide-scrollbars",
         this.onHideScrollbars.bind(this));
     connector.addHandler("activate-element",
         this.onActivateElement.bind(this));
+    connector.addHandler("dispatch-drag",
+        this.onDispatchDrag.bind(this));
     connector.addHandler("query-css-selector",
         this.onQueryCssSelector.bind(this));
     window.addEventListener("error", function (err) {
@@ -1557,6 +2067,34 @@ CSPlayer.prototype.highlightElement = function (element) {
 };
 
 
+// TAG POS=ALL extracts every element found, the rows of several
+// EXTRACT=TABLE tables follow each other
+CSPlayer.prototype.extractAll = function (args, retobj, elements) {
+    if (!elements.length) {
+        retobj.extract = "#EANF#";
+        return;
+    }
+    retobj.found = true;
+    if (args.highlight)
+        this.highlightElement(elements[0]);
+
+    if (/^table$/i.test(args.txt)) {
+        var table = { header: null, rows: [] };
+        elements.forEach(element => {
+            var t = TagHandler.onExtractTable(element);
+            table.header = table.header || t.header;
+            table.rows = table.rows.concat(t.rows);
+        });
+        retobj.table = table;
+    } else {
+        retobj.values = elements.map(element => TagHandler.onExtractParam(
+            args.tagName && args.tagName != "*" ? args.tagName :
+                element.tagName.toLowerCase(),
+            element, args.txt
+        ));
+    }
+};
+
 CSPlayer.prototype.handleTagCommand = function (args, callback) {
     var doc = window.document;
     var root = doc.documentElement;
@@ -1577,8 +2115,36 @@ CSPlayer.prototype.handleTagCommand = function (args, callback) {
         if (args.form)
             for (var x in args.form)
                 args.form[x] = new RegExp(args.form[x], "i");
+        ["name", "text", "label", "near"].forEach(key => {
+            if (args[key])
+                args[key] = new RegExp(args[key], "i");
+        });
+        if (args.locators)
+            args.locators.forEach(locator => {
+                if (locator.pattern)
+                    locator.re = new RegExp(locator.pattern, "i");
+            });
 
-        if (args.xpath)
+        var anchored = args.near || args.within;
+        if (args.all) {
+            this.extractAll(args, retobj, anchored ?
+                TagHandler.findAllAnchored(doc, root, args) :
+                TagHandler.findAll(doc, root, args));
+            callback(retobj);
+            return;
+        }
+
+        if (anchored) {
+            element = TagHandler.findAnchored(doc, root, args);
+        } else if (args.locators) {
+            var found = TagHandler.findByLocators(doc, root, args);
+            if (found) {
+                element = found.element;
+                retobj.locator = { index: found.index, counts: found.counts };
+            }
+        } else if (args.role || args.text || args.label)
+            element = TagHandler.findAccessible(doc, args);
+        else if (args.xpath)
             element = TagHandler.findByXPath(doc, root, args.xpath);
         else if (args.selector)
             element = TagHandler.findByCSS(doc, args.selector);
@@ -1598,7 +2164,7 @@ CSPlayer.prototype.handleTagCommand = function (args, callback) {
                     descriptor = args.selector;
 
                 // Try to infer tagName from selector/xpath if empty
-                if (!args.tagName && descriptor) {
+                if (!args.tagName && (args.xpath || args.selector)) {
                     // For CSS selectors, extract the tag before class/id/attribute
                     var cssMatch = descriptor.match(/^([a-zA-Z][a-zA-Z0-9\-]*)/);
                     // For XPath, try to find last element name or specific node test
@@ -1606,6 +2172,8 @@ CSPlayer.prototype.handleTagCommand = function (args, callback) {
                     if (cssMatch) args.tagName = cssMatch[1];
                     else if (xpathMatch) args.tagName = xpathMatch[1];
                     else args.tagName = 'element';
+                } else if (!args.tagName) {
+                    args.tagName = 'element';
                 }
 
                 var msg = "element " + args.tagName.toUpperCase() +
@@ -1638,7 +2206,9 @@ CSPlayer.prototype.handleTagCommand = function (args, callback) {
         if (args.tagName == "*" || args.tagName == "")
             args.tagName = element.tagName.toLowerCase();
         // extract
-        if (args.type == "extract") {
+        if (args.type == "extract" && /^table$/i.test(args.txt)) {
+            retobj.table = TagHandler.onExtractTable(element);
+        } else if (args.type == "extract") {
             retobj.extract =
                 TagHandler.onExtractParam(args.tagName, element, args.txt);
         } else if (args.type == "content") {
@@ -1721,6 +2291,7 @@ CSPlayer.prototype.handleSaveAsCommand = function (args, callback) {
 
 CSPlayer.prototype.handleSearchCommand = function (args, callback) {
     var search_re, retobj = { found: false }, query = args.query;
+    var flags = args.ignore_case + (args.all ? "g" : "");
     try {
         switch (args.type) {
             case "txt":
@@ -1730,11 +2301,11 @@ CSPlayer.prototype.handleSearchCommand = function (args, callback) {
                 query = query.replace(/\*/g, '(?:[\r\n]|.)*');
                 // treat all <SP> as a one or more whitespaces
                 query = query.replace(/ /g, "\\s+");
-                search_re = new RegExp(query, args.ignore_case);
+                search_re = new RegExp(query, flags);
                 break;
-            case "regexp":
+            case "regexp": case "text":
                 try {
-                    search_re = new RegExp(query, args.ignore_case);
+                    search_re = new RegExp(query, flags);
                 } catch (e) {
                     console.error(e);
                     throw new RuntimeError("Can not compile regular expression: "
@@ -1743,20 +2314,52 @@ CSPlayer.prototype.handleSearchCommand = function (args, callback) {
                 break;
         }
 
-        var root = window.document.documentElement;
-        var found = search_re.exec(root.innerHTML);
-        if (!found) {
+        // SCOPE=SELECTOR: searches each matching element in turn
+        var roots = [window.document.documentElement];
+        if (args.scope) {
+            roots = TagHandler.findAllByCSS(window.document, args.scope);
+            if (!roots.length)
+                throw new RuntimeError("SCOPE element specified by " +
+                    args.scope + " was not found", 721);
+        }
+
+        // SOURCE=TEXT: matches the rendered text instead of the markup
+        var sources = roots.map(function (root) {
+            return args.type == "text" ? root.innerText : root.innerHTML;
+        });
+        var matches = [];
+        for (var i = 0; i < sources.length; i++) {
+            var found;
+            search_re.lastIndex = 0;
+            while (found = search_re.exec(sources[i])) {
+                matches.push(found);
+                if (!args.all)
+                    break;
+                // step over empty matches
+                if (!found[0].length)
+                    search_re.lastIndex++;
+            }
+            if (matches.length && !args.all)
+                break;
+        }
+        if (!matches.length) {
             throw new RuntimeError(
                 "Source does not match to " + args.type.toUpperCase() + "='" +
                 args.query + "'", 726
             );
         }
         retobj.found = true;
-        if (args.extract) {
-            retobj.extract = args.extract.
+        var extract = function (found) {
+            return args.extract.
                 replace(/\$(\d{1,2})/g, function (match_str, x) {
                     return found[x];
                 });
+        };
+        if (args.all) {
+            retobj.values = matches.map(args.extract ? extract :
+                function (found) { return found[0]; });
+        } else if (args.extract) {
+            retobj.extract = extract(matches[0]);
         }
     } catch (e) {
         retobj.error = normalize_error(e);
@@ -1803,6 +2406,62 @@ CSPlayer.prototype.onQueryPageDimensions = function (args, callback) {
     callback(retobj);
 };
 
+// SCREENSHOT TYPE=ELEMENT: the rectangle of the element in CSS pixels
+// relative to the top document, which is scrolled when capturing it
+CSPlayer.prototype.onQueryElementRect = function (args, callback) {
+    try {
+        var doc = window.document, element = args.xpath ?
+            TagHandler.findByXPath(doc, doc.documentElement, args.xpath) :
+            TagHandler.findByCSS(doc, args.selector);
+        if (!element || element.nodeType != element.ELEMENT_NODE)
+            throw new RuntimeError("element specified by " +
+                (args.xpath || args.selector) + " was not found", 721);
+
+        var rect = element.getBoundingClientRect();
+        var x = rect.left, y = rect.top, w = window;
+        // add the positions of the frames the element is in
+        while (w !== w.top) {
+            var frame = w.frameElement;
+            if (!frame)
+                throw new RuntimeError("SCREENSHOT TYPE=ELEMENT can not " +
+                    "capture elements in frames from other sites");
+            var style = w.parent.getComputedStyle(frame);
+            var frameRect = frame.getBoundingClientRect();
+            x += frameRect.left + (parseInt(style.borderLeftWidth) || 0) +
+                (parseInt(style.paddingLeft) || 0);
+            y += frameRect.top + (parseInt(style.borderTopWidth) || 0) +
+                (parseInt(style.paddingTop) || 0);
+            w = w.parent;
+        }
+        callback({
+            rect: {
+                x: Math.round(x + w.scrollX),
+                y: Math.round(y + w.scrollY),
+                width: Math.round(rect.width),
+                height: Math.round(rect.height)
+            }
+        });
+    } catch (e) {
+        console.error(e);
+        callback({ error: normalize_error(e) });
+    }
+};
+
+// ASSERT TEXT= gets the rendered text of the frame, ASSERT COUNT the number
+// of elements matching SELECTOR or XPATH
+CSPlayer.prototype.onAssertQuery = function (args, callback) {
+    try {
+        var doc = window.document;
+        if (args.type == "count")
+            callback({ count: TagHandler.findAll(doc, doc.documentElement, args).length });
+        else
+            callback({ text: doc.documentElement.innerText });
+    } catch (e) {
+        console.error(e);
+        callback({ error: normalize_error(e) });
+    }
+};
+
 CSPlayer.prototype.onWebPageScrollTo = function (args, callback) {
     window.scrollTo(args.x, args.y);
     // console.log("scrollX=%d, scrollY=%d", window.scrollX, window.scrollY);
@@ -1914,6 +2573,20 @@ CSPlayer.prototype.onActivateElement = function (args, sendResponse) {
                 window.scrollTo(pos.x - 100, pos.y - 100);
             }
 
+            // keys are sent to the focused element, typing into a
+            // contenteditable editor goes to the end of its text
+            if (args.focus && !el.contains(document.activeElement)) {
+                el.focus();
+                if (el.isContentEditable) {
+                    var range = document.createRange();
+                    range.selectNodeContents(el);
+                    range.collapse(false);
+                    var selection = window.getSelection();
+                    selection.removeAllRanges();
+                    selection.addRange(range);
+                }
+            }
+
             // Handle value setting for EVENT TYPE=INPUT
             if (typeof args.value !== 'undefined') {
                 el.value = args.value;
@@ -1950,6 +2623,66 @@ CSPlayer.prototype.onActivateElement = function (args, sendResponse) {
     }
 };
 
+// EVENT TYPE=DRAG fires dragstart on the element, EVENT TYPE=DROP fires
+// dragenter, dragover and drop on its element and dragend on the dragged
+// one. The DataTransfer is kept in between, so the page gets the data its
+// dragstart handler set
+CSPlayer.prototype.onDispatchDrag = function (args, sendResponse) {
+    var fire = (element, type, dataTransfer) => {
+        var rect = element.getBoundingClientRect();
+        return element.dispatchEvent(new DragEvent(type, {
+            bubbles: true,
+            cancelable: !/^(?:dragleave|dragend)$/.test(type),
+            composed: true,
+            clientX: rect.left + rect.width / 2,
+            clientY: rect.top + rect.height / 2,
+            dataTransfer: dataTransfer
+        }));
+    };
+    try {
+        var sel = args.xpath || args.selector;
+        var el = args.xpath ?
+            TagHandler.findByXPath(document, document.documentElement, sel) :
+            document.querySelector(sel);
+        if (!el)
+            throw new RuntimeError("element specified by " + sel + " not found", 721);
+
+        if (args.type == "drag") {
+            var dataTransfer = new DataTransfer();
+            this.drag = null;
+            if (!fire(el, "dragstart", dataTransfer))
+                throw new RuntimeError("element specified by " + sel +
+                    " can not be dragged", 711);
+            fire(el, "drag", dataTransfer);
+            this.drag = { source: el, dataTransfer: dataTransfer };
+        } else {
+            var drag = this.drag;
+            if (!drag || !drag.source.isConnected)
+                throw new RuntimeError("EVENT TYPE=DROP must follow EVENT TYPE=DRAG", 711);
+            this.drag = null;
+            fire(el, "dragenter", drag.dataTransfer);
+            // a drop target cancels dragover
+            var accepted = !fire(el, "dragover", drag.dataTransfer);
+            if (accepted) {
+                if (drag.dataTransfer.dropEffect == "none")
+                    drag.dataTransfer.dropEffect =
+                        /^(?:copy|link)$/.test(drag.dataTransfer.effectAllowed) ?
+                            drag.dataTransfer.effectAllowed : "move";
+                fire(el, "drop", drag.dataTransfer);
+            } else {
+                fire(el, "dragleave", drag.dataTransfer);
+            }
+            fire(drag.source, "dragend", drag.dataTransfer);
+            if (!accepted)
+                throw new RuntimeError("element specified by " + sel +
+                    " does not accept the drop", 711);
+        }
+        sendResponse({});
+    } catch (e) {
+        sendResponse({ error: normalize_error(e) });
+    }
+};
+
 CSPlayer.prototype.onQueryCssSelector = function (args, sendresponse) {
     // Handle requests to locate elements by CSS selector for visual feedback or validation.
     // Returns a lightweight summary of the first few matches to avoid large payloads.
@@ -38,6 +38,10 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         this.onMouseOverEvent = this.onMouseOver.bind(this);
         this.onContextMenuEvent = this.onContextMenuEvent.bind(this);
         this.onSubmitEvent = this.onSubmit.bind(this);
+        this.onDragStartEvent = this.onDragStart.bind(this);
+        this.onDropEvent = this.onDrop.bind(this);
+        this.onDragEndEvent = this.onDragEnd.bind(this);
+        this.onFocusOutEvent = this.flushEditableRun.bind(this);
 
         // Track hover state
         this.hoverTimeout = null;
@@ -48,6 +52,10 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
             this.onStopRecording.bind(this));
         connector.registerHandler("on-rclick",
             this.onContextMenu.bind(this));
+        connector.registerHandler("pick-region",
+            this.onPickRegion.bind(this));
+        connector.registerHandler("pick-element",
+            this.onPickElement.bind(this));
         connector.postMessage("query-state", {},
             this.onQueryStateCompleted.bind(this));
 
@@ -99,8 +107,13 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
             // win.addEventListener("keypress", this.onKeyPressEvent, true); // Deprecated, replaced by input
             win.addEventListener("input", this.onInputEvent, true); // Use input event for text recording
             win.addEventListener("focus", this.onFocusInEvent, true)
+            win.addEventListener("focusout", this.onFocusOutEvent, true);
             console.log("[DEBUG] Conventional mode listeners attached (using input event)");
         }
+        // HTML5 drag and drop is recorded in both modes
+        win.addEventListener("dragstart", this.onDragStartEvent, true);
+        win.addEventListener("drop", this.onDropEvent, true);
+        win.addEventListener("dragend", this.onDragEndEvent, true);
         const listener = () => {
             this.removeDOMEventsListeners(win);
             win.removeEventListener("pagehide", listener);
@@ -140,7 +153,59 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
             // win.removeEventListener("keypress", this.onKeyPressEvent, true);
             win.removeEventListener("input", this.onInputEvent, true);
             win.removeEventListener("focus", this.onFocusInEvent, true)
+            win.removeEventListener("focusout", this.onFocusOutEvent, true);
         }
+        win.removeEventListener("dragstart", this.onDragStartEvent, true);
+        win.removeEventListener("drop", this.onDropEvent, true);
+        win.removeEventListener("dragend", this.onDragEndEvent, true);
+    };
+
+    // the user drags the area for SCREENSHOT TYPE=REGION, page events
+    // are not recorded meanwhile
+    CSRecorder.prototype.onPickRegion = function (data, callback) {
+        if (this.recording)
+            this.removeDOMEventsListeners(window);
+        CropTool.pick(area => {
+            if (this.recording)
+                this.addDOMEventsListeners(window);
+            callback({ area: area });
+        });
+    };
+
+    // the user clicks an element and chooses one of its locators, the TAG
+    // is recorded by the background page. Page events are not recorded
+    // meanwhile
+    CSRecorder.prototype.onPickElement = function (data, callback) {
+        if (this.recording)
+            this.removeDOMEventsListeners(window);
+        ElementPicker.pick(elem => this.getPickCandidates(elem), candidate => {
+            if (this.recording)
+                this.addDOMEventsListeners(window);
+            callback(candidate ?
+                { action: candidate.record, quality: candidate.quality } : {});
+        });
+    };
+
+    // TAG records of every kind of locator for the element, best first
+    CSRecorder.prototype.getPickCandidates = function (elem) {
+        var tagName = elem.tagName.toUpperCase(), type = tagName;
+        if (tagName == "INPUT")
+            type += ":" + elem.type.toUpperCase();
+        var form = this.makeFormRecord(elem);
+        var attr = this.makeAttrRecord(elem);
+        var atts = this.parseAtts(attr) || new Object();
+        if (tagName == "INPUT")
+            atts["type"] = new RegExp("^" + elem.type + "$");
+        var pos = this.findPosition(elem, atts, form ? this.parseAtts(form) : null);
+
+        var seen = new Set();
+        return ["accessible", "selector", "xpath", "locators", "attr"]
+            .filter(kind => kind != "attr" || pos)
+            .map(kind => this.makeLocator(kind, pos, type, form, attr, elem))
+            .filter(Boolean)
+            .map(locator => ({ record: "TAG " + locator.text, quality: locator.quality }))
+            .filter(candidate => !seen.has(candidate.record) && seen.add(candidate.record))
+            .sort((a, b) => b.quality.score - a.quality.score);
     };
 
     CSRecorder.prototype.onStopRecording = function (data, callback) {
@@ -213,6 +278,8 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         this.favorIds = args.favorId;
         this.cssSelectors = args.cssSelectors;
         this.useXPath = args.useXPath; // New option for XPath selectors
+        this.recordLocators = args.locators; // TAG LOCATORS=
+        this.recordAccessible = args.accessible; // TAG ROLE=, LABEL=, TEXT=
         this.recordMode = args.recordMode;
 
         console.log("[DEBUG] Recording state SET:", {
@@ -220,7 +287,9 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
             recordMode: this.recordMode,
             favorIds: this.favorIds,
             cssSelectors: this.cssSelectors,
-            useXPath: this.useXPath
+            useXPath: this.useXPath,
+            recordLocators: this.recordLocators,
+            recordAccessible: this.recordAccessible
         });
 
         this.addDOMEventsListeners(window);
@@ -228,6 +297,7 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
     };
 
     CSRecorder.prototype.stop = function () {
+        this.flushEditableRun();
         this.recording = false;
         this.submitter = null;
         this.removeDOMEventsListeners(window);
@@ -245,6 +315,7 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
             clearTimeout(this.hoverTimeout);
             this.hoverTimeout = null;
         }
+        this.dragSource = null;
     };
 
 
@@ -259,9 +330,19 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
             return;
         }
 
+        // quality of the locator of a TAG made by formNewRecord, taken
+        // before flushEditableRun() saves its own action and clears it
+        var quality = this.lastQuality && this.lastQuality.record == str ?
+            this.lastQuality.quality : null;
+        this.lastQuality = null;
+
+        // text typed into a contenteditable element comes first
+        if (this.editableRun)
+            this.flushEditableRun();
+
         console.log("[DEBUG] saveAction called:", str, extra);
         connector.postMessage(
-            "record-action", { action: str, extra: extra || null },
+            "record-action", { action: str, extra: extra || null, quality: quality },
             function (response) {
                 if (!response || response.ok === true) {
                     return;
@@ -506,33 +587,188 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         return attr;
     };
 
-    CSRecorder.prototype.formNewRecord = function (pos, type, form, attr, content, target) {
-        var newRecord = "TAG"
-
-        // Priority: XPath > CSS Selector > Traditional FORM/ATTR
-        if (this.useXPath) {
-            // Use XPath selector with Shadow DOM support (new feature)
-            var xpath = imns.XPathUtils.generateShadowDOMXPath(target);
-            // Escape double quotes to prevent malformed macros
-            var escapedXPath = xpath.replace(/"/g, '\\"');
-            newRecord += " XPATH=\"" + escapedXPath + "\"";
-        }
-        else if (this.cssSelectors) {
-            // Use CSS selector (existing feature)
-            var cssSelector = this.getSelectorForElement(target);
-            // Escape double quotes to prevent malformed macros
-            var escapedSelector = cssSelector.replace(/"/g, '\\"');
-            newRecord += " SELECTOR=\"" + escapedSelector + "\"";
-        }
-        else {
-            // Use traditional FORM/ATTR format (default, fully compatible)
-            newRecord += " POS=" + pos
-            newRecord += " TYPE=" + type;
-            newRecord += form ? " FORM=" + form : "";
-            newRecord += " ATTR=" + attr;
+    // candidates for TAG LOCATORS=, the player tries them in this order.
+    // Attribute locators are only kept if they identify the element now
+    CSRecorder.prototype.getLocatorCandidates = function (elem) {
+        var quote = s => "\"" + StrUtils.escapeLine(s) + "\"";
+        var root = elem.getRootNode();
+        var tagName = elem.tagName.toLowerCase();
+        var unique = (name, value) => {
+            try {
+                return root.querySelectorAll(tagName + "[" + name + "=\"" +
+                    CSS.escape(value) + "\"]").length == 1;
+            } catch (e) {
+                return false;
+            }
+        };
+        var locators = [];
+        [["ID", "id"], ["TESTID", "data-testid"],
+        ["ARIA", "aria-label"], ["NAME", "name"]].forEach(([kind, name]) => {
+            var value = elem.getAttribute(name);
+            if (value && unique(name, value))
+                locators.push(kind + ":" + quote(value));
+        });
+        if (!/^(?:input|select|textarea)$/.test(tagName)) {
+            var text = StrUtils.escapeTextContent(elem.textContent || "");
+            if (text && text.length <= 60 && !/\*/.test(text))
+                locators.push("TXT:" + quote(text));
+        }
+        locators.push("SELECTOR:" + quote(this.getSelectorForElement(elem,
+            { favorIds: false, cssSelectors: true })));
+        locators.push("XPATH:" +
+            quote(imns.XPathUtils.generateShadowDOMXPath(elem)));
+
+        return locators.join("||");
+    };
+
+    // LABEL=, ROLE=/NAME= or TEXT= for the element if the player finds this
+    // element by it as {text, args}, args being what the player gets for
+    // it; null otherwise
+    CSRecorder.prototype.getAccessibleLocator = function (elem) {
+        var quote = s => "\"" + StrUtils.escapeLine(s) + "\"";
+        var pattern = s => new RegExp("^\\s*" +
+            StrUtils.escapeREChars(s).replace(/ /g, "\\s+") + "\\s*$", "i");
+        var usable = s => s && s.length <= 60 && !/\*/.test(s);
+        var finds = args => TagHandler.findAllAccessible(elem.ownerDocument,
+            args)[0] === elem;
+
+        var role = TagHandler.getRole(elem), args;
+        var name = TagHandler.getAccessibleName(elem);
+        if (/^(?:input|select|textarea)$/i.test(elem.tagName) && usable(name) &&
+            finds(args = { label: pattern(name) }))
+            return { text: "LABEL=" + quote(name), args: args };
+        if (role && usable(name) && finds(args = { role: role, name: pattern(name) }))
+            return { text: "ROLE=" + role + " NAME=" + quote(name), args: args };
+        var text = TagHandler.getVisibleText(elem);
+        if (usable(text) && finds(args = { text: pattern(text) }))
+            return { text: "TEXT=" + quote(text), args: args };
+
+        return null;
+    };
+
+    // ids made by frameworks or counters change between page loads
+    var generated_id_re = new RegExp([
+        "\\d{4,}",                                  // counters
+        "(?=[a-f]*\\d)[\\da-f]{8,}",                  // hashes, uuids
+        "^(?:ember|ext-|yui_|gwt-|j_id|jqg|ui-id-|mui-|react-|radix-|headlessui-)",
+        "^:|:$",                                     // React useId()
+        "[-_](?=[a-z\\d]*\\d[a-z\\d]*\\d)(?=[a-z\\d]*[a-z])[a-z\\d]{5,}$"
+    ].join("|"), "i");
+
+    CSRecorder.prototype.looksGeneratedId = function (id) {
+        return generated_id_re.test(id);
+    };
+
+    // how unique and stable a locator is: @count elements matched when it
+    // was recorded, @ids used by it and the @depth of its path. The score
+    // is 0 to 100, 80 and more is "good", below 50 is "poor"
+    CSRecorder.prototype.rateLocator = function (kind, count, ids, depth) {
+        var score = 100, warnings = [];
+        if (!count) {
+            score = 0;
+            warnings.push("matches no element");
+        } else if (count > 1) {
+            score -= 40;
+            warnings.push("matches " + count + " elements, the position decides");
         }
+        var generated = ids.filter(id => this.looksGeneratedId(id));
+        generated.forEach(id => warnings.push("id \"" + id + "\" looks generated"));
+        // LOCATORS fall back to the other locators
+        if (generated.length)
+            score -= kind == "locators" ? 10 : 40;
+        if (depth > 4) {
+            score -= Math.min(30, (depth - 4) * 5);
+            warnings.push("path is " + depth + " levels deep");
+        }
+        score = Math.max(0, score);
+        return {
+            score: score,
+            level: score >= 80 ? "good" : score >= 50 ? "fair" : "poor",
+            count: count,
+            generatedIds: generated,
+            depth: depth,
+            warnings: warnings
+        };
+    };
 
+    // the TAG parameters giving @target by @kind of locator: "locators",
+    // "accessible", "xpath", "selector" or "attr" (POS/TYPE/FORM/ATTR), as
+    // {text, quality}; null if the element can't be given that way
+    CSRecorder.prototype.makeLocator = function (kind, pos, type, form, attr, target) {
+        var doc = target.ownerDocument, text, count = 1, ids = [], depth = 1, m;
+        var unquote = s => s.replace(/^"((?:[^"\\]|\\.)*)"$/, "$1").replace(/\\(.)/g, "$1");
+        switch (kind) {
+            case "locators":
+                var locators = this.getLocatorCandidates(target);
+                text = "TYPE=" + type + " LOCATORS=" + locators;
+                if (m = /^ID:("(?:[^"\\]|\\.)*")/.exec(locators))
+                    ids.push(unquote(m[1]));
+                break;
+            case "accessible":
+                var accessible = this.getAccessibleLocator(target);
+                if (!accessible)
+                    return null;
+                text = accessible.text;
+                count = TagHandler.findAllAccessible(doc, accessible.args).length;
+                break;
+            case "xpath":
+                var xpath = imns.XPathUtils.generateShadowDOMXPath(target);
+                // Escape double quotes to prevent malformed macros
+                text = "XPATH=\"" + xpath.replace(/"/g, '\\"') + "\"";
+                count = TagHandler.findAllByXPath(doc, doc.documentElement, xpath).length;
+                var id_re = /@id\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+                while (m = id_re.exec(xpath))
+                    ids.push(m[1] !== undefined ? m[1] : m[2]);
+                depth = xpath.replace(/\[[^\]]*\]/g, "").split(/\/|>>/)
+                    .filter(step => step.trim()).length;
+                break;
+            case "selector":
+                var selector = this.getSelectorForElement(target,
+                    { favorIds: this.favorIds, cssSelectors: true });
+                // Escape double quotes to prevent malformed macros
+                text = "SELECTOR=\"" + selector.replace(/"/g, '\\"') + "\"";
+                count = TagHandler.findAllByCSS(doc, selector).length;
+                var plain = selector.replace(/"(?:[^"\\]|\\.)*"|'[^']*'|\[[^\]]*\]/g, "");
+                var hash_re = /#((?:\\.|[-\w])+)/g;
+                while (m = hash_re.exec(plain))
+                    ids.push(m[1].replace(/\\(.)/g, "$1"));
+                depth = plain.trim().split(/\s*(?:>>|[>+~]|\s)\s*/).filter(Boolean).length;
+                break;
+            default:
+                text = "POS=" + pos + " TYPE=" + type +
+                    (form ? " FORM=" + form : "") + " ATTR=" + attr;
+                var atts = this.parseAtts(attr) || new Object();
+                if (/^INPUT:/.test(type))
+                    atts["type"] = new RegExp("^" + target.type + "$");
+                count = TagHandler.findAll(doc, doc.documentElement, {
+                    tagName: type.split(":")[0].toLowerCase(),
+                    atts: atts,
+                    form: form ? this.parseAtts(form) : null
+                }).length;
+                if (m = /(?:^|&&)ID:("(?:[^"\\]|\\.)*"|[^&]*)/i.exec(attr))
+                    ids.push(unquote(m[1]));
+        }
+        return { text: text, quality: this.rateLocator(kind, count, ids, depth) };
+    };
+
+    CSRecorder.prototype.formNewRecord = function (pos, type, form, attr, content, target) {
+        var locator = null;
+
+        // Priority: LOCATORS > ROLE/LABEL/TEXT > XPath > CSS Selector >
+        // Traditional FORM/ATTR (default, fully compatible)
+        if (this.recordLocators)
+            locator = this.makeLocator("locators", pos, type, form, attr, target);
+        else if (this.recordAccessible)
+            locator = this.makeLocator("accessible", pos, type, form, attr, target);
+        if (!locator)
+            locator = this.makeLocator(this.useXPath ? "xpath" :
+                this.cssSelectors ? "selector" : "attr",
+                pos, type, form, attr, target);
+
+        var newRecord = "TAG " + locator.text;
         newRecord += content ? " CONTENT=" + content : "";
+        // sent along with the record by saveAction
+        this.lastQuality = { record: newRecord, quality: locator.quality };
 
         return newRecord;
     }
@@ -576,8 +812,15 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         switch (tagName) {
             case "INPUT":
                 type += ":" + elem.type.toUpperCase();
-                if (is_html5_input_type(elem.type) ||
-                    /^(?:text|file)$/i.test(elem.type)) {
+                if (elem.type == "file") {
+                    // the page only gets the names of the files, the
+                    // player looks for them in the datasource folder
+                    if (!elem.files.length)
+                        return;
+                    tag_content = StrUtils.wrap(
+                        Array.from(elem.files, file => file.name).join("|"));
+                } else if (is_html5_input_type(elem.type) ||
+                    /^text$/i.test(elem.type)) {
                     tag_content = StrUtils.wrap(elem.value);
                 } else if (elem.type == "password") {
                     // password will be handled in chrome recorder
@@ -969,7 +1212,8 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         }
         var tagName = elem.tagName.toUpperCase();
 
-        if (/^(?:select|option|textarea|form|html|body)$/i.test(tagName))
+        if (/^(?:select|option|textarea|form|html|body)$/i.test(tagName) ||
+            this.opensFileChooser(elem))
             return;
         else if (/^input$/i.test(tagName) &&
             !/^(?:button|submit|radio|image)$/i.test(elem.type))
@@ -1174,13 +1418,14 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         return id;
     };
 
-    CSRecorder.prototype.getSelectorForElement = function (el) {
+    // @options {favorIds, cssSelectors} override the recording options
+    CSRecorder.prototype.getSelectorForElement = function (el, options) {
         var parts = [];
         var current = el;
 
         while (current) {
             var root = current.getRootNode();
-            var partSelector = this._getSelectorInContext(current, root);
+            var partSelector = this._getSelectorInContext(current, root, options);
             parts.unshift(partSelector);
 
             if (root instanceof ShadowRoot) {
@@ -1193,19 +1438,21 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         return parts.join(' >> ');
     };
 
-    CSRecorder.prototype._getSelectorInContext = function (el, context) {
+    CSRecorder.prototype._getSelectorInContext = function (el, context, options) {
         // Use document if context is just the document node
         var searchContext = (context instanceof ShadowRoot || context instanceof Document) ? context : document;
+        var favorIds = options ? options.favorIds : this.favorIds;
+        var cssSelectors = options ? options.cssSelectors : this.cssSelectors;
 
         // 1. Try ID directly on the element
-        if (el.id && this.favorIds) {
+        if (el.id && favorIds) {
             return "#" + StrUtils.escapeLine(this.escapeIdForSelector(el.id));
         }
 
         var i, selector;
 
         // 2. Try unique attributes (name, aria-label, etc.)
-        if (this.cssSelectors) {
+        if (cssSelectors) {
             var uniqueAttrs = ['name', 'aria-label', 'placeholder', 'data-testid', 'role', 'title', 'alt'];
             for (i = 0; i < uniqueAttrs.length; i++) {
                 var attr = uniqueAttrs[i];
@@ -1244,7 +1491,7 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         selector = "";
         var temp = el;
         while (temp && temp !== searchContext && temp.parentNode) {
-            if (temp.id && this.favorIds) {
+            if (temp.id && favorIds) {
                 selector = "#" +
                     StrUtils.escapeLine(this.escapeIdForSelector(temp.id)) +
                     (selector.length ? ">" + selector : "");
@@ -1295,8 +1542,18 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         return modifiers.join("|");
     };
 
+    // clicks opening the file chooser are not recorded, the files chosen
+    // are recorded by onChange
+    CSRecorder.prototype.opensFileChooser = function (elem) {
+        if (!elem || elem.nodeType != Node.ELEMENT_NODE)
+            return false;
+        var label = elem.closest("label");
+        var input = label && label.control ? label.control : elem;
+        return input.tagName == "INPUT" && input.type == "file";
+    };
+
     CSRecorder.prototype.onMouseDown = function (event) {
-        if (!event.isTrusted)
+        if (!event.isTrusted || this.opensFileChooser(event.target))
             return;
         var selector = this.getSelectorForElement(event.target);
         if (event.button == 0) {
@@ -1319,6 +1576,8 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         if (event.button == 0) {
             window.removeEventListener("mousemove", this.onMouseMoveEvent, false);
         }
+        if (this.opensFileChooser(event.target))
+            return;
         var selector = this.getSelectorForElement(event.target);
         this.saveAction(
             "EVENT TYPE=MOUSEUP POINT=\"(" + event.pageX + "," + event.pageY + ")\""
@@ -1343,7 +1602,7 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
     };
 
     CSRecorder.prototype.onMouseClick = function (event) {
-        if (!event.isTrusted)
+        if (!event.isTrusted || this.opensFileChooser(event.target))
             return;
         var selector = this.getSelectorForElement(event.target);
         var modifiers = this.getModifiers(event);
@@ -1455,6 +1714,14 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
     }
 
     CSRecorder.prototype.onChange2 = function (event) {
+        // EVENT can't choose files, uploads are recorded as TAG
+        if (event.target.tagName &&
+            event.target.tagName.toLowerCase() == "input" &&
+            event.target.type == "file") {
+            this.onChange(event);
+            return;
+        }
+
         // hack for selectbox recoding in event mode
         // While multiple selection select boxes pass through events just fine
         // the single-selection select boxes do not follow standard event flow
@@ -1489,6 +1756,13 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         if (!target.tagName) return;
         var tagName = target.tagName.toLowerCase();
 
+        // rich text editors; in event mode their keys are recorded already
+        if (target.isContentEditable) {
+            if (this.recordMode == "conventional")
+                this.onEditableInput(event);
+            return;
+        }
+
         // Common checks for both modes
         if (!/^(?:input|textarea)$/i.test(tagName)) return;
 
@@ -1562,6 +1836,85 @@ Copyright © 1992-2021 Progress Software Corporation and/or one of its subsidiar
         }
     };
 
+    // text inserted into a contenteditable element is recorded as
+    // EVENTS TYPE=KEYPRESS CHARS=, which the player types with the
+    // debugger. Insertions into the same element are joined until another
+    // action is recorded, the element loses focus or a second passes
+    CSRecorder.prototype.onEditableInput = function (event) {
+        var text = "", key = 0;
+        if (/^insert(?:Text|ReplacementText|FromPaste|FromDrop)$/.test(event.inputType))
+            text = event.data !== null ? event.data :
+                event.dataTransfer ? event.dataTransfer.getData("text/plain") : "";
+        else if (/^insert(?:Paragraph|LineBreak)$/.test(event.inputType))
+            text = "\r";
+        else if (event.inputType == "deleteContentBackward")
+            key = 8;
+        else if (event.inputType == "deleteContentForward")
+            key = 46;
+        else
+            return;
+
+        var selector = this.getSelectorForElement(event.target);
+        if (this.editableRun && (key || this.editableRun.selector != selector))
+            this.flushEditableRun();
+        if (key) {
+            this.saveAction("EVENT TYPE=KEYPRESS SELECTOR=\"" +
+                selector.replace(/"/g, '\\"') + "\" KEY=" + key);
+            return;
+        }
+        if (!text)
+            return;
+        if (!this.editableRun)
+            this.editableRun = { selector: selector, chars: "" };
+        this.editableRun.chars += text;
+        clearTimeout(this.editableTimeout);
+        this.editableTimeout = setTimeout(() => this.flushEditableRun(), 1000);
+    };
+
+    CSRecorder.prototype.flushEditableRun = function () {
+        clearTimeout(this.editableTimeout);
+        var run = this.editableRun;
+        this.editableRun = null;
+        if (run && this.recording)
+            this.saveAction("EVENTS TYPE=KEYPRESS SELECTOR=\"" +
+                run.selector.replace(/"/g, '\\"') + "\" CHARS=\"" +
+                StrUtils.escapeLine(run.chars) + "\"");
+    };
+
+    // HTML5 drag and drop is recorded as EVENT TYPE=DRAG on the dragged
+    // element and EVENT TYPE=DROP on the drop target, once the drop is done
+    CSRecorder.prototype.onDragStart = function (event) {
+        if (!event.isTrusted)
+            return;
+        // the mouse button goes up only after the drop
+        window.removeEventListener("mousemove", this.onMouseMoveEvent, false);
+        this.dragSource = event.target.nodeType == Node.ELEMENT_NODE ?
+            event.target : null;
+    };
+
+    CSRecorder.prototype.onDrop = function (event) {
+        var source = this.dragSource;
+        this.dragSource = null;
+        // drops from other frames, windows or applications can't be played
+        if (!event.isTrusted || !source)
+            return;
+        var target = event.target.nodeType == Node.ELEMENT_NODE ?
+            event.target : event.target.parentElement;
+        var selector = this.getSelectorForElement(source);
+        this.saveAction(
+            "EVENT TYPE=DRAG SELECTOR=\"" + selector.replace(/"/g, '\\"') + "\"",
+            { pack_type: "drag", selector: selector }
+        );
+        this.saveAction(
+            "EVENT TYPE=DROP SELECTOR=\"" +
+            this.getSelectorForElement(target).replace(/"/g, '\\"') + "\""
+        );
+    };
+
+    CSRecorder.prototype.onDragEnd = function () {
+        this.dragSource = null;
+    };
+
     /**
      * Handle scroll events (debounced)
      */
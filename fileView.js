@@ -168,6 +168,10 @@ var TreeView = {
         }
 
         let onEdit = function () { window.parent.postMessage({ type: "editMacro" }, "*"); }
+        let onRunFolder = function () {
+            var item = TreeView.selectedItem;
+            window.parent.postMessage({ type: "runFolder", path: item.id }, "*");
+        }
         let onConvert = function () { window.parent.postMessage({ type: "convertMacro" }, "*"); }
         let onNewFolder = function () {
             var item = TreeView.selectedItem;
@@ -269,6 +273,10 @@ var TreeView = {
                     'label': 'Edit',
                     'action': onEdit
                 },
+                'Run Folder': {
+                    'label': 'Run Folder',
+                    'action': onRunFolder
+                },
                 'Convert': {
                     'label': 'Convert',
                     'action': onConvert
@@ -294,6 +302,8 @@ var TreeView = {
             if (node.type === 'folder') {
                 delete items.Edit;
                 delete items.Convert;
+            } else {
+                delete items['Run Folder'];
             }
 
             return items;
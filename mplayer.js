@@ -88,6 +88,11 @@ function MacroPlayer(win_id) {
     this.callStack = [];
     this.loopStack = [];
     this.runNestLevel = 0;
+    this.runResult = { value: "", outputs: {} };
+    this.testResults = [];
+    this.runLog = null;
+    this.runLogEntry = null;
+    this.locatorFallbacks = [];
     this.compileExpressions();
 
     this._onScriptError = this.onErrorOccurred.bind(this);
@@ -126,6 +131,8 @@ function MacroPlayer(win_id) {
     // listeners for download events
     this._onDownloadCreated = this.onDownloadCreated.bind(this);
     this._onDownloadChanged = this.onDownloadChanged.bind(this);
+    // debugger events for ONDIALOG
+    this._onDebuggerEvent = this.onDebuggerEvent.bind(this);
 
     if (typeof VariableManager === 'function') {
         this.varManager = new PlayerVariableManager(this);
@@ -740,12 +747,14 @@ MacroPlayer.prototype.onNavigationErrorOccurred = function (details) {
             return;
         }
 
-        this.handleError(new RuntimeError(
-            "Navigation error occurred while loading url " +
-            details.url + ", details: " + details.error, 733));
+        // the page load is over, ON ERROR GOTO continues replaying
+        // from handleError()
         this.stopTimer("loading");
         this.waitingForPageLoad = false;
         // this.activeNavigations.clear();
+        this.handleError(new RuntimeError(
+            "Navigation error occurred while loading url " +
+            details.url + ", details: " + details.error, 733));
         return;
     }
 };
@@ -984,6 +993,18 @@ MacroPlayer.prototype._popFrame = function () {
 
         // Restore caller state from the frame
         if (frame) {
+            // Restore the caller's macro and its remaining actions
+            if (frame.actions !== undefined) {
+                this.actions = frame.actions;
+                this.action_stack = frame.action_stack;
+                this.source = frame.source;
+                this.currentMacro = frame.currentMacro;
+                this.file_id = frame.file_id;
+                this.labels = frame.labels;
+                this.linenumber_delta = frame.linenumber_delta;
+                this.errorHandler = frame.errorHandler;
+            }
+
             // Restore loop stack if saved
             if (frame.loopStack !== undefined) {
                 this.loopStack = frame.loopStack;
@@ -1074,7 +1095,7 @@ MacroPlayer.prototype.onTagComplete = function (data) {
     if (!data.found) {
         this.retry(() => {
             if (data.extract) {
-                this.showAndAddExtractData("#EANF#");
+                this.showAndAddExtractData("#EANF#", this.extractFieldName);
                 this.action_stack.pop();
                 this.next("onTagComplete");
             } else {
@@ -1086,6 +1107,8 @@ MacroPlayer.prototype.onTagComplete = function (data) {
     }
 
     this.clearRetryInterval();
+    if (data.locator && data.locator.index && !data.decryptPassword)
+        this.reportLocatorFallback(data.locator);
 
     if (data.error) {
         this.handleError(data.error);
@@ -1098,8 +1121,14 @@ MacroPlayer.prototype.onTagComplete = function (data) {
         this.action_stack.push(this.currentAction)
         this.next("Decrypt content string")
     } else {
-        if (data.extract) {
-            this.showAndAddExtractData(data.extract);
+        if (data.table) {
+            this.addExtractTable(data.table.header, data.table.rows);
+            this.showExtractDialog(this.getExtractData());
+        } else if (data.values) {
+            this.addExtractColumn(data.values, this.extractFieldName);
+            this.showExtractDialog(data.values.join("[EXTRACT]"));
+        } else if (data.extract) {
+            this.showAndAddExtractData(data.extract, this.extractFieldName);
         } else if (data.targetURI) {
             this.saveTarget(data.targetURI);
         }
@@ -1110,6 +1139,28 @@ MacroPlayer.prototype.onTagComplete = function (data) {
 };
 
 
+// a locator after the first one of TAG LOCATORS= found the element, the
+// macro should be updated; @locator is {index, counts}, counts being the
+// number of elements matched by the locators tried before
+MacroPlayer.prototype.reportLocatorFallback = function (locator) {
+    var tried = locator.counts.map((count, i) => this.tagLocators[i] +
+        (count ? " matched " + count + " elements" : " not found"));
+    var fallback = {
+        macro: this.currentMacro,
+        line: this.actionLocation(this.currentAction),
+        locator: this.tagLocators[locator.index],
+        tried: tried
+    };
+    this.locatorFallbacks.push(fallback);
+    if (this.runLogEntry)
+        this.runLogEntry.record.locator = fallback.locator;
+    var text = "TAG at line " + fallback.line + " used " + fallback.locator +
+        " (" + tried.join(", ") + ")";
+    console.warn(text);
+    notifyPanelStatLine(this.win_id, text, "warning");
+};
+
+
 // MacroPlayer.prototype.onContentChange = function(data, tab_id, callback) {
 //     typeof (callback) == "function" &&   // release resources
 //         callback();
@@ -1141,10 +1192,14 @@ MacroPlayer.prototype.terminate = function () {
 
 
 // a pattern to match a double quoted string or eval() command
-// or a non-whitespace char sequence
+// or a non-whitespace char sequence (which may contain spaces only
+// inside {{!COL[header]}})
 var im_strre = "(?:\"(?:[^\"\\\\]|\\\\[0btnvfr\"\'\\\\])*\"|" +
     "eval\\s*\\(\"(?:[^\"\\\\]|\\\\[\\w\"\'\\\\])*\"\\)|" +
-    "\\S*)";
+    // {{!COL[header]}} may hold blanks; a "{" that does not start one and
+    // any other non-blank are the other alternatives, so that no text
+    // matches two of them and a line that does not parse fails quickly
+    "(?:\\{\\{!col\\[[^\\]{}]+\\]|\\{(?!\\{!col\\[[^\\]{}]+\\])|[^\\s{])*)";
 
 // const im_strre = "(?:\"(?:[^\"\\\\]|\\\\[0btnvfr\"\'\\\\])*\"|\\S*)";
 
@@ -1702,6 +1757,9 @@ MacroPlayer.prototype.ActionTable["event"] = function (cmd) {
     if (type === "input" && value_type === "value") {
         data.value = value;
     }
+    // keys go to the focused element, contenteditable editors included
+    if (/^key/.test(type))
+        data.focus = true;
 
     this.attachDebugger().then(
         () => communicator.sendMessage(
@@ -1779,6 +1837,18 @@ MacroPlayer.prototype.ActionTable["event"] = function (cmd) {
                 })).reduce((seq, details) => seq.then(
                     () => this.dispatchMouseEvent(details)
                 ), Promise.resolve())
+            } else if (type == "drag" || type == "drop") {
+                // HTML5 drag and drop: DRAG starts dragging the element,
+                // DROP drops it on the element
+                return communicator.sendMessage(
+                    "dispatch-drag", Object.assign({ type: type }, data),
+                    this.tab_id, this.currentFrame
+                ).then(response => {
+                    if (response && response.error)
+                        throw new RuntimeError(
+                            response.error.message, response.error.errnum
+                        )
+                })
             } else if (type == "dblclick") {
                 // dblclick is a result of two mousedown/up
                 return [
@@ -1825,7 +1895,7 @@ MacroPlayer.prototype.ActionTable["events"] = function (cmd) {
     var value = cmd[5] ? imns.unwrap(this.expandVariables(cmd[5], "events5")) : 0;
     var modifiers = cmd[6] ?
         imns.unwrap(this.expandVariables(cmd[6], "events6")) : "";
-    var data = { scroll: true };
+    var data = { scroll: true, focus: /^key/.test(type) };
     data[selector_type || "selector"] = selector || ":root";
     this.attachDebugger().then(
         () => communicator.sendMessage(
@@ -2011,6 +2081,155 @@ MacroPlayer.prototype.ActionTable["frame"] = function (cmd) {
 
 
 
+// LABEL, GOTO and ON ERROR GOTO commands
+//   LABEL name
+//   GOTO name
+//   ON ERROR GOTO name | ON ERROR STOP
+MacroPlayer.prototype.RegExpTable["label"] = "^([a-z_]\\w*)\\s*$";
+MacroPlayer.prototype.RegExpTable["goto"] = "^([a-z_]\\w*)\\s*$";
+MacroPlayer.prototype.RegExpTable["on"] =
+    "^error\\s+(?:goto\\s+([a-z_]\\w*)|(stop))\\s*$";
+
+// jump to the action with the given index leaving LOOP NEST blocks which
+// do not contain it
+MacroPlayer.prototype.gotoAction = function (index) {
+    var frame;
+    while ((frame = this.loopStack[this.loopStack.length - 1]) &&
+        !(frame.start < index && index <= frame.end)) {
+        this.loopStack.pop();
+        this.setNestedLoopCounter(frame, 0);
+    }
+    var target = this.actions[index];
+    if (target.loops.length != this.loopStack.length)
+        throw new RuntimeError("can not jump to label " +
+            target.args[1] + " inside LOOP NEST block that is not running");
+    // an IF branch skipped before the jump is not tested any more
+    for (var action of this.actions)
+        if (action.name == "if")
+            action.block.branchTarget = null;
+    this.jumpToAction(index);
+};
+
+MacroPlayer.prototype.ActionTable["label"] = function () {
+    this.next("LABEL");
+};
+
+MacroPlayer.prototype.ActionTable["goto"] = function () {
+    this.gotoAction(this.currentAction.target);
+    this.next("GOTO");
+};
+
+MacroPlayer.prototype.ActionTable["on"] = function (cmd) {
+    this.errorHandler = cmd[2] ? null : {
+        label: cmd[1],
+        target: this.currentAction.target
+    };
+    this.next("ON ERROR");
+};
+
+
+
+// IF/ELSEIF/ELSE/ENDIF commands (conditional blocks)
+//   IF <value> [<operator> <value>]
+// where operator is one of ==, !=, <, <=, >, >=, CONTAINS, MATCHES
+// (and their negated forms !CONTAINS, !MATCHES). A single value, e.g.
+// IF EVAL("...") or IF {{flag}}, is tested for truth.
+MacroPlayer.prototype.RegExpTable["if"] =
+    "^(" + im_strre + ")(?:\\s+(==|!=|<>|<=|>=|<|>|=|!?contains|!?matches)" +
+    "\\s+(" + im_strre + "))?\\s*$";
+MacroPlayer.prototype.RegExpTable["elseif"] =
+    MacroPlayer.prototype.RegExpTable["if"];
+MacroPlayer.prototype.RegExpTable["else"] = "^\\s*$";
+MacroPlayer.prototype.RegExpTable["endif"] = "^\\s*$";
+
+MacroPlayer.prototype.isTrueValue = function (value) {
+    return !/^(?:|false|no|0|null|undefined|nan)$/i.test(String(value).trim());
+};
+
+MacroPlayer.prototype.evaluateCondition = function (cmd, eval_id) {
+    var left = imns.unwrap(this.expandVariables(cmd[1], eval_id + "1"));
+    if (!cmd[2])
+        return this.isTrueValue(left);
+
+    var op = cmd[2].toLowerCase();
+    var right = imns.unwrap(this.expandVariables(cmd[3], eval_id + "3"));
+    var numeric = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?\s*$/i;
+    var both_numbers = numeric.test(left) && numeric.test(right);
+    var compare = function () {
+        if (!both_numbers)
+            throw new BadParameter("can not compare non-numeric values \"" +
+                left + "\" and \"" + right + "\" with " + cmd[2]);
+        return parseFloat(left) - parseFloat(right);
+    };
+
+    switch (op) {
+        case "==": case "=":
+            return both_numbers ? compare() == 0 : left == right;
+        case "!=": case "<>":
+            return both_numbers ? compare() != 0 : left != right;
+        case "<": return compare() < 0;
+        case "<=": return compare() <= 0;
+        case ">": return compare() > 0;
+        case ">=": return compare() >= 0;
+        case "contains": case "!contains":
+            return (left.indexOf(right) != -1) == (op == "contains");
+        case "matches": case "!matches":
+            var re;
+            try {
+                re = new RegExp(right);
+            } catch (e) {
+                throw new BadParameter("invalid regular expression " + right);
+            }
+            return re.test(left) == (op == "matches");
+    }
+};
+
+// skip to the next ELSEIF/ELSE branch or to ENDIF, the branch to test is
+// kept with its block so that nested blocks can not clobber it
+MacroPlayer.prototype.skipBranch = function (block, index) {
+    var target = block.branches.find(x => x > index);
+    if (typeof target == "undefined")
+        target = block.end;
+    block.branchTarget = target;
+    this.jumpToAction(target);
+};
+
+MacroPlayer.prototype.ActionTable["if"] = function (cmd) {
+    var action = this.currentAction;
+    action.block.branchTarget = null;
+    if (!this.evaluateCondition(cmd, "if"))
+        this.skipBranch(action.block, action.index);
+    this.next("IF");
+};
+
+MacroPlayer.prototype.ActionTable["elseif"] = function (cmd) {
+    var action = this.currentAction, block = action.block;
+    if (block.branchTarget !== action.index) {
+        // the previous branch was taken, leave the block
+        this.jumpToAction(block.end);
+    } else if (!this.evaluateCondition(cmd, "elseif")) {
+        this.skipBranch(block, action.index);
+    } else {
+        block.branchTarget = null;
+    }
+    this.next("ELSEIF");
+};
+
+MacroPlayer.prototype.ActionTable["else"] = function () {
+    var action = this.currentAction, block = action.block;
+    if (block.branchTarget !== action.index)
+        this.jumpToAction(block.end);
+    block.branchTarget = null;
+    this.next("ELSE");
+};
+
+MacroPlayer.prototype.ActionTable["endif"] = function () {
+    this.currentAction.block.branchTarget = null;
+    this.next("ENDIF");
+};
+
+
+
 // IMAGESEARCH command http://wiki.imacros.net/IMAGESEARCH
 MacroPlayer.prototype.RegExpTable["imagesearch"] =
     "^pos\\s*=\\s*(" + im_strre +
@@ -2113,6 +2332,96 @@ MacroPlayer.prototype.ActionTable["imagesearch"] = function (cmd) {
 
 
 
+// LOOP command (in-macro block loops), see docs/LOOP_SYNTAX.md
+//   LOOP NEST n ... LOOP, LOOP BREAK, LOOP CONTINUE (LOOP NEXT)
+MacroPlayer.prototype.RegExpTable["loop"] =
+    "^(?:(break|continue|next)|nest\\s+(" + im_strre + ")|())\\s*$";
+
+// maximum depth of LOOP NEST blocks ({{!LOOP1}}..{{!LOOP10}})
+MacroPlayer.prototype.MAX_LOOP_NEST_LEVEL = 10;
+
+MacroPlayer.prototype.getLoopKind = function (args) {
+    if (args[1])
+        return args[1].toLowerCase() == "break" ? "break" : "continue";
+    return typeof args[2] != "undefined" ? "nest" : "end";
+};
+
+// update {{!LOOPn}} of a nested loop frame
+MacroPlayer.prototype.setNestedLoopCounter = function (frame, value) {
+    frame.current = value;
+    if (this.varManager)
+        this.varManager.setVar(frame.loopVarName, value);
+};
+
+MacroPlayer.prototype.getNestedLoopCounter = function (level) {
+    if (this.varManager)
+        return this.varManager.getVar("LOOP" + level) || 0;
+    var frame = this.loopStack.find(f => f.level == level);
+    return frame ? frame.current : 0;
+};
+
+MacroPlayer.prototype.ActionTable["loop"] = function (cmd) {
+    var block = this.currentAction.block;
+    var frame = this.loopStack[this.loopStack.length - 1];
+    switch (this.getLoopKind(cmd)) {
+        case "nest":
+            var count = imns.s2i(imns.unwrap(
+                this.expandVariables(cmd[2], "loop2")
+            ));
+            if (isNaN(count) || count < 0)
+                throw new BadParameter("LOOP NEST count must be non-negative integer");
+            this.checkFreewareLimits("loops", count);
+            // drop frames left behind by jumping out of this block earlier
+            while (this.loopStack.length &&
+                this.loopStack[this.loopStack.length - 1].start >= block.start)
+                this.loopStack.pop();
+            if (!count) {
+                this.jumpToAction(block.end + 1);
+                break;
+            }
+            frame = {
+                level: block.level,
+                loopVarName: "LOOP" + block.level,
+                count: count,
+                current: 1,
+                start: block.start,
+                end: block.end,
+                startLine: block.startLine,
+                endLine: block.endLine
+            };
+            this.loopStack.push(frame);
+            this.setNestedLoopCounter(frame, 1);
+            break;
+        case "end":
+            if (!frame || frame.start != block.start)
+                throw new RuntimeError("LOOP end marker without matching LOOP NEST");
+            if (frame.current < frame.count) {
+                this.setNestedLoopCounter(frame, frame.current + 1);
+                this.jumpToAction(frame.start + 1);
+            } else {
+                this.loopStack.pop();
+                this.setNestedLoopCounter(frame, 0);
+            }
+            break;
+        case "break":
+            if (!frame || frame.start != block.start)
+                throw new RuntimeError("LOOP BREAK without active loop");
+            this.loopStack.pop();
+            this.setNestedLoopCounter(frame, 0);
+            this.jumpToAction(frame.end + 1);
+            break;
+        case "continue":
+            if (!frame || frame.start != block.start)
+                throw new RuntimeError("LOOP CONTINUE without active loop");
+            // the end marker advances the counter or leaves the loop
+            this.jumpToAction(frame.end);
+            break;
+    }
+    this.next("LOOP");
+};
+
+
+
 // ONDOWNLOAD command http://wiki.imacros.net/ONDOWNLOAD
 MacroPlayer.prototype.RegExpTable["ondownload"] =
     "^folder\\s*=\\s*(" + im_strre + ")\\s+" +
@@ -2405,6 +2714,80 @@ MacroPlayer.prototype.ActionTable["onscripterror"] =
 
 
 
+// ONDIALOG command http://wiki.imacros.net/ONDIALOG
+MacroPlayer.prototype.RegExpTable["ondialog"] =
+    "^pos\\s*=\\s*(\\S+)\\s+button\\s*=\\s*(\\S+)" +
+    "(?:\\s+content\\s*=\\s*(" + im_strre + "))?\\s*$";
+
+MacroPlayer.prototype.ActionTable["ondialog"] = function (cmd) {
+    var pos = imns.s2i(imns.unwrap(this.expandVariables(cmd[1], "ondialog1")));
+    if (isNaN(pos) || pos < 1)
+        throw new BadParameter("POS=<positive number>", 1);
+    var button = imns.unwrap(this.expandVariables(cmd[2], "ondialog2")).toUpperCase();
+    if (!/^(?:ok|yes|cancel|no)$/i.test(button))
+        throw new BadParameter("BUTTON=OK|YES|CANCEL|NO", 2);
+    var content = cmd[3] ?
+        imns.unwrap(this.expandVariables(cmd[3], "ondialog3")) : null;
+
+    // all answers of the previous ONDIALOG sequence are used, start a new one
+    if (this.dialogPos >= this.dialogAnswers.length) {
+        this.dialogAnswers = [];
+        this.dialogPos = 0;
+    }
+    this.dialogAnswers[pos - 1] = {
+        accept: button == "OK" || button == "YES",
+        button: button,
+        content: content
+    };
+    this.onDialog = pos;
+    this.onDialogButton = button;
+    this.onDialogEntry = content || "";
+
+    this.watchDialogs().then(() => this.next("ONDIALOG"))
+        .catch(e => this.handleError(e));
+};
+
+// dialogs are seen through the debugger, from the start of macros which
+// use ONDIALOG and after the first ONDIALOG command
+MacroPlayer.prototype.watchDialogs = function () {
+    return this.attachDebugger().then(() => {
+        if (!this.dialogHooksRegistered) {
+            this.dialogHooksRegistered = true;
+            // In Offscreen Document, events are forwarded via DEBUGGER_EVENT messages
+            if (hasDebuggerAPI())
+                chrome.debugger.onEvent.addListener(this._onDebuggerEvent);
+        }
+        // Page domain reports Page.javascriptDialogOpening
+        return send_command(this.tab_id, "Page.enable", {});
+    });
+};
+
+MacroPlayer.prototype.onDebuggerEvent = function (source, method, params) {
+    if (!this.playing || !source || source.tabId != this.tab_id)
+        return;
+    if (method == "Page.javascriptDialogOpening")
+        this.onJavaScriptDialog(params);
+};
+
+// answer a dialog with the next queued ONDIALOG answer, a dialog without
+// an answer is dismissed and stops replaying
+MacroPlayer.prototype.onJavaScriptDialog = function (dialog) {
+    var answer = this.dialogAnswers[this.dialogPos++];
+    var reply = { accept: !!answer && answer.accept };
+    if (answer && answer.content !== null && dialog.type == "prompt")
+        reply.promptText = answer.content;
+    send_command(this.tab_id, "Page.handleJavaScriptDialog", reply)
+        .catch(e => console.error("[MacroPlayer] Failed to close dialog:", e));
+
+    this.onDialogResult = dialog.message;
+    if (!answer) {
+        this.handleError(new RuntimeError("unexpected " + dialog.type +
+            " dialog \"" + dialog.message + "\", no ONDIALOG POS=" +
+            this.dialogPos + " answer", 770));
+    }
+};
+
+
 // ONLOGIN command http://wiki.imacros.net/ONLOGIN
 MacroPlayer.prototype.RegExpTable["onlogin"] =
     "^user\\s*=\\s*(" + im_strre + ")\\s+" +
@@ -2684,7 +3067,8 @@ function getSaveAsFile(mplayer, folder, filename, type) {
         if (!exists) {
             throw new RuntimeError("Path " + folder + " does not exist", 732);
         }
-        let defaultName = (type == "extract") ? "extract" : __doc_name(mplayer.currentURL);
+        let defaultName = /^(?:extract|json|xlsx)$/.test(type) ?
+            "extract" : __doc_name(mplayer.currentURL);
         if (filename == "*") {
             filename = defaultName;
         } else if (filename.match(/^\+(.+)$/)) {
@@ -2697,13 +3081,14 @@ function getSaveAsFile(mplayer, folder, filename, type) {
             f.append(__ensure_ext(filename, "csv"));
         } else if (type == "mht") {
             f.append(__ensure_ext(filename, "mht"));
-        } else if (type == "txt" || type == "htm") {
+        } else if (type == "txt" || type == "htm" ||
+            type == "json" || type == "xlsx") {
             f.append(__ensure_ext(filename, type));
         } else if (/^png|jpeg$/.test(type)) {
             f.append(__ensure_ext(filename, type == "jpeg" ? "jpg" : "png"));
         } else {
             throw new BadParameter("iMacros for Chrome supports only " +
-                "MHT|HTM|TXT|EXTRACT|PNG|JPEG SAVEAS types")
+                "MHT|HTM|TXT|EXTRACT|JSON|XLSX|PNG|JPEG SAVEAS types")
         }
 
         return f;
@@ -2722,14 +3107,31 @@ MacroPlayer.prototype.ActionTable["saveas"] = function (cmd) {
     let mplayer = this;
     getSaveAsFile(mplayer, folder, filename, type).then(f => {
         if (type == "extract") {
-            let data = mplayer.getExtractData();
+            let toCSV = values => '"' + values.map(
+                value => value.replace(/\"/g, '""')
+            ).join('"' + (mplayer.dataSourceDelimiter || ",") + '"') + '"';
+            let eol = __is_windows() ? "\r\n" : "\n";
+            let data = mplayer.getExtractRows()
+                .map(row => toCSV(row) + eol).join("");
+            // named columns head a new file
+            let header = mplayer.hasExtractColumnNames() ?
+                toCSV(mplayer.getExtractColumns()) : null;
+            mplayer.clearExtractData();
+            (header ? f.exists() : Promise.resolve(true)).then(exists => {
+                return afio.appendTextFile(f,
+                    (exists ? "" : header + eol) + data);
+            }).then(() => mplayer.next("SAVEAS"))
+                .catch(err => mplayer.handleError(err));
+        } else if (type == "json" || type == "xlsx") {
+            let rows = mplayer.getExtractRows();
+            let columns = mplayer.getExtractColumns();
+            let named = mplayer.hasExtractColumnNames();
             mplayer.clearExtractData();
-            data = data.replace(/\"/g, '""');
-            data = '"' + data.replace(/\[EXTRACT\]/g, '"' +
-                mplayer.dataSourceDelimiter +
-                '"') + '"';
-            afio.appendTextFile(f, data + (__is_windows() ? "\r\n" : "\n"))
-                .then(() => mplayer.next("SAVEAS"))
+            let saved = type == "json" ?
+                mplayer.appendJsonRecords(f, rows.map(
+                    row => mplayer.makeExtractRecord(columns, row))) :
+                mplayer.appendXlsxRows(f, named ? columns : null, rows);
+            saved.then(() => mplayer.next("SAVEAS"))
                 .catch(err => mplayer.handleError(err));
         } else if (type == "mht") {
             chrome.pageCapture.saveAsMHTML(
@@ -2780,7 +3182,10 @@ MacroPlayer.prototype.ActionTable["saveas"] = function (cmd) {
 
 // SCREENSHOT command
 MacroPlayer.prototype.RegExpTable["screenshot"] =
-    "^type\\s*=\\s*(browser|page)\\s+" +
+    "^type\\s*=\\s*(browser|page|element|region)\\s+" +
+    "(?:(selector|xpath)\\s*=\\s*(" + im_strre + ")\\s+)?" +
+    "(?:x\\s*=\\s*(" + im_strre + ")\\s+y\\s*=\\s*(" + im_strre + ")\\s+" +
+    "w\\s*=\\s*(" + im_strre + ")\\s+h\\s*=\\s*(" + im_strre + ")\\s+)?" +
     "folder\\s*=\\s*(" + im_strre + ")\\s+" +
     "file\\s*=\\s*(" + im_strre + ")\\s*$";
 
@@ -2806,7 +3211,13 @@ MacroPlayer.prototype.doSplitCycle = function (canvas, ctx, moves, type, callbac
                         let img = new Image(move.width, move.height)
                         img.src = dataURL
                         img.onload = () => {
-                            ctx.drawImage(img, move.x_offset, move.y_offset);
+                            if (move.scale) {
+                                // areas are in CSS pixels, scale HiDPI captures down
+                                ctx.drawImage(img, move.x_offset, move.y_offset,
+                                    move.width, move.height);
+                            } else {
+                                ctx.drawImage(img, move.x_offset, move.y_offset);
+                            }
                             this.doSplitCycle(canvas, ctx, rest, type, callback)
                         }
                     }
@@ -2816,7 +3227,22 @@ MacroPlayer.prototype.doSplitCycle = function (canvas, ctx, moves, type, callbac
     }
 };
 
-MacroPlayer.prototype.splitPage = function (dmns, type, callback) {
+// region is {x, y, width, height} in CSS pixels of the top document,
+// without it the whole page is captured
+MacroPlayer.prototype.splitPage = function (dmns, type, callback, region) {
+    let area = { x: 0, y: 0, width: dmns.doc_w, height: dmns.doc_h };
+    if (region) {
+        let x = Math.max(0, region.x), y = Math.max(0, region.y);
+        area = {
+            x: x, y: y,
+            width: Math.min(region.x + region.width, dmns.doc_w) - x,
+            height: Math.min(region.y + region.height, dmns.doc_h) - y
+        };
+        if (area.width <= 0 || area.height <= 0) {
+            callback(null);
+            return;
+        }
+    }
     let overlap = 200; // minimum overlap, to avoid sticky headers.
     let split = function (w, x, xs) {
         if (w <= 0) {
@@ -2832,18 +3258,22 @@ MacroPlayer.prototype.splitPage = function (dmns, type, callback) {
         return xs
     }
     // steps to perform in x-direction
-    let xs = split(dmns.doc_w, dmns.win_w, [])
+    let xs = split(area.width, dmns.win_w, [])
     // steps to perform in y-direction
-    let ys = split(dmns.doc_h, dmns.win_h, [])
+    let ys = split(area.height, dmns.win_h, [])
     // the two above combined and flattened
     let [moves,] = ys.reduce(([y_acc, y_offset], y_step) => {
         let [x_moves,] = xs.reduce(([x_acc, x_offset], x_step) => {
             let move = {
                 // if this is the last piece, make the offset as large as its size, so that it sits at the end.
-                x_offset: (x_offset + dmns.win_w) <= dmns.doc_w ? x_offset : dmns.doc_w - dmns.win_w,
-                y_offset: (y_offset + dmns.win_h) <= dmns.doc_h ? y_offset : dmns.doc_h - dmns.win_h,
+                x_offset: (area.x + x_offset + dmns.win_w) <= dmns.doc_w ?
+                    area.x + x_offset : Math.max(0, dmns.doc_w - dmns.win_w),
+                y_offset: (area.y + y_offset + dmns.win_h) <= dmns.doc_h ?
+                    area.y + y_offset : Math.max(0, dmns.doc_h - dmns.win_h),
                 width: dmns.win_w,
-                height: dmns.win_h
+                height: dmns.win_h,
+                // only areas of the page are scaled to CSS pixels
+                scale: !!region
             }
             return [x_acc.concat(move), x_offset + x_step]
         }, [[], 0])
@@ -2851,23 +3281,25 @@ MacroPlayer.prototype.splitPage = function (dmns, type, callback) {
     }, [[], 0])
     let canvas = document.createElementNS("http://www.w3.org/1999/xhtml",
         "canvas");
-    canvas.style.width = dmns.doc_w + "px";
-    canvas.style.height = dmns.doc_h + "px";
-    canvas.width = dmns.doc_w;
-    canvas.height = dmns.doc_h;
+    canvas.style.width = area.width + "px";
+    canvas.style.height = area.height + "px";
+    canvas.width = area.width;
+    canvas.height = area.height;
     let ctx = canvas.getContext("2d");
+    // pieces are drawn at their scroll position, in page coordinates
+    ctx.translate(-area.x, -area.y);
     // Start from the end. If starting from the beginning, sticky headers appear, avoiding sticky footers instead.
     moves.reverse();
     this.doSplitCycle(canvas, ctx, moves, type, callback);
 };
 
-MacroPlayer.prototype.captureWebPage = function (callback, type) {
+MacroPlayer.prototype.captureWebPage = function (callback, type, region) {
     var mplayer = this;
     communicator.postMessage(
         "query-page-dimensions",
         {}, this.tab_id,
         function (dmns) {
-            mplayer.splitPage(dmns, type || "png", callback);
+            mplayer.splitPage(dmns, type || "png", callback, region);
         },
         { number: 0 }
     );
@@ -2879,13 +3311,41 @@ MacroPlayer.prototype.ActionTable["screenshot"] = function (cmd) {
     if (!this.afioIsInstalled)
         throw new RuntimeError("SCREENSHOT requires File IO interface", 660);
 
-    var folder = imns.unwrap(this.expandVariables(cmd[2], "screenshot2"));
+    var folder = imns.unwrap(this.expandVariables(cmd[8], "screenshot8"));
     var type = imns.unwrap(this.expandVariables(cmd[1], "screenshot1")).
         toLowerCase();
-    if (type != "page") {
+    if (type == "browser") {
         throw new BadParameter("SCREENSHOT TYPE=" + type.toUpperCase() +
             " is not supported");
     }
+    if (type == "element" ? !cmd[2] : !!cmd[2]) {
+        throw new BadParameter("SELECTOR or XPATH is required by " +
+            "SCREENSHOT TYPE=ELEMENT and only used with it");
+    }
+    if (type == "region" ? !cmd[4] : !!cmd[4]) {
+        throw new BadParameter("X, Y, W and H are required by " +
+            "SCREENSHOT TYPE=REGION and only used with it");
+    }
+
+    // area of the top document to capture, the whole page if null
+    var region = null;
+    if (type == "region") {
+        region = {};
+        ["x", "y", "width", "height"].forEach((name, i) => {
+            var value = imns.unwrap(this.expandVariables(cmd[4 + i],
+                "screenshot" + (4 + i)));
+            if (!/^\d+$/.test(value))
+                throw new BadParameter(name.charAt(0).toUpperCase() +
+                    "=<number> where <number> is a non-negative integer", 4 + i);
+            region[name] = imns.s2i(value);
+        });
+    }
+    var locator = null;
+    if (type == "element") {
+        locator = {};
+        locator[cmd[2].toLowerCase()] =
+            imns.unwrap(this.expandVariables(cmd[3], "screenshot3"));
+    }
 
     var f = null;
     if (folder == "*") {
@@ -2894,7 +3354,7 @@ MacroPlayer.prototype.ActionTable["screenshot"] = function (cmd) {
         f = afio.openNode(folder);
     }
 
-    var file = imns.unwrap(this.expandVariables(cmd[3], "saveas3")), t;
+    var file = imns.unwrap(this.expandVariables(cmd[9], "saveas9")), t;
 
     var mplayer = this;
     f.exists().then(function (exists) {
@@ -2912,49 +3372,356 @@ MacroPlayer.prototype.ActionTable["screenshot"] = function (cmd) {
         var re = new RegExp('\\s*[:*?|<>\\"/]+\\s*', "g");
         file = file.replace(re, "_");
         f.append(__ensure_ext(file, "png"));
-        communicator.postMessage("webpage-hide-scrollbars", { hide: true }, mplayer.tab_id, () => { });
-        mplayer.captureWebPage(function (data) {
-            communicator.postMessage("webpage-hide-scrollbars", { hide: false }, mplayer.tab_id, () => { });
-            var re = /data\:([\w-]+\/[\w-]+)?(?:;(base64))?,(.+)/;
-            var m = re.exec(data);
-            var imageData = {
-                image: m[3],
-                encoding: m[2],
-                mimeType: m[1]
-            };
-            afio.writeImageToFile(f, imageData).then(function () {
-                mplayer.next("SCREENSHOT");
-            }).catch(function (e) {
-                mplayer.handleError(e);
+        return locator ? mplayer.queryElementRect(locator) : region;
+    }).then(function (area) {
+        return mplayer.capturePageImage(area);
+    }).then(function (data) {
+        return afio.writeImageToFile(f, parseImageDataUrl(data));
+    }).then(function () {
+        mplayer.next("SCREENSHOT");
+    }).catch(function (err) {
+        mplayer.handleError(err);
+    });
+};
+
+// imageData of afio.writeImageToFile() for a data URL
+function parseImageDataUrl(data) {
+    var m = /data\:([\w-]+\/[\w-]+)?(?:;(base64))?,(.+)/.exec(data);
+    return {
+        image: m[3],
+        encoding: m[2],
+        mimeType: m[1]
+    };
+}
+
+// PNG data URL of the page, or of the region of it, without scrollbars
+MacroPlayer.prototype.capturePageImage = function (region) {
+    return new Promise((resolve, reject) => {
+        communicator.postMessage("webpage-hide-scrollbars", { hide: true }, this.tab_id, () => { });
+        this.captureWebPage(data => {
+            communicator.postMessage("webpage-hide-scrollbars", { hide: false }, this.tab_id, () => { });
+            if (data) {
+                resolve(data);
+                return;
+            }
+            reject(new RuntimeError("Can not capture " + (region ?
+                "the area at " + [region.x, region.y, region.width,
+                    region.height].join(",") + ", it is outside of the page" :
+                "the page")));
+        }, "png", region);
+    });
+};
+
+// SCREENSHOT TYPE=ELEMENT, rectangle of the element found by locator
+// ({selector} or {xpath}) in the current frame, in top document coordinates
+MacroPlayer.prototype.queryElementRect = function (locator) {
+    return new Promise((resolve, reject) => {
+        communicator.postMessage("query-element-rect", locator, this.tab_id,
+            function (data) {
+                if (!data || data.error)
+                    reject(data && data.error ||
+                        new RuntimeError("Can not locate the element"));
+                else
+                    resolve(data.rect);
+            },
+            this.currentFrame);
+    });
+};
+
+
+// ASSERT and VERIFY commands, ASSERT stops the macro when the check fails
+// while VERIFY only records the failure in the test report
+MacroPlayer.prototype.RegExpTable["assert"] =
+    "^(?:screenshot\\s+name\\s*=\\s*(" + im_strre + ")" +
+    "(?:\\s+tolerance\\s*=\\s*(" + im_strre + "))?" +
+    "|(text|url|title)\\s*=\\s*(" + im_strre + ")" +
+    "|var\\s+(\\{\\{[^{}\\s]+\\}\\})\\s*=\\s*(" + im_strre + ")" +
+    "|count\\s+(selector|xpath)\\s*=\\s*(" + im_strre + ")" +
+    "\\s+(eq|ne|gt|ge|lt|le)\\s*=\\s*(" + im_strre + "))\\s*$";
+
+MacroPlayer.prototype.RegExpTable["verify"] =
+    MacroPlayer.prototype.RegExpTable["assert"];
+
+MacroPlayer.prototype.ActionTable["assert"] = function (cmd) {
+    this.playAssertion("ASSERT", cmd);
+};
+
+MacroPlayer.prototype.ActionTable["verify"] = function (cmd) {
+    this.playAssertion("VERIFY", cmd);
+};
+
+MacroPlayer.prototype.playAssertion = function (cmd_name, cmd) {
+    var check;
+    if (cmd[1] != null) {
+        if (this.noContentPage(cmd_name))
+            return;
+        check = this.checkScreenshot(cmd_name, cmd);
+    } else if (cmd[3] != null) {
+        var type = cmd[3].toUpperCase();
+        var expected = imns.unwrap(this.expandVariables(cmd[4], "assert4"));
+        if (type == "TEXT") {
+            if (this.noContentPage(cmd_name))
+                return;
+            check = this.checkPageText(expected);
+        } else {
+            check = this.queryTab().then(function (tab) {
+                var value = type == "URL" ? tab.url : tab.title;
+                return wildcardRegExp(expected, "^", "$").test(value) ? null :
+                    type + " is \"" + value + "\"";
             });
+        }
+    } else if (cmd[5] != null) {
+        var actual = imns.unwrap(this.expandVariables(cmd[5], "assert5"));
+        check = Promise.resolve(actual ===
+            imns.unwrap(this.expandVariables(cmd[6], "assert6")) ? null :
+            cmd[5] + " is \"" + actual + "\"");
+    } else {
+        if (this.noContentPage(cmd_name))
+            return;
+        check = this.checkElementCount(cmd);
+    }
+
+    var mplayer = this, action = this.currentAction, started = Date.now();
+    check.then(function (failure) {
+        var text = cmd_name + " " + imns.trim(cmd[0]);
+        mplayer.testResults.push({
+            name: text,
+            line: action ? mplayer.actionLocation(action) : "",
+            loop: mplayer.currentLoop,
+            time: (Date.now() - started) / 1000,
+            failure: failure ? text + " failed: " + failure : null
         });
+        if (!failure) {
+            mplayer.next(cmd_name);
+        } else if (cmd_name == "ASSERT") {
+            throw new AssertionFailed(text + " failed: " + failure);
+        } else {
+            console.warn(text + " failed: " + failure);
+            notifyPanelStatLine(mplayer.win_id,
+                text + " failed: " + failure, "warning");
+            mplayer.next(cmd_name);
+        }
     }).catch(function (err) {
         mplayer.handleError(err);
     });
 };
 
+// the pattern of TEXT=, URL= and TITLE=: * matches any text and a space
+// any whitespace
+function wildcardRegExp(str, prefix, suffix) {
+    return new RegExp(prefix + imns.escapeREChars(str).
+        replace(/\*/g, "(?:[\\r\\n]|.)*").replace(/ /g, "\\s+") + suffix);
+}
+
+// the tab of the macro, for URL= and TITLE=
+MacroPlayer.prototype.queryTab = function () {
+    return new Promise((resolve, reject) => {
+        mpGetTab(this, this.tab_id, function (tab) {
+            if (tab)
+                resolve(tab);
+            else
+                reject(new RuntimeError("Can not get the URL and title of the tab"));
+        });
+    });
+};
+
+// ASSERT TEXT=, the text is searched in the rendered text of the frame
+MacroPlayer.prototype.checkPageText = function (text) {
+    return new Promise((resolve, reject) => {
+        communicator.postMessage("assert-query", { type: "text" }, this.tab_id,
+            function (data) {
+                if (!data || data.error)
+                    reject(data && data.error ||
+                        new RuntimeError("Can not read the page text"));
+                else
+                    resolve(wildcardRegExp(text, "", "").test(data.text) ?
+                        null : "the text was not found on the page");
+            },
+            this.currentFrame);
+    });
+};
+
+// ASSERT COUNT SELECTOR=|XPATH= <op>=<n>
+MacroPlayer.prototype.checkElementCount = function (cmd) {
+    var query = { type: "count" };
+    query[cmd[7].toLowerCase()] =
+        imns.unwrap(this.expandVariables(cmd[8], "assert8"));
+    var op = cmd[9].toUpperCase();
+    var n = imns.unwrap(this.expandVariables(cmd[10], "assert10"));
+    if (!/^\d+$/.test(n))
+        throw new BadParameter(op + "=<number of elements>", 3);
+    n = parseInt(n, 10);
+    var compare = {
+        EQ: x => x == n, NE: x => x != n, GT: x => x > n,
+        GE: x => x >= n, LT: x => x < n, LE: x => x <= n
+    };
+    return new Promise((resolve, reject) => {
+        communicator.postMessage("assert-query", query, this.tab_id,
+            function (data) {
+                if (!data || data.error)
+                    reject(data && data.error ||
+                        new RuntimeError("Can not count the elements"));
+                else
+                    resolve(compare[op](data.count) ? null :
+                        "found " + data.count + " element" +
+                        (data.count == 1 ? "" : "s"));
+            },
+            this.currentFrame);
+    });
+};
+
+// ASSERT SCREENSHOT, compares the page with its baseline image
+MacroPlayer.prototype.checkScreenshot = function (cmd_name, cmd) {
+    if (!this.afioIsInstalled)
+        throw new RuntimeError(cmd_name +
+            " SCREENSHOT requires File IO interface", 660);
+
+    var name = imns.unwrap(this.expandVariables(cmd[1], "assert1"));
+    // replace illegal file name characters < > : " / \ | ? * by underscores
+    name = name.replace(/\s*[:*?|<>\"/\\]+\s*/g, "_");
+    if (!name)
+        throw new BadParameter("NAME=<name>", 1);
+    // percentage of pixels allowed to differ, the % sign is optional
+    var tolerance = 0;
+    if (cmd[2]) {
+        var m = /^(\d+(?:\.\d+)?)%?$/.exec(
+            imns.unwrap(this.expandVariables(cmd[2], "assert2")));
+        if (!m || parseFloat(m[1]) > 100)
+            throw new BadParameter("TOLERANCE=<percent> from 0 to 100", 2);
+        tolerance = parseFloat(m[1]);
+    }
+
+    // baselines and diffs are kept in the baselines folder of downloads
+    var folder = this.defDownloadFolder.clone();
+    folder.append("baselines");
+    var file = leaf => {
+        var node = folder.clone();
+        node.append(leaf);
+        return node;
+    };
+    var baseline = file(name + ".png");
+    var mplayer = this, actual;
+    return folder.exists().then(function (exists) {
+        return exists || afio.makeDirectory(folder);
+    }).then(function () {
+        return mplayer.capturePageImage(null);
+    }).then(function (data) {
+        actual = data;
+        return baseline.exists();
+    }).then(function (exists) {
+        if (!exists) {
+            // the first run records the baseline
+            return afio.writeImageToFile(baseline, parseImageDataUrl(actual))
+                .then(() => notifyPanelStatLine(mplayer.win_id,
+                    cmd_name + " SCREENSHOT saved baseline " + baseline.path,
+                    "info"));
+        }
+        return afio.readBinaryFile(baseline).then(function (url) {
+            return Promise.all([
+                mplayer.loadImagePixels(url), mplayer.loadImagePixels(actual)
+            ]);
+        }).then(function ([expected, got]) {
+            if (expected.width != got.width || expected.height != got.height) {
+                return afio.writeImageToFile(file(name + ".actual.png"),
+                    parseImageDataUrl(actual)).then(function () {
+                        return "the page is " + got.width + "x" + got.height +
+                            ", the baseline " + expected.width + "x" +
+                            expected.height;
+                    });
+            }
+            var diff = ImageDiff.compare(expected.data, got.data);
+            var percent = diff.count * 100 / Math.max(diff.total, 1);
+            if (percent <= tolerance)
+                return null;
+            var diffImage = mplayer.makeImageDataUrl(
+                expected.width, expected.height, diff.pixels);
+            return afio.writeImageToFile(file(name + ".actual.png"),
+                parseImageDataUrl(actual)
+            ).then(function () {
+                return afio.writeImageToFile(file(name + ".diff.png"),
+                    parseImageDataUrl(diffImage));
+            }).then(function () {
+                return percent.toFixed(2) + "% of the pixels differ from " +
+                    "the baseline, TOLERANCE=" + tolerance + "%, see " +
+                    file(name + ".diff.png").path;
+            });
+        });
+    }).then(failure => failure || null);
+};
+
+// {width, height, data} with the RGBA pixels of an image data URL
+MacroPlayer.prototype.loadImagePixels = function (url) {
+    return new Promise(function (resolve, reject) {
+        var img = new Image();
+        img.onload = function () {
+            // getImageData() throws on a canvas tainted by a file: URL
+            try {
+                var canvas = document.createElementNS(
+                    "http://www.w3.org/1999/xhtml", "canvas");
+                canvas.width = img.naturalWidth;
+                canvas.height = img.naturalHeight;
+                var ctx = canvas.getContext("2d");
+                ctx.drawImage(img, 0, 0);
+                resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
+            } catch (e) {
+                reject(new RuntimeError("Can not read image " +
+                    url.substring(0, 64) + ": " + e.message));
+            }
+        };
+        img.onerror = function () {
+            reject(new RuntimeError("Can not read image " +
+                url.substring(0, 64)));
+        };
+        img.src = url;
+    });
+};
+
+// PNG data URL of RGBA pixels
+MacroPlayer.prototype.makeImageDataUrl = function (width, height, pixels) {
+    var canvas = document.createElementNS("http://www.w3.org/1999/xhtml",
+        "canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").putImageData(
+        new ImageData(pixels, width, height), 0, 0);
+    return canvas.toDataURL("image/png");
+};
+
 
 // SEARCH command
 MacroPlayer.prototype.RegExpTable["search"] =
-    "^source\\s*=\\s*(txt|regexp):(" + im_strre + ")" +
+    "^source\\s*=\\s*(txt|regexp|text):(" + im_strre + ")" +
+    "(?:\\s+scope\\s*=\\s*selector:(" + im_strre + "))?" +
     "(?:\\s+ignore_case\\s*=\\s*(yes|no))?" +
-    "(?:\\s+extract\\s*=\\s*(" + im_strre + "))?\\s*$";
+    "(?:\\s+match\\s*=\\s*(first|all))?" +
+    "(?:\\s+extract\\s*=\\s*(" + im_strre + "))?" +
+    "(?:\\s+as\\s*=\\s*(\\w+))?\\s*$";
 
 MacroPlayer.prototype.ActionTable["search"] = function (cmd) {
+    var type = cmd[1].toLowerCase();
     var query = imns.unwrap(this.expandVariables(cmd[2]));
-    var extract = cmd[4] ? imns.unwrap(this.expandVariables(cmd[4])) : "";
-    var ignore_case = cmd[3] && /^yes$/i.test(cmd[3]) ? "i" : "";
-    var search_re;
+    var scope = cmd[3] ? imns.unwrap(this.expandVariables(cmd[3])) : "";
+    var ignore_case = cmd[4] && /^yes$/i.test(cmd[4]) ? "i" : "";
+    var all = !!cmd[5] && /^all$/i.test(cmd[5]);
+    var extract = cmd[6] ? imns.unwrap(this.expandVariables(cmd[6])) : "";
 
     // check if EXTRACT is present
-    if (extract && !(cmd[1].toLowerCase() == "regexp"))
-        throw new BadParameter("EXTRACT has sense only for REGEXP search");
+    if (extract && type == "txt")
+        throw new BadParameter("EXTRACT has sense only for REGEXP " +
+            "or TEXT search");
+    // AS= names the extracted values, MATCH=ALL extracts the whole
+    // matches if there is no EXTRACT
+    if (cmd[7] && !extract && !all)
+        throw new BadParameter("AS can only be used with EXTRACT");
+    this.extractFieldName = cmd[7] || null;
 
     var data = {
-        type: cmd[1].toLowerCase(),
+        type: type,
         query: query,
+        scope: scope,
         extract: extract,
-        ignore_case: ignore_case
+        ignore_case: ignore_case,
+        all: all
     };
 
     communicator.postMessage("search-command", data, this.tab_id,
@@ -2967,8 +3734,12 @@ MacroPlayer.prototype.onSearchComplete = function (data) {
     if (data.error) {
         this.handleError(data.error);
     } else {
-        if (data.extract)
-            this.showAndAddExtractData(data.extract);
+        if (data.values) {
+            this.addExtractColumn(data.values, this.extractFieldName);
+            this.showExtractDialog(data.values.join("[EXTRACT]"));
+        } else if (data.extract) {
+            this.showAndAddExtractData(data.extract, this.extractFieldName);
+        }
         this.next("onSearchComplete");
     }
 };
@@ -3016,6 +3787,11 @@ MacroPlayer.prototype.ActionTable["set"] = function (cmd) {
             break;
         case "!extractadd":
             this.addExtractData(param); break;
+        case "!extract_columns":
+            // keys of SAVEAS TYPE=JSON records and the XLSX header row
+            this.extractColumns = /^(?:null)?$/i.test(param) ? [] :
+                param.split(",").map(name => name.trim());
+            break;
         case "!extract_test_popup":
             this.shouldPopupExtract = /^yes$/i.test(param); break;
         case "!errorignore":
@@ -3030,6 +3806,10 @@ MacroPlayer.prototype.ActionTable["set"] = function (cmd) {
                 .then(() => this.next("SET"))
                 .catch(e => this.handleError(e))
             return;
+        case "!datasource_header":
+            if (!/^(?:yes|no)$/i.test(param))
+                throw new BadParameter("!DATASOURCE_HEADER must be YES or NO");
+            this.dataSourceHasHeader = /^yes$/i.test(param); break;
         case "!datasource_line":
             var x = imns.s2i(param);
             if (isNaN(x) || x <= 0)
@@ -3047,7 +3827,23 @@ MacroPlayer.prototype.ActionTable["set"] = function (cmd) {
         case "!datasource_delimiter":
             if (param.length > 1)
                 throw new BadParameter("!DATASOURCE_DELIMITER must be single character");
-            this.dataSourceDelimiter = param;
+            // empty value sniffs the delimiter of each file
+            this.dataSourceDelimiter = param || null;
+            break;
+        case "!datasource_path":
+            if (param)
+                parseJsonPath(param);
+            this.dataSourcePath = param;
+            break;
+        case "!datasource_encoding":
+            if (/^auto$/i.test(param) || !param) {
+                this.dataSourceEncoding = null;
+                break;
+            }
+            this.dataSourceEncoding = CsvParser.normalizeEncoding(param);
+            if (!this.dataSourceEncoding)
+                throw new BadParameter("!DATASOURCE_ENCODING must be UTF-8, " +
+                    "UTF-16LE, UTF-16BE, Shift_JIS, EUC-JP, Windows-1252 or AUTO");
             break;
         case "!folder_datasource":
             if (!this.afioIsInstalled) {
@@ -3222,6 +4018,40 @@ MacroPlayer.prototype.ActionTable["set"] = function (cmd) {
             }
             break;
 
+        case "!file_log":
+            if (param.toLowerCase() == "no") {
+                this.writeRunLog = false;
+                this.logFile = "";
+            } else {
+                if (!this.afioIsInstalled) {
+                    throw new RuntimeError(
+                        "!FILE_LOG requires File IO interface", 660
+                    );
+                }
+                this.writeRunLog = true;
+                this.logFile = param;
+                if (!this.runLog)
+                    this.runLog = [];
+                // the SET that turns the log on is its first entry
+                if (this.currentAction)
+                    this.startRunLogEntry(this.currentAction);
+            }
+            break;
+
+        case "!file_testreport":
+            if (param.toLowerCase() == "no") {
+                this.writeTestReport = false;
+            } else {
+                if (!this.afioIsInstalled) {
+                    throw new RuntimeError(
+                        "!FILE_TESTREPORT requires File IO interface", 660
+                    );
+                }
+                this.writeTestReport = true;
+                this.testReportFile = param;
+            }
+            break;
+
         case "!linenumber_delta":
             var x = imns.s2i(param);
             if (isNaN(x) || x > 0)
@@ -3246,6 +4076,17 @@ MacroPlayer.prototype.ActionTable["set"] = function (cmd) {
                 } else {
                     this.vars[idx] = param;
                 }
+            } else if (/^!datasource_\w+$/i.test(cmd[1])) {
+                // named datasource, read with {{!COLn@NAME}}
+                if (!this.afioIsInstalled) {
+                    throw new RuntimeError(
+                        "!DATASOURCE requires File IO interface", 660
+                    );
+                }
+                this.loadDataSource(param, cmd[1].substring(12))
+                    .then(() => this.next("SET"))
+                    .catch(e => this.handleError(e))
+                return;
             } else if (/^!\S+$/.test(cmd[1])) {
                 throw new BadParameter("Unsupported variable " + cmd[1]);
             } else {
@@ -3412,18 +4253,32 @@ MacroPlayer.prototype.globalTimer = {
 
 // regexp for matching att1:"val1"&&att2:val2.. sequence
 const im_atts_re = "(?:[-\\w]+:" + im_strre + "(?:&&[-\\w]+:" + im_strre + ")*|\\*?)";
+// kind1:value1||kind2:value2... of TAG LOCATORS=, tried in turn
+const im_locators_re = "[-\\w]+:" + im_strre + "(?:\\|\\|[-\\w]+:" + im_strre + ")*";
+
+// WITHIN=SELECTOR:.card:has-text("Plan B"), quoted parts may have spaces
+const im_within_re = "(selector|xpath):(" + im_strre +
+    "|(?:[^\\s\"]|\"(?:[^\"\\\\]|\\\\.)*\")+)";
 
 MacroPlayer.prototype.RegExpTable["tag"] =
-    "^(?:pos\\s*=\\s*(\\S+)\\s+" +
+    "^(?:within\\s*=\\s*" + im_within_re + "\\s+)?" +
+    "(?:near\\s*=\\s*(" + im_strre + ")" +
+    "(?:\\s+direction\\s*=\\s*(left|right|above|below))?\\s+)?" +
+    "(?:(?:pos\\s*=\\s*(\\S+)\\s+)?" +
     "type\\s*=\\s*(\\S+)" +
-    "(?:\\s+form\\s*=\\s*(" + im_atts_re + "))?\\s+" +
-    "attr\\s*=\\s*(" + im_atts_re + ")" +
-    "|(selector|xpath)\\s*=\\s*(" + im_strre + "))" +
+    "(?:\\s+form\\s*=\\s*(" + im_atts_re + "))?" +
+    "(?:\\s+attr\\s*=\\s*(" + im_atts_re + "))?" +
+    "|(selector|xpath)\\s*=\\s*(" + im_strre + ")" +
+    "|(?:type\\s*=\\s*(\\S+)\\s+)?locators\\s*=\\s*(" + im_locators_re + ")" +
+    "|role\\s*=\\s*(" + im_strre + ")(?:\\s+name\\s*=\\s*(" + im_strre + "))?" +
+    "|(text|label)\\s*=\\s*(" + im_strre + "))" +
     //"|xpath \\s*=\\s*("+im_strre+"))"+
     "(?:\\s+(content|extract)\\s*=\\s*" +
     "([%$#]" + im_strre + "(?::[%$#]" + im_strre + ")*|" +
     "event:" + im_strre + "|" +
-    im_strre + "))?\\s*$";
+    im_strre + "))?" +
+    "(?:\\s+pos\\s*=\\s*(all))?" +
+    "(?:\\s+as\\s*=\\s*(\\w+))?\\s*$";
 
 MacroPlayer.prototype.ActionTable["tag"] = function (cmd) {
     if (this.noContentPage("TAG"))
@@ -3447,13 +4302,27 @@ MacroPlayer.prototype.ActionTable["tag"] = function (cmd) {
     };
 
     var isPasswordElement = false;
+    // ATTR value to regexp source, * matches any text and a space any
+    // whitespace
+    const attPattern = (str, eval_id) => {
+        var val = imns.unwrap(this.expandVariables(str, eval_id));
+        // While replaying:
+        // 1. remove all leading/trailing whitespaces
+        // 2. remove all linebreaks in the target string
+        val = imns.escapeTextContent(val);
+        val = imns.escapeREChars(val);
+        val = val.replace(/\*/g, '(?:\n|.)*');
+        // 3. treat all <SP> as a one or more whitespaces
+        val = val.replace(/ /g, "\\s+");
+        return "^\\s*" + val + "\\s*$";
+    };
     // parse attr1:val1&&atr2:val2...&&attrN:valN string
     // into array of regexps corresponding to vals
     const parseAtts = str => {
         if (!str || str == "*")
             return null;
         var arr = str.split(new RegExp("&&(?=[-\\w]+:" + im_strre + ")"));
-        var parsed_atts = new Object(), at, val, m;
+        var parsed_atts = new Object(), at, m;
         const re = new RegExp("^([-\\w]+):(" + im_strre + ")$");
         for (var i = 0; i < arr.length; i++) {
             if (!(m = re.exec(arr[i])))
@@ -3466,16 +4335,7 @@ MacroPlayer.prototype.ActionTable["tag"] = function (cmd) {
             }
 
             if (at.length) {
-                val = imns.unwrap(this.expandVariables(m[2], "tag_attr" + i));
-                // While replaying:
-                // 1. remove all leading/trailing whitespaces
-                // 2. remove all linebreaks in the target string
-                val = imns.escapeTextContent(val);
-                val = imns.escapeREChars(val);
-                val = val.replace(/\*/g, '(?:\n|.)*');
-                // 3. treat all <SP> as a one or more whitespaces
-                val = val.replace(/ /g, "\\s+");
-                parsed_atts[at] = "^\\s*" + val + "\\s*$";
+                parsed_atts[at] = attPattern(m[2], "tag_attr" + i);
             } else {
                 parsed_atts[at] = "^$";
             }
@@ -3483,52 +4343,143 @@ MacroPlayer.prototype.ActionTable["tag"] = function (cmd) {
 
         return parsed_atts;
     };
+    // parse kind1:val1||kind2:val2... string into locators, SELECTOR and
+    // XPATH values are used as is, the others are matched like ATTR
+    const parseLocators = str => {
+        var arr = str.split(new RegExp("\\|\\|(?=[-\\w]+:" + im_strre + ")"));
+        const re = new RegExp("^([-\\w]+):(" + im_strre + ")$");
+        return arr.map((text, i) => {
+            var m = re.exec(text), kind = m ? m[1].toLowerCase() : "";
+            if (!/^(?:id|testid|aria|name|txt|selector|xpath)$/.test(kind))
+                throw new BadParameter("LOCATORS=<kind>:<value>||... where " +
+                    "<kind> is ID, TESTID, ARIA, NAME, TXT, SELECTOR or XPATH");
+            var locator = { kind: kind, text: text };
+            if (kind == "selector" || kind == "xpath")
+                locator.value = imns.unwrap(this.expandVariables(m[2], "tag_loc" + i));
+            else
+                locator.pattern = attPattern(m[2], "tag_loc" + i);
+            return locator;
+        });
+    };
 
-    if (cmd[5]) {
-        if (cmd[5].toLowerCase() == 'xpath') {
-            data.xpath = imns.unwrap(this.expandVariables(cmd[6], "tag6"));
+    this.tagLocators = null;
+    if (cmd[12]) {
+        data.locators = parseLocators(cmd[12]);
+        data.atts_str = cmd[12]; // for error message
+        this.tagLocators = data.locators.map(l => l.text);
+        if (cmd[11]) {
+            data.tagName = imns.unwrap(this.expandVariables(cmd[11], "tag11")).
+                toLowerCase();
+            // TYPE=INPUT:TEXT
+            var m = /^(\S+):(\S+)$/.exec(data.tagName);
+            if (m) {
+                data.tagName = m[1];
+                data.atts = { type: "^" +
+                    imns.escapeREChars(m[2]).replace(/\*/g, '(?:\n|.)*') + "$" };
+            }
+        }
+    } else if (cmd[13]) {
+        // ROLE=button NAME="Submit order", matched like the accessibility
+        // tree of the page does
+        data.role = imns.unwrap(this.expandVariables(cmd[13], "tag13")).
+            toLowerCase();
+        if (cmd[14])
+            data.name = attPattern(cmd[14], "tag14");
+        data.atts_str = "ROLE=" + cmd[13] + (cmd[14] ? " NAME=" + cmd[14] : "");
+    } else if (cmd[15]) {
+        // TEXT="Add to cart" or LABEL="Email address"
+        data[cmd[15].toLowerCase()] = attPattern(cmd[16], "tag16");
+        data.atts_str = cmd[15].toUpperCase() + "=" + cmd[16];
+    } else if (cmd[9]) {
+        if (cmd[9].toLowerCase() == 'xpath') {
+            data.xpath = imns.unwrap(this.expandVariables(cmd[10], "tag10"));
         }
         else {
-            data.selector = imns.unwrap(this.expandVariables(cmd[6], "tag6"));
+            data.selector = imns.unwrap(this.expandVariables(cmd[10], "tag10"));
         }
 
     } else {
-        data.pos = imns.unwrap(this.expandVariables(cmd[1], "tag1"));
-        data.tagName = imns.unwrap(this.expandVariables(cmd[2], "tag2")).
+        // POS=1 and ATTR=* are implied if NEAR or WITHIN narrow it down
+        if (!(cmd[5] && cmd[8]) && !cmd[1] && !cmd[3])
+            throw new BadParameter("POS=<number> TYPE=<type> ATTR=<attributes>" +
+                " unless NEAR or WITHIN is given");
+        data.pos = cmd[5] ? imns.unwrap(this.expandVariables(cmd[5], "tag5")) : "1";
+        data.tagName = imns.unwrap(this.expandVariables(cmd[6], "tag6")).
             toLowerCase();
-        data.form = parseAtts(cmd[3]);
-        data.atts = parseAtts(cmd[4]);
-        data.atts_str = cmd[4]; // for error message
+        data.form = parseAtts(cmd[7]);
+        data.atts = parseAtts(cmd[8]);
+        data.atts_str = cmd[8]; // for error message
 
         // get POS parameter
-        if (/^r(-?\d+)$/i.test(data.pos)) {
+        if (/^all$/i.test(data.pos)) {
+            data.pos = 1;
+            data.all = true;
+        } else if (/^r(-?\d+)$/i.test(data.pos)) {
             data.pos = imns.s2i(RegExp.$1);
             data.relative = true;
         } else if (/^(\d+)$/.test(data.pos)) {
             data.pos = imns.s2i(RegExp.$1);
             data.relative = false;
         } else {
-            throw new BadParameter("POS=<number> or POS=R<number>" +
+            throw new BadParameter("POS=<number>, POS=R<number> or POS=ALL " +
                 "where <number> is a non-zero integer", 1);
         }
         // get rid of INPUT:* tag names
-        if (/^(\S+):(\S+)$/i.test(data.tagName)) {
+        var type_m = /^(\S+):(\S+)$/i.exec(data.tagName);
+        if (type_m) {
             if (!data.atts)
                 data.atts = new Object();
-            var val = RegExp.$2;
-            data.tagName = RegExp.$1.toLowerCase();
+            var val = type_m[2];
+            data.tagName = type_m[1].toLowerCase();
             val = imns.escapeREChars(val);
             val = val.replace(/\*/g, '(?:\n|.)*');
             data.atts["type"] = "^" + val + "$";
         }
 
     }
-    if (cmd[7]) {
-        data.type = cmd[7].toLowerCase();
-        data.rawdata = cmd[8];
-        data.txt = imns.unwrap(this.expandVariables(cmd[8], "tag8"));
+    // WITHIN= and NEAR= narrow down the elements given by the other
+    // parameters, POS=<n> then counts from the nearest one
+    if (cmd[1] || cmd[3]) {
+        if (data.locators)
+            throw new BadParameter("NEAR and WITHIN can not be used with LOCATORS");
+        if (data.relative)
+            throw new BadParameter("POS=R<number> can not be used with NEAR or WITHIN");
+        var anchors = [data.atts_str || data.selector || data.xpath];
+        if (cmd[1]) {
+            data.within = {
+                kind: cmd[1].toLowerCase(),
+                value: imns.unwrap(this.expandVariables(cmd[2], "tag2"))
+            };
+            anchors.push("WITHIN=" + cmd[1].toUpperCase() + ":" + cmd[2]);
+        }
+        if (cmd[3]) {
+            data.near = attPattern(cmd[3], "tag3");
+            data.direction = cmd[4] ? cmd[4].toLowerCase() : "";
+            anchors.push("NEAR=" + cmd[3] +
+                (cmd[4] ? " DIRECTION=" + cmd[4].toUpperCase() : ""));
+        }
+        data.atts_str = anchors.filter(Boolean).join(" "); // for error message
+    }
+    if (cmd[17]) {
+        data.type = cmd[17].toLowerCase();
+        data.rawdata = cmd[18];
+        data.txt = imns.unwrap(this.expandVariables(cmd[18], "tag18"));
         if (data.type == "content")
-            data.cdata = this.parseContentStr(cmd[8]);
+            data.cdata = this.parseContentStr(cmd[18]);
+    }
+    // SELECTOR=... EXTRACT=... POS=ALL
+    if (cmd[19])
+        data.all = true;
+    if (data.all && data.type != "extract")
+        throw new BadParameter("POS=ALL can only be used with EXTRACT");
+    if (data.all && data.locators)
+        throw new BadParameter("POS=ALL can not be used with LOCATORS");
+    // EXTRACT=... AS=name also stores the value as {{!EXTRACT.name}}
+    this.extractFieldName = null;
+    if (cmd[20]) {
+        if (data.type != "extract")
+            throw new BadParameter("AS can only be used with EXTRACT");
+        this.extractFieldName = cmd[20];
     }
 
     let p = Promise.resolve(data)
@@ -3631,6 +4582,14 @@ MacroPlayer.prototype.parseContentStr = function (cs) {
 
 
 MacroPlayer.prototype.handleInputFileTag = function (selector, files) {
+    // file names without a folder are taken from the datasource folder
+    files = files.map(file => {
+        if (__is_full_path(file) || !this.dataSourceFolder)
+            return file;
+        var node = this.dataSourceFolder.clone();
+        node.append(file);
+        return node.path;
+    });
     return this.attachDebugger("1.2")
         .then(() => send_command(this.tab_id, "DOM.getDocument"))
         .then(({ root: { nodeId } }) => send_command(
@@ -3943,6 +4902,9 @@ MacroPlayer.prototype.beforeEachRun = function () {
     this.__eval_results = {};
     // script errors
     this.shouldStopOnError = false;
+    // ONDIALOG answers, dialogPos is the index of the next dialog
+    this.dialogAnswers = [];
+    this.dialogPos = 0;
     // delta for line numbers in error reports and profiler data
     this.linenumber_delta = 0;
     // reset current line
@@ -3987,10 +4949,33 @@ MacroPlayer.prototype.reset = function () {
     this.paused = false;
     this.pauseIsPending = false;
     this.loopStack = [];
+    this.errorHandler = null;
+    // RUN frames and the values sent back by RETURN
+    this.callStack = [];
+    this.runNestLevel = 0;
+    this.runResult = { value: "", outputs: {} };
+    // macros and results of RUNSUITE
+    this.suite = null;
+    // results of ASSERT and VERIFY for the test report, !FILE_TESTREPORT
+    this.testResults = [];
+    this.testReportFile = null;
+    this.writeTestReport = true;
+    // run log of the executed actions, !FILE_LOG
+    this.runLogEntry = null;
+    this.runLogStarted = new Date();
+    this.logFile = "";
+    this.writeRunLog = Storage.getBool("runlog-enabled") &&
+        Storage.getBool("afio-installed");
+    this.runLog = this.writeRunLog ? [] : null;
+    // TAG LOCATORS= that found the element with a fallback locator
+    this.locatorFallbacks = [];
 
     // last error code and message
     this.errorCode = 1;
     this.errorMessage = "OK";
+    // error caught by ON ERROR GOTO, {{!LASTERROR}} and {{!LASTERRORCODE}}
+    this.lastErrorCode = 0;
+    this.lastErrorMessage = "";
     this.firstLoop = true;
 
     // datasources
@@ -3998,10 +4983,25 @@ MacroPlayer.prototype.reset = function () {
     this.dataSourceColumns = 0;
     this.dataSourceLine = 0;
     this.dataSourceFile = "";
-    this.dataSourceDelimiter = ",";
+    // null sniffs the delimiter and detects the encoding of each file
+    this.dataSourceDelimiter = null;
+    this.dataSourceEncoding = null;
+    // records of JSON datasources, $ if empty
+    this.dataSourcePath = "";
+    this.dataSourceHasHeader = false;
+    this.dataSourceHeader = null;
+    // named datasources of SET !DATASOURCE_<name>
+    this.dataSources = new Map();
 
     // extraction
     this.extractData = "";
+    // names of TAG ... AS=, by position of the extracted value
+    this.extractFields = [];
+    // columns and rows of TAG POS=ALL and EXTRACT=TABLE
+    this.extractTable = null;
+    this.extractColumns = [];
+    // rows of SAVEAS TYPE=XLSX workbooks written during this replay
+    this.xlsxSheets = new Map();
     // show extract popup by default only when not looping and not
     // playing from scripting interface
     this.shouldPopupExtract = !(this.cycledReplay || this.client_id);
@@ -4033,6 +5033,11 @@ MacroPlayer.prototype.reset = function () {
     this.waitForDownloadCreated = false;
     // HTTP authorization expected
     this.waitForAuthDialog = false;
+    // ONDIALOG variables, the answers are reset by beforeEachRun()
+    this.onDialog = "";
+    this.onDialogButton = "";
+    this.onDialogEntry = "";
+    this.onDialogResult = "";
 
     return new Promise((resolve, reject) => {
         const finalize = (tab) => {
@@ -4133,19 +5138,55 @@ MacroPlayer.prototype.parseInlineMacro = function (content) {
 };
 
 MacroPlayer.prototype.RegExpTable["run"] =
-    "^macro\\s*=\\s*(" + im_strre + ")\\s*$";
+    "^macro\\s*=\\s*(" + im_strre + ")" +
+    "(?:\\s+args\\s*=\\s*(" + im_strre + "))?\\s*$";
+
+MacroPlayer.prototype.MAX_RUN_NEST_LEVEL = 100;
+
+// parse "name=value,name2=value2" lists of RUN ARGS= and RETURN OUTPUTS=,
+// values are expanded one by one and can be quoted to contain commas
+MacroPlayer.prototype.parseNamedValues = function (str, eval_id) {
+    var list = imns.unwrap(str), result = new Object(), pos = 0, m;
+    var pair_re = /\s*([a-z_]\w*)\s*=\s*("(?:[^"\\]|\\.)*"|[^,]*?)\s*(,|$)/iy;
+    while (pos < list.length) {
+        pair_re.lastIndex = pos;
+        if (!(m = pair_re.exec(list)))
+            throw new BadParameter("name=value list expected, got " + list);
+        result[m[1].toLowerCase()] =
+            imns.unwrap(this.expandVariables(m[2], eval_id + "_" + m[1]));
+        if (!m[3])
+            break;
+        pos = pair_re.lastIndex;
+    }
+
+    return result;
+};
 
 MacroPlayer.prototype.ActionTable["run"] = async function (cmd) {
-    const rawArg = cmd[1] || "";
-    const match = rawArg.match(/macro\s*=\s*(.*)/i);
-    const macroPath = match ? match[1] : rawArg;
+    try {
+        const macroPath = imns.unwrap(this.expandVariables(cmd[1], "run_macro"));
+        const params = cmd[2] ? this.parseNamedValues(cmd[2], "run_args") : {};
+
+        if (this.runNestLevel >= this.MAX_RUN_NEST_LEVEL) {
+            throw new RuntimeError("Maximum macro nesting level (" +
+                this.MAX_RUN_NEST_LEVEL + ") exceeded", 730);
+        }
+
+        const macro = await this.loadSubMacro(macroPath);
+        await this.loadIncludes(macro.source);
+        this.enterSubMacro(macro, params);
+    } catch (e) {
+        this.handleError(e);
+        return;
+    }
 
+    this.next("RUN");
+};
+
+MacroPlayer.prototype.loadSubMacro = async function (macroPath) {
     // Build list of candidate paths to try (with .iim extension first)
     const candidates = this._buildMacroCandidates(macroPath);
 
-    // Increment nesting level
-    this.runNestLevel++;
-
     let source = null;
     let resolvedPath = null;
 
@@ -4170,33 +5211,255 @@ MacroPlayer.prototype.ActionTable["run"] = async function (cmd) {
     }
 
     if (source == null) {
-        this.runNestLevel--;
         throw new RuntimeError("Macro '" + macroPath + "' not found", 701);
     }
 
-    const macro = typeof source === "string" ? this.parseInlineMacro(source) : source;
-    macro.name = macro.name || macroPath;
-    macro.file_id = macro.file_id || resolvedPath;
+    if (typeof source !== "string") {
+        source.name = source.name || macroPath;
+        source.file_id = source.file_id || resolvedPath;
+        return source;
+    }
+
+    // parseInlineMacro() names the macro after the running one
+    const macro = this.parseInlineMacro(source);
+    macro.name = macroPath;
+    macro.file_id = resolvedPath;
+
+    return macro;
+};
 
+// Replace the running macro with a sub-macro started by RUN. The caller's
+// actions and state are kept on callStack and restored by _popFrame() once
+// the sub-macro runs out of actions or executes RETURN.
+MacroPlayer.prototype.enterSubMacro = function (macro, params) {
     // Save caller state on callStack for restoration after RUN completes
     const callerFrame = {
+        actions: this.actions,
+        action_stack: this.action_stack,
+        source: this.source,
+        currentMacro: this.currentMacro,
+        file_id: this.file_id,
+        labels: this.labels,
+        linenumber_delta: this.linenumber_delta,
+        errorHandler: this.errorHandler,
         loopStack: this.loopStack ? JSON.parse(JSON.stringify(this.loopStack)) : [],
         localContextSnapshot: this.varManager ? this.varManager.snapshotLocalContext() : null,
         autoplaySuppressed: this.autoplaySuppressed
     };
     this.callStack.push(callerFrame);
+    this.runNestLevel++;
 
     // Clear autoplay suppression for nested execution
     this.autoplaySuppressed = false;
 
-    this.play(macro, this.limits);
+    this.source = macro.source;
+    this.currentMacro = macro.name;
+    this.file_id = macro.file_id;
+    this.actions = new Array();
+    this.loopStack = [];
+    this.errorHandler = null;
+    this.runResult = { value: "", outputs: {} };
+    if (this.varManager) {
+        this.varManager.resetLocalContext();
+        this.varManager.setParams(params || {});
+    }
 
-    // Note: runNestLevel is decremented in _popFrame()
+    try {
+        this.parseMacro();
+    } catch (e) {
+        this._popFrame();
+        throw e;
+    }
+    this.action_stack = this.actions.slice().reverse();
+    notifyPanelShowLines(this.win_id, this.source, this.currentMacro);
 };
 
+// Leave the sub-macro and continue the caller from the command after RUN
+MacroPlayer.prototype.leaveSubMacro = function () {
+    const frame = this.callStack[this.callStack.length - 1];
+    this._popFrame();
+    this.runResult = frame.result || { value: "", outputs: {} };
+    notifyPanelShowLines(this.win_id, this.source, this.currentMacro);
+};
 
+// RETURN command
+MacroPlayer.prototype.RegExpTable["return"] =
+    "^(?:value\\s*=\\s*(" + im_strre + "))?\\s*" +
+    "(?:outputs\\s*=\\s*(" + im_strre + "))?\\s*$";
 
-// Start macro replaying
+MacroPlayer.prototype.ActionTable["return"] = function (cmd) {
+    const result = {
+        value: cmd[1] ? imns.unwrap(this.expandVariables(cmd[1], "return_value")) : "",
+        outputs: cmd[2] ? this.parseNamedValues(cmd[2], "return_outputs") : {}
+    };
+    // the caller reads the result after leaveSubMacro()
+    if (this.callStack.length)
+        this.callStack[this.callStack.length - 1].result = result;
+    // drop the rest of the macro, playNextAction() then returns to the
+    // caller of RUN or finishes the current loop of a top-level macro
+    this.action_stack = [];
+    this.loopStack = [];
+    this.next("RETURN");
+};
+
+
+
+// RUNSUITE command, plays every macro of a folder in turn as a sub-macro
+// with a clean variable context. A failed macro is recorded and the next
+// one is played; the results are saved as JSON and HTML summaries
+MacroPlayer.prototype.RegExpTable["runsuite"] =
+    "^folder\\s*=\\s*(" + im_strre + ")" +
+    "(?:\\s+report\\s*=\\s*(" + im_strre + "))?\\s*$";
+
+MacroPlayer.prototype.ActionTable["runsuite"] = async function (cmd) {
+    try {
+        if (this.suite)
+            throw new RuntimeError("RUNSUITE can not be used in a suite", 730);
+        if (!this.afioIsInstalled)
+            throw new RuntimeError("RUNSUITE requires File IO interface", 660);
+        const folderPath = imns.unwrap(this.expandVariables(cmd[1], "runsuite_folder"));
+        const folder = afio.openNode(await this.resolveMacroPath(folderPath));
+        if (!(await folder.exists()) || !(await folder.isDir()))
+            throw new RuntimeError("Folder " + folder.path + " not found", 701);
+        // macros are played in the order of their names, 2 before 10
+        const macros = (await afio.getNodesInDir(folder))
+            .filter(node => !node.is_dir && isMacroFile(node.path))
+            .sort((a, b) => a.leafName.localeCompare(b.leafName, undefined,
+                { numeric: true, sensitivity: "base" }));
+        if (!macros.length)
+            throw new RuntimeError("Folder " + folder.path + " has no macros", 701);
+
+        this.suite = {
+            name: folder.leafName || folder.path,
+            folder: folder.path,
+            report: cmd[2] ? imns.unwrap(this.expandVariables(cmd[2], "runsuite_report")) : "",
+            macros: macros,
+            results: [],
+            action: this.currentAction,
+            depth: this.callStack.length,
+            ignoreErrors: this.ignoreErrors,
+            started: new Date()
+        };
+    } catch (e) {
+        this.handleError(e);
+        return;
+    }
+
+    this.startSuiteMacro();
+};
+
+// play the next macro of RUNSUITE
+MacroPlayer.prototype.startSuiteMacro = function () {
+    const suite = this.suite, file = suite.macros[suite.results.length];
+    suite.macroStarted = Date.now();
+    notifyPanelStatLine(this.win_id, "RUNSUITE playing " + file.leafName +
+        " (" + (suite.results.length + 1) + " of " + suite.macros.length + ")", "info");
+    return afio.readTextFile(file).then(source => {
+        if (!this.suite)    // stopped meanwhile
+            return;
+        this.resetVariableStateForNewMacro();
+        this.ignoreErrors = false;
+        this.errorCode = 1;
+        this.errorMessage = "OK";
+        return this.loadIncludes(source).then(() => {
+            this.enterSubMacro({ name: file.leafName, file_id: file.path, source }, {});
+            this.next("RUNSUITE");
+        });
+    }).catch(e => {
+        // macros that can't be read or parsed fail without playing
+        this.finishSuiteMacro(e, "");
+    });
+};
+
+// result of the current macro of RUNSUITE, @error is null if it passed
+MacroPlayer.prototype.recordSuiteResult = function (error, line) {
+    const suite = this.suite, file = suite.macros[suite.results.length];
+    suite.results.push({
+        name: file.leafName,
+        path: file.path,
+        status: error ? "failed" : "passed",
+        duration: (Date.now() - suite.macroStarted) / 1000,
+        errorCode: error ? (error.errnum ? -Math.abs(error.errnum) : -1001) : 1,
+        error: error ? (error.name || "Error") + ": " + error.message : "",
+        line: line
+    });
+};
+
+// record the result of the current macro of RUNSUITE and go on with the
+// next one
+MacroPlayer.prototype.finishSuiteMacro = function (error, line) {
+    const suite = this.suite;
+    // leave the macro and the sub-macros it runs
+    while (this.callStack.length > suite.depth)
+        this._popFrame();
+    this.recordSuiteResult(error, line);
+    this.errorCode = 1;
+    this.errorMessage = "OK";
+    this.ignoreErrors = suite.ignoreErrors;
+    if (suite.results.length < suite.macros.length) {
+        this.startSuiteMacro();
+        return;
+    }
+
+    this.suite = null;
+    this.currentAction = suite.action;
+    notifyPanelShowLines(this.win_id, this.source, this.currentMacro);
+    const failed = suite.results.filter(r => r.status == "failed").length;
+    this.saveSuiteReport(suite).then(file => {
+        notifyPanelStatLine(this.win_id, "RUNSUITE " + (suite.macros.length - failed) +
+            " of " + suite.macros.length + " macros passed, see " + file.path,
+            failed ? "warning" : "info");
+        if (failed)
+            throw new RuntimeError("RUNSUITE " + failed + " of " +
+                suite.macros.length + " macros failed, see " + file.path, 792);
+        this.next("RUNSUITE");
+    }).catch(e => this.handleError(e));
+};
+
+// write <report>.json and <report>.html, resolves to the HTML file
+MacroPlayer.prototype.saveSuiteReport = function (suite) {
+    const summary = {
+        suite: suite.name,
+        folder: suite.folder,
+        started: suite.started.toISOString(),
+        duration: (Date.now() - suite.started.getTime()) / 1000,
+        macros: suite.results.concat(
+            suite.macros.slice(suite.results.length).map(file => ({
+                name: file.leafName, path: file.path, status: "skipped",
+                duration: 0, errorCode: 0, error: "", line: ""
+            })))
+    };
+    const name = (suite.report || "SuiteReport_" + suite.name).replace(/\.(?:json|html?)$/i, "");
+    const file = ext => {
+        if (__is_full_path(name))
+            return afio.openNode(name + ext);
+        const node = this.defDownloadFolder.clone();
+        node.append(name + ext);
+        return node;
+    };
+    const html = file(".html");
+    return afio.writeTextFile(file(".json"), SuiteReport.toJSON(summary))
+        .then(() => afio.writeTextFile(html, SuiteReport.toHTML(summary)))
+        .then(() => html);
+};
+
+// "Run Folder" of the file tree, plays the macros of the folder with RUNSUITE
+MacroPlayer.prototype.playSuite = function (folderPath) {
+    const folder = afio.openNode(folderPath);
+    return getLimits().then(limits => {
+        this.play({
+            name: folder.leafName + " (RUNSUITE)",
+            file_id: "",
+            source: "RUNSUITE FOLDER=\"" +
+                folderPath.replace(/\\/g, "\\\\").replace(/"/g, "\\\"") + "\""
+        }, limits);
+        return true;
+    });
+};
+
+
+
+// Start macro replaying
 // @macro is a macro name
 // @loopnum - positive integer
 // which should be used to specify cycled replaying
@@ -4256,15 +5519,23 @@ MacroPlayer.prototype.play = function (macro, limits, callback) {
             this.checkFreewareLimits("loops", this.currentLoop)
             this.beforeEachRun();
             this.addListeners();
+            return this.loadIncludes(this.source);
+        }).then(() => {
             // NOTE: this.playing is already set at the start of play() to prevent race conditions
             this.parseMacro();
-        }).then(() => {
             // prepare stack of actions
             this.action_stack = this.actions.slice();
             this.action_stack.reverse();
             context.updateState(this.win_id, "playing");
             notifyPanelShowLines(this.win_id, this.source, this.currentMacro);
             notifyPanelStatLine(this.win_id, "Replaying " + this.currentMacro, "info");
+            // dialogs opening before the first ONDIALOG fail with a clear
+            // error, pages where the debugger can't attach are left alone
+            if (this.actions.some(action => action.name == "ondialog"))
+                return this.watchDialogs().catch(e => {
+                    console.warn("[MacroPlayer] Dialogs are not watched yet:", e);
+                });
+        }).then(() => {
             // start replaying
             this.globalTimer.start();
             this.playNextAction("start");
@@ -4283,53 +5554,278 @@ MacroPlayer.prototype.play = function (macro, limits, callback) {
 
 // parse macro
 MacroPlayer.prototype.parseMacro = function () {
-    const comment = new RegExp("^\\s*(?:'.*)?$");
-    const linenumber_delta_re =
-        new RegExp("^\\s*'\\s*!linenumber_delta\\s*:\\s*(-?\\d+)", "i");
     this.linenumber_delta = 0;  // workaround for #381
     // check macro syntax and form list of actions
     this.source = this.source.replace(/\r+/g, ""); // remove \r symbols if any
-    var lines = this.source.split("\n");
+    this.parseSource(this.source, null);
+    this.linkBlocks();
+};
+
+
+// Parse macro source into this.actions. @include is null for the macro
+// itself; for a file inlined by INCLUDE it is {file, line, chain} where
+// line is the INCLUDE line of the macro (for panel highlighting and
+// !linenumber_delta) and chain lists the files being included.
+MacroPlayer.prototype.parseSource = function (source, include) {
+    const comment = new RegExp("^\\s*(?:'.*)?$");
+    const linenumber_delta_re =
+        new RegExp("^\\s*'\\s*!linenumber_delta\\s*:\\s*(-?\\d+)", "i");
+    var include_delta = 0;
+    var at = i => include ?
+        " at line " + (i + 1 + include_delta) + " of " + include.file :
+        " at line " + (i + 1 + this.linenumber_delta);
+    var lines = source.replace(/\r+/g, "").split("\n");
     for (var i = 0; i < lines.length; i++) {
         // check for !linenubmer_delta
         var m = lines[i].match(linenumber_delta_re);
         if (m) {
-            this.linenumber_delta = imns.s2i(m[1]);
+            if (include)
+                include_delta = imns.s2i(m[1]);
+            else
+                this.linenumber_delta = imns.s2i(m[1]);
             continue;
         }
         if (lines[i].match(comment)) { // skip comments and empty lines
             continue;
         }
 
-        if (/^\s*(\w+)(?:\s+(.*))?$/.test(lines[i])) {
-            var command = RegExp.$1.toLowerCase();
-            var cmdArguments = RegExp.$2 ? RegExp.$2 : "";
+        var cmd_match = lines[i].match(/^\s*(\w+)(?:\s+(.*))?$/);
+        if (cmd_match) {
+            var command = cmd_match[1].toLowerCase();
+            var cmdArguments = cmd_match[2] ? cmd_match[2] : "";
             // check if command is known
             if (!(command in this.RegExpTable))
                 throw new SyntaxError("unknown command: " +
-                    command.toUpperCase() +
-                    " at line " + (i + 1 + this.linenumber_delta));
+                    command.toUpperCase() + at(i));
             // parse arguments
             var args = this.RegExpTable[command].exec(cmdArguments);
             if (!args)
                 throw new SyntaxError("wrong format of " +
-                    command.toUpperCase() + " command" +
-                    " at line " + (i + 1 + this.linenumber_delta));
+                    command.toUpperCase() + " command" + at(i));
+            if (command == "include") {
+                this.includeSource(imns.unwrap(args[1]), include, i + 1, at(i));
+                continue;
+            }
             // put parsed action into action list
-            this.actions.push({
+            var action = {
                 name: command,
-                args: args, line: i + 1
-            });
+                args: args, line: include ? include.line : i + 1,
+                index: this.actions.length
+            };
+            if (include)
+                action.include = { file: include.file, line: i + 1 + include_delta };
+            this.actions.push(action);
             this.checkFreewareLimits("lines", this.actions.length)
 
         } else {
             throw new SyntaxError("can not parse macro line " +
-                (i + 1 + this.linenumber_delta)
-                + ": " + lines[i]);
+                (include ? (i + 1 + include_delta) + " of " + include.file :
+                    i + 1 + this.linenumber_delta) +
+                ": " + lines[i]);
+        }
+    }
+};
+
+
+// INCLUDE command, the file is inlined into the macro while parsing
+MacroPlayer.prototype.RegExpTable["include"] = "^(" + im_strre + ")\\s*$";
+
+// Load the files of INCLUDE commands (and the files they include) into
+// this.includes, parseMacro() is synchronous and can not read them itself
+MacroPlayer.prototype.loadIncludes = async function (source) {
+    const include_re = /^\s*include\s+(.*)$/i;
+    const pending = [source];
+    this.includes = new Object();
+    while (pending.length) {
+        for (const line of pending.pop().split(/\r?\n/)) {
+            const m = line.match(include_re);
+            const args = m && this.RegExpTable["include"].exec(m[1]);
+            if (!args)
+                continue;
+            const path = imns.unwrap(args[1]);
+            if (path in this.includes)
+                continue;
+            try {
+                this.includes[path] = await this.loadSubMacro(path);
+                pending.push(this.includes[path].source);
+            } catch (e) {
+                // reported by parseMacro() with the line of INCLUDE
+                this.includes[path] = { error: e };
+            }
         }
     }
 };
 
+MacroPlayer.prototype.includeSource = function (path, include, line, at) {
+    var macro = this.includes && this.includes[path];
+    if (!macro)
+        throw new RuntimeError("can not include " + path +
+            ": file is not loaded" + at, 701);
+    if (macro.error)
+        throw new RuntimeError("can not include " + path + ": " +
+            macro.error.message + at, macro.error.errnum || 701);
+
+    var chain = include ? include.chain : [{
+        file_id: this.file_id, name: this.currentMacro
+    }];
+    if (chain.some(x => x.file_id && x.file_id == macro.file_id)) {
+        var names = chain.concat(macro).map(x => x.name);
+        throw new SyntaxError("INCLUDE cycle " + names.join(" -> ") + at);
+    }
+
+    this.parseSource(macro.source, {
+        file: macro.name,
+        line: include ? include.line : line,
+        chain: chain.concat({ file_id: macro.file_id, name: macro.name })
+    });
+};
+
+
+// line of an action for messages, actions inlined by INCLUDE are
+// reported with their own file and line
+MacroPlayer.prototype.actionLocation = function (action) {
+    var line = (action.line + this.linenumber_delta).toString();
+    if (!action.include)
+        return line;
+    return action.include.line + " of " + action.include.file +
+        " (included at line " + line + ")";
+};
+
+
+// match block commands (LOOP NEST ... LOOP, IF ... ENDIF) and resolve
+// GOTO labels so that replaying can jump between them by action index
+MacroPlayer.prototype.linkBlocks = function () {
+    var open = [], jumps = [];
+    this.labels = new Object();
+    var at = action => " at line " + this.actionLocation(action);
+    var innermostLoop = () => {
+        for (var i = open.length - 1; i >= 0; i--)
+            if (open[i].type == "loop")
+                return open[i];
+        return null;
+    };
+    var loopLevel = () => open.filter(b => b.type == "loop").length;
+    var top = () => open[open.length - 1];
+    var loopStarts = () => open.filter(b => b.type == "loop").map(b => b.start);
+
+    for (var action of this.actions) {
+        switch (action.name) {
+            case "label":
+                var label = action.args[1].toLowerCase();
+                if (label in this.labels)
+                    throw new SyntaxError("duplicate label " + action.args[1] +
+                        at(action));
+                this.labels[label] = action.index;
+                action.loops = loopStarts();
+                continue;
+            case "goto": case "on":
+                if (action.args[1]) {
+                    action.loops = loopStarts();
+                    jumps.push(action);
+                }
+                continue;
+            case "if":
+                action.block = {
+                    type: "if",
+                    start: action.index,
+                    startLine: action.line,
+                    branches: [],
+                    end: -1
+                };
+                open.push(action.block);
+                continue;
+            case "elseif": case "else":
+                var name = action.name.toUpperCase();
+                if (!open.length || top().type != "if")
+                    throw new SyntaxError(name + " without matching IF" +
+                        at(action));
+                if (top().hasElse)
+                    throw new SyntaxError(name + " after ELSE" + at(action));
+                top().branches.push(action.index);
+                top().hasElse = action.name == "else";
+                action.block = top();
+                continue;
+            case "endif":
+                if (!open.length || top().type != "if")
+                    throw new SyntaxError("ENDIF without matching IF" +
+                        at(action));
+                top().end = action.index;
+                action.block = open.pop();
+                continue;
+            case "loop":
+                break;
+            default:
+                continue;
+        }
+        var block = innermostLoop();
+        switch (this.getLoopKind(action.args)) {
+            case "nest":
+                if (loopLevel() >= this.MAX_LOOP_NEST_LEVEL)
+                    throw new SyntaxError("Maximum loop nesting level (" +
+                        this.MAX_LOOP_NEST_LEVEL + ") exceeded" + at(action));
+                action.block = {
+                    type: "loop",
+                    level: loopLevel() + 1,
+                    start: action.index,
+                    startLine: action.line,
+                    end: -1,
+                    endLine: -1
+                };
+                open.push(action.block);
+                break;
+            case "end":
+                if (open.length && top().type == "if")
+                    throw new SyntaxError("LOOP end marker inside IF block" +
+                        " started at line " +
+                        this.actionLocation(this.actions[top().start]) + at(action));
+                if (!block)
+                    throw new SyntaxError("LOOP end marker without matching" +
+                        " LOOP NEST" + at(action));
+                block.end = action.index;
+                block.endLine = action.line;
+                action.block = open.pop();
+                break;
+            case "break":
+                if (!block)
+                    throw new SyntaxError("LOOP BREAK without active loop" +
+                        at(action));
+                action.block = block;
+                break;
+            case "continue":
+                if (!block)
+                    throw new SyntaxError("LOOP CONTINUE without active loop" +
+                        at(action));
+                action.block = block;
+                break;
+        }
+    }
+
+    if (open.length) {
+        throw new SyntaxError((top().type == "if" ?
+            "IF without ENDIF" : "LOOP NEST without LOOP end marker") +
+            at(this.actions[top().start]));
+    }
+
+    for (var jump of jumps) {
+        var target = this.labels[jump.args[1].toLowerCase()];
+        if (typeof target == "undefined")
+            throw new SyntaxError("unknown label " + jump.args[1] + at(jump));
+        var loops = this.actions[target].loops;
+        // GOTO may leave loops but can not enter one from outside
+        if (jump.name == "goto" &&
+            loops.some((start, i) => jump.loops[i] !== start))
+            throw new SyntaxError("GOTO into LOOP NEST block" + at(jump));
+        jump.target = target;
+    }
+};
+
+
+// continue replaying from the action with the given index
+MacroPlayer.prototype.jumpToAction = function (index) {
+    this.action_stack = this.actions.slice(index);
+    this.action_stack.reverse();
+};
+
 
 
 // exec current action
@@ -4364,6 +5860,7 @@ MacroPlayer.prototype.next = function (caller_id) {
     }
     // stop profile timer
     this.profiler.end("OK", 1, this);
+    this.endRunLogEntry(1, "OK");
 };
 
 
@@ -4416,6 +5913,7 @@ MacroPlayer.prototype.playNextAction = function (caller_id) {
                         ", line: " + this.currentAction.line
                     );
                 this.profiler.start(this.currentAction);
+                this.startRunLogEntry(this.currentAction);
                 this.exec(this.currentAction);
                 // profiler.end() is called from next() method
             } catch (e) {
@@ -4425,6 +5923,13 @@ MacroPlayer.prototype.playNextAction = function (caller_id) {
                     this.handleError(e);
                 }
             }
+        } else if (this.suite && this.callStack.length == this.suite.depth + 1) {
+            // a macro played by RUNSUITE is complete
+            this.finishSuiteMacro(null, "");
+        } else if (this.callStack.length) {
+            // sub-macro started by RUN is complete
+            this.leaveSubMacro();
+            this.next("RUN");
         } else {
             this.afterEachRun();
             console.log("[MacroPlayer] Action stack empty. currentLoop:", this.currentLoop, "times:", this.times, "check:", this.currentLoop < this.times);
@@ -4433,6 +5938,7 @@ MacroPlayer.prototype.playNextAction = function (caller_id) {
                 this.currentLoop++;
                 console.log("[MacroPlayer] Starting next loop:", this.currentLoop, "of", this.times);
                 notifyPanelLoop(this.win_id, this.currentLoop);
+                this.loopStack = [];
                 this.action_stack = this.actions.slice();
                 this.action_stack.reverse();
                 this.next("new loop");
@@ -4453,10 +5959,26 @@ MacroPlayer.prototype.handleError = function (e) {
     this.errorMessage = (e.name ? e.name : "Error") + ": " + e.message;
     if (this.currentAction) {
         this.errorMessage += ", line: " +
-            (this.currentAction.line + this.linenumber_delta).toString();
+            this.actionLocation(this.currentAction);
     }
     // save profiler data for the broken action
     this.profiler.end(this.errorMessage, this.errorCode, this);
+    this.endRunLogEntry(this.errorCode, this.errorMessage);
+    if (this.playing && !this.errorHandler && !this.ignoreErrors &&
+        this.currentAction)
+        this.unwindToErrorHandler();
+    if (this.playing && this.errorHandler && this.currentAction) {
+        this.recoverFromError();
+        return;
+    }
+    // RUNSUITE records a failed macro and plays the next one
+    if (this.playing && !this.ignoreErrors && this.suite &&
+        this.callStack.length > this.suite.depth) {
+        console.error(this.errorMessage);
+        this.finishSuiteMacro(e, this.currentAction ?
+            this.actionLocation(this.currentAction) : "");
+        return;
+    }
     console.error(this.errorMessage);
     var args = {
         message: this.errorMessage,
@@ -4479,6 +6001,47 @@ MacroPlayer.prototype.handleError = function (e) {
 
 
 
+// an error in a sub-macro started by RUN without a handler of its own
+// leaves it and the sub-macros between, up to the nearest caller with
+// ON ERROR GOTO; macros of RUNSUITE are not left, the suite records them
+MacroPlayer.prototype.unwindToErrorHandler = function () {
+    var top = this.suite ? this.suite.depth + 1 : 0;
+    for (var i = this.callStack.length - 1; i >= top; i--) {
+        if (!this.callStack[i].errorHandler)
+            continue;
+        while (this.callStack.length > i)
+            this._popFrame();
+        notifyPanelShowLines(this.win_id, this.source, this.currentMacro);
+        return;
+    }
+};
+
+
+// continue replaying from the ON ERROR GOTO label; the handler is
+// disarmed so that an error in the recovery block stops the macro
+// unless the block sets up ON ERROR GOTO again
+MacroPlayer.prototype.recoverFromError = function () {
+    var handler = this.errorHandler;
+    this.errorHandler = null;
+    console.warn(this.errorMessage + ", continue at label " + handler.label);
+    this.lastErrorCode = Math.abs(this.errorCode);
+    this.lastErrorMessage = this.errorMessage;
+    this.errorCode = 1;
+    this.errorMessage = "OK";
+    this.clearRetryInterval();
+    // a page that failed to load is not waited for at the label
+    this.stopTimer("loading");
+    this.waitingForPageLoad = false;
+    try {
+        this.gotoAction(handler.target);
+    } catch (e) {
+        this.handleError(e);
+        return;
+    }
+    this.next("error handler");
+};
+
+
 // form lastPerformance and save STOPWATCH results
 MacroPlayer.prototype.saveStopwatchResults = function () {
     // ensure that macro timeout is cleared
@@ -4744,6 +6307,185 @@ MacroPlayer.prototype.saveProfilerData = function () {
 
 
 
+// <testsuite> element of the JUnit XML report, one <testcase> per ASSERT
+// and VERIFY, and an <error> test case when the macro stopped on an error
+MacroPlayer.prototype.getTestReportXML = function () {
+    var escape = function (str) {
+        return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").
+            replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    };
+    var suite = this.currentMacro.replace(/\.iim$/i, "");
+    var looped = this.testResults.some(r => r.loop > 1);
+    var cases = this.testResults.map(function (r) {
+        var s = "    <testcase classname=\"" + escape(suite) + "\" name=\"" +
+            escape(r.name + " (line " + r.line +
+                (looped ? ", loop " + r.loop : "") + ")") +
+            "\" time=\"" + r.time.toFixed(3) + "\"";
+        if (!r.failure)
+            return s + "/>";
+        return s + ">\n      <failure type=\"AssertionFailed\" message=\"" +
+            escape(r.failure) + "\"/>\n    </testcase>";
+    });
+    // failed ASSERT has already been reported as a failure
+    var error = this.errorCode != 1 && Math.abs(this.errorCode) != 791;
+    if (error) {
+        cases.push("    <testcase classname=\"" + escape(suite) +
+            "\" name=\"" + escape(this.currentMacro) + "\" time=\"0.000\">\n" +
+            "      <error type=\"" + Math.abs(this.errorCode) + "\" message=\"" +
+            escape(this.errorMessage) + "\"/>\n    </testcase>");
+    }
+    return "  <testsuite name=\"" + escape(this.currentMacro) +
+        "\" tests=\"" + cases.length + "\" failures=\"" +
+        this.testResults.filter(r => r.failure).length +
+        "\" errors=\"" + (error ? 1 : 0) + "\" time=\"" +
+        this.globalTimer.getElapsedSeconds().toFixed(3) +
+        "\" timestamp=\"" + new Date().toISOString().replace(/\.\d+Z$/, "") +
+        "\">\n" + cases.join("\n") + "\n  </testsuite>\n";
+};
+
+
+// reports of several replays are collected in the same file
+MacroPlayer.prototype.saveTestReport = function () {
+    if (!this.defDownloadFolder || !this.afioIsInstalled)
+        return;
+    var xml_frag = this.getTestReportXML();
+    var file = null;
+    if (this.testReportFile && __is_full_path(this.testReportFile)) {
+        file = afio.openNode(this.testReportFile);
+    } else {
+        file = this.defDownloadFolder.clone();
+        var leafname = this.testReportFile ||
+            "TestReport_" + this.currentMacro.replace(/\.iim$/i, "");
+        file.append(/\.xml$/i.test(leafname) ? leafname : leafname + ".xml");
+    }
+
+    return file.exists().then(function (exists) {
+        if (exists) {
+            return afio.readTextFile(file).then(function (x) {
+                if (!/<\/testsuites>\s*$/.test(x))
+                    throw new RuntimeError("Can not append to " + file.path +
+                        ", the file is not a JUnit report");
+                x = x.replace(/\s*<\/testsuites>\s*$/, "\n" + xml_frag + "</testsuites>\n");
+                return afio.writeTextFile(file, x);
+            });
+        }
+        return afio.writeTextFile(file,
+            "<?xml version=\"1.0\" encoding=\"utf-8\"?>\n" +
+            "<testsuites>\n" + xml_frag + "</testsuites>\n");
+    }).catch(console.error.bind(console));
+};
+
+
+// Run log: one JSON line per executed action with its expanded parameters,
+// duration, tab, frame and outcome, written to the log folder when
+// replaying stops. TAG retries and RUN sub-macros are recorded too.
+// Nothing is recorded unless the log is on, by !FILE_LOG or the option.
+MacroPlayer.prototype.startRunLogEntry = function (action) {
+    if (!this.writeRunLog)
+        return;
+    // TAG waiting for its element replays the same action
+    if (this.runLogEntry && this.runLogEntry.action === action)
+        return;
+    var params = action.args.input !== undefined ?
+        action.args.input : action.args[0];
+    try {
+        // EVAL runs when the action does, not for the log
+        params = this.expandVariables(params, "runlog", true);
+    } catch (e) {
+        // the action reports the bad variable itself
+    }
+    this.runLogEntry = {
+        action: action,
+        started: new Date(),
+        record: {
+            type: "action",
+            time: null,
+            macro: this.currentMacro,
+            line: action.line + this.linenumber_delta,
+            include: action.include || undefined,
+            loop: this.currentLoop,
+            command: action.name.toUpperCase(),
+            params: this.maskRunLogParams(action.name, params,
+                this.shouldDecryptPassword),
+            tab: this.tab_id,
+            frame: this.currentFrame ? this.currentFrame.number : 0
+        }
+    };
+};
+
+MacroPlayer.prototype.endRunLogEntry = function (code, text) {
+    var entry = this.runLogEntry;
+    this.runLogEntry = null;
+    if (!entry || !this.writeRunLog)
+        return;
+    var record = entry.record;
+    // TAG learns from the page that its CONTENT goes to a password field
+    if (this.shouldDecryptPassword)
+        record.params = this.maskRunLogParams(record.command.toLowerCase(),
+            record.params, true);
+    record.time = entry.started.toISOString();
+    record.duration = +((Date.now() - entry.started.getTime()) / 1000).toFixed(3);
+    record.errorCode = code;
+    record.error = code == 1 ? "" : text;
+    this.runLog.push(record);
+};
+
+// hide passwords and encrypted content, @password is set for TAG filling
+// in a password field
+MacroPlayer.prototype.maskRunLogParams = function (name, params, password) {
+    var keys = [];
+    if (name == "onlogin")
+        keys = ["password"];
+    else if (name == "tag" && (password || /\btype\s*=\s*input:password\b/i.test(params)))
+        keys = ["content"];
+    else if ((name == "event" || name == "events") && this.encryptionType != "no")
+        keys = ["char", "chars"];
+    keys.forEach(key => {
+        var re = new RegExp("(\\b" + key + "\\s*=\\s*)" + im_strre, "ig");
+        params = params.replace(re, "$1********");
+    });
+    return params;
+};
+
+// the file given by !FILE_LOG or RunLog_<macro>_<date>.jsonl in the log
+// folder; a run starts with a "start" and ends with an "end" line
+MacroPlayer.prototype.saveRunLog = function () {
+    if (!this.afioIsInstalled)
+        return;
+    var macro = this.callStack.length ?
+        this.callStack[0].currentMacro : this.currentMacro;
+    var lines = [{
+        type: "start",
+        time: this.runLogStarted.toISOString(),
+        macro: macro,
+        loops: this.times
+    }].concat(this.runLog, {
+        type: "end",
+        time: new Date().toISOString(),
+        duration: +((Date.now() - this.runLogStarted.getTime()) / 1000).toFixed(3),
+        errorCode: this.errorCode,
+        error: this.errorCode == 1 ? "" : this.errorMessage,
+        locatorFallbacks: this.locatorFallbacks.length ?
+            this.locatorFallbacks : undefined
+    });
+    var data = lines.map(x => JSON.stringify(x)).join("\n") + "\n";
+
+    var name = this.logFile || "RunLog_" + macro.replace(/\.iim$/i, "") +
+        "_" + imns.formatDate("yyyymmdd_hhnnss", this.runLogStarted);
+    if (!/\.jsonl$/i.test(name))
+        name += ".jsonl";
+    var folder = __is_full_path(name) ? Promise.resolve(null) :
+        afio.getDefaultDir("logpath");
+    return folder.then(dir => {
+        var file = dir ? dir.clone() : afio.openNode(name);
+        if (dir)
+            file.append(name);
+        return afio.appendTextFile(file, data);
+    }).catch(console.error.bind(console));
+};
+
+
+
 MacroPlayer.prototype.pause = function (force) {
     if (this.paused && !force) return;
     this.pauseIsPending = true;
@@ -4775,6 +6517,11 @@ MacroPlayer.prototype.stop = function () {    // Stop playing
     this.pauseIsPending = false
     this.paused = false
     this.removeListeners();
+    if (this.dialogHooksRegistered) {
+        if (hasDebuggerAPI())
+            chrome.debugger.onEvent.removeListener(this._onDebuggerEvent);
+        this.dialogHooksRegistered = false;
+    }
 
     // Always stop global timer to prevent orphaned timeouts
     this.globalTimer.stop();
@@ -4810,6 +6557,25 @@ MacroPlayer.prototype.stop = function () {    // Stop playing
     }
     // clear profiler data to prevent memory accumulation
     this.profiler.profiler_data = new Array();
+    // save the summary of a RUNSUITE stopped before its end
+    if (this.suite) {
+        this.recordSuiteResult(new RuntimeError("Replaying was stopped"), "");
+        this.saveSuiteReport(this.suite).catch(console.error.bind(console));
+        this.suite = null;
+    }
+    // write JUnit report of ASSERT and VERIFY if any
+    if (this.testResults.length) {
+        if (this.writeTestReport)
+            this.saveTestReport();
+        this.testResults = [];
+    }
+    // an action still running was interrupted by Stop
+    this.endRunLogEntry(this.errorCode == 1 ? -101 : this.errorCode,
+        "Replaying was stopped");
+    if (this.writeRunLog) {
+        this.saveRunLog();
+        this.runLog = [];
+    }
 
     // tell content script do some clean-up
     communicator.postMessage("stop-replaying", {}, this.tab_id,
@@ -4916,25 +6682,173 @@ MacroPlayer.prototype.convertLimits = function (limits) {
 
 // functions to manipulate extraction results
 MacroPlayer.prototype.getExtractData = function () {
-    return this.extractData;
+    if (!this.extractTable)
+        return this.extractData;
+    // POS=ALL and EXTRACT=TABLE values follow the others, row by row
+    return this.getExtractValues().concat(
+        ...this.extractTable.rows).join("[EXTRACT]");
 };
 
-MacroPlayer.prototype.addExtractData = function (str) {
+MacroPlayer.prototype.addExtractData = function (str, name) {
     if (this.extractData.length) {
         this.extractData += "[EXTRACT]" + str;
     } else {
         this.extractData = str;
     }
+    if (name)
+        this.extractFields[this.getExtractValues().length - 1] = name;
+};
+
+MacroPlayer.prototype.getExtractValues = function () {
+    return this.extractData.length ? this.extractData.split("[EXTRACT]") : [];
+};
+
+// TAG POS=ALL ... EXTRACT= adds a column holding one value per element
+MacroPlayer.prototype.addExtractColumn = function (values, name) {
+    var table = this.extractTable ||
+        (this.extractTable = { columns: [], rows: [] });
+    var column = table.columns.length;
+    table.columns.push(name || null);
+    values.forEach((value, i) => {
+        table.rows[i] = table.rows[i] || [];
+        table.rows[i][column] = value;
+    });
+    table.rows.forEach(row => {
+        for (var j = 0; j <= column; j++) {
+            if (row[j] === undefined)
+                row[j] = "";
+        }
+    });
+};
+
+// TAG ... EXTRACT=TABLE adds the rows of a table, its header cells name
+// the columns
+MacroPlayer.prototype.addExtractTable = function (header, rows) {
+    var table = this.extractTable;
+    if (!table) {
+        table = this.extractTable = {
+            columns: header ? header.map(name => name || null) : [],
+            rows: []
+        };
+    }
+    rows.forEach(row => {
+        while (table.columns.length < row.length)
+            table.columns.push(null);
+        table.rows.push(row.concat(
+            new Array(table.columns.length - row.length).fill("")));
+    });
+};
+
+// rows written by SAVEAS: the extracted values, followed by each row of
+// POS=ALL and EXTRACT=TABLE results if there are any
+MacroPlayer.prototype.getExtractRows = function () {
+    var values = this.getExtractValues();
+    if (!this.extractTable)
+        return [values];
+
+    return this.extractTable.rows.map(row => values.concat(row));
+};
+
+// {{!EXTRACT.name}}, the last value extracted with AS=name, the values of
+// a POS=ALL column are joined like {{!EXTRACT}}
+MacroPlayer.prototype.getExtractField = function (name) {
+    var values = this.getExtractValues();
+    for (var i = values.length - 1; i >= 0; i--) {
+        if (this.extractFields[i] &&
+            this.extractFields[i].toLowerCase() == name.toLowerCase())
+            return values[i];
+    }
+    var table = this.extractTable;
+    var column = table ? table.columns.findIndex(
+        col => col && col.toLowerCase() == name.toLowerCase()) : -1;
+    if (column != -1)
+        return table.rows.map(row => row[column]).join("[EXTRACT]");
+    throw new BadParameter("EXTRACT field " + name + " is not set, " +
+        "use TAG ... EXTRACT=... AS=" + name);
+};
+
+MacroPlayer.prototype.hasExtractColumnNames = function () {
+    return this.extractColumns.length > 0 || this.extractFields.some(Boolean) ||
+        !!this.extractTable && this.extractTable.columns.some(Boolean);
+};
+
+// SAVEAS column names: AS= names and table headers, !EXTRACT_COLUMNS,
+// then column1..n
+MacroPlayer.prototype.getExtractColumns = function () {
+    var names = this.getExtractValues().map((value, i) => this.extractFields[i]);
+    if (this.extractTable)
+        names = names.concat(this.extractTable.columns);
+
+    return names.map((name, i) => name || this.extractColumns[i] ||
+        "column" + (i + 1));
+};
+
+MacroPlayer.prototype.makeExtractRecord = function (columns, values) {
+    var record = {};
+    values.forEach((value, i) => {
+        record[columns[i]] = value;
+    });
+    return record;
+};
+
+// SAVEAS TYPE=JSON keeps an array of records, new ones are appended
+MacroPlayer.prototype.appendJsonRecords = function (file, newRecords) {
+    return file.exists().then(exists => {
+        return exists ? afio.readTextFile(file) : "";
+    }).then(data => {
+        var records = [];
+        if (/\S/.test(data)) {
+            try {
+                records = JSON.parse(data);
+            } catch (e) {
+                records = null;
+            }
+            if (!Array.isArray(records))
+                throw new RuntimeError("Can not append to " + file.path +
+                    ", the file is not a JSON array", 732);
+        }
+        records.push(...newRecords);
+        return afio.writeTextFile(file, JSON.stringify(records, null, 2));
+    });
+};
+
+// SAVEAS TYPE=XLSX rewrites the workbook with every row saved to it
+// during this replay, headed by the column names of the first row; a
+// workbook left by an earlier replay can not be read back, so it is kept
+MacroPlayer.prototype.appendXlsxRows = function (file, columns, newRows) {
+    var rows = this.xlsxSheets.get(file.path);
+    return (rows ? Promise.resolve(false) : file.exists()).then(exists => {
+        if (exists)
+            throw new RuntimeError("Can not append to " + file.path +
+                ", SAVEAS TYPE=XLSX only adds rows to a workbook" +
+                " written by this replay", 732);
+        if (!rows) {
+            rows = columns ? [columns] : [];
+            this.xlsxSheets.set(file.path, rows);
+        }
+        rows.push(...newRows);
+        return afio.writeImageToFile(file, {
+            image: XlsxWriter.toBase64(XlsxWriter.build(rows)),
+            encoding: "base64",
+            mimeType: XlsxWriter.MIME_TYPE
+        });
+    });
 };
 
 MacroPlayer.prototype.clearExtractData = function () {
     this.extractData = "";
+    this.extractFields = [];
+    this.extractTable = null;
 };
 
 
 // Show Popup for extraction
-MacroPlayer.prototype.showAndAddExtractData = function (str) {
-    this.addExtractData(str);
+MacroPlayer.prototype.showAndAddExtractData = function (str, name) {
+    this.addExtractData(str, name);
+    this.showExtractDialog(str);
+};
+
+MacroPlayer.prototype.showExtractDialog = function (str) {
     if (!this.shouldPopupExtract)
         return;
     this.waitingForExtract = true;
@@ -4980,7 +6894,8 @@ MacroPlayer.prototype.showAndAddExtractData = function (str) {
 
 
 // Datasources
-MacroPlayer.prototype.loadDataSource = function (filename) {
+// @name is the NAME of SET !DATASOURCE_NAME, or empty for !DATASOURCE
+MacroPlayer.prototype.loadDataSource = function (filename, name) {
     var file;
     if (!__is_full_path(filename)) {
         if (this.dataSourceFolder)
@@ -4997,67 +6912,321 @@ MacroPlayer.prototype.loadDataSource = function (filename) {
         if (!exists) {
             throw new RuntimeError("Data source file does not exist", 730)
         }
-        mplayer.dataSourceFile = file.path;
-        return afio.readTextFile(file).then(function (data) {
-            if (!/\r?\n$/.test(data))
-                data += "\n";     // add \n to make regexp not so complicated
-            mplayer.dataSource = new Array();
-            // regexp to match single data field
-            // based on http://edoceo.com/utilitas/csv-file-format
-            var ws = '[ \t\v]';   // non-crlf whitespace,
-            // TODO: should we include all Unicode ws?
-            var delim = mplayer.dataSourceDelimiter;
-            var field = ws + '*("(?:[^\"]+|"")*"|[^' + delim + '\\n\\r]*)' + ws +
-                '*(' + delim + '|\\r?\\n|\\r)';
-            var re = new RegExp(field, "g"), m, vals = new Array();
-            while (m = re.exec(data)) {
-                var value = m[1], t;
-                if (t = value.match(/^\"((?:[\r\n]|.)*)\"$/))
-                    value = t[1];   // unquote the line
-                value = value.replace(/\"{2}/g, '"'); // normalize double quotes
-                // HACK: every {{!COLn}} variable is "unwrap()-ped" in
-                // command handlers so we have to do some trickery to
-                // preserve double-quoted strings
-                // see fx #362
-                if (t = value.match(/^\"((?:[\r\n]|.)*)\"$/))
-                    value = '"\\"' + t[1] + '\\""';
-                vals.push(value);
-                mplayer.checkFreewareLimits("csv_cols", vals.length)
-                if (m[2] != delim) {
-                    mplayer.dataSource.push(vals.slice(0));
-                    let rowCount = mplayer.dataSource.length
-                    mplayer.checkFreewareLimits("csv_rows", rowCount)
-                    vals = new Array();
+        return mplayer.readDataSourceFile(file).then(function (data) {
+            var rows, header;
+            if (/\.(?:json|jsonl|ndjson)$/i.test(file.path)) {
+                // JSON records, the field paths name the columns
+                var ds = mplayer.parseJsonDataSource(data, filename,
+                    !/\.json$/i.test(file.path));
+                rows = ds.rows;
+                header = ds.header;
+            } else {
+                rows = mplayer.parseDataSource(data);
+                if (!rows.length) {
+                    throw new RuntimeError("Can not parse datasource file " +
+                        filename, 752)
                 }
+                // SET !DATASOURCE_HEADER YES, first row names the columns
+                header = mplayer.dataSourceHasHeader ? rows.shift() : null;
             }
-
-            if (!mplayer.dataSource.length) {
-                throw new RuntimeError("Can not parse datasource file " +
-                    filename, 752)
+            if (name) {
+                mplayer.dataSources.set(name.toLowerCase(), {
+                    name: name.toUpperCase(),
+                    file: file.path,
+                    rows: rows,
+                    header: header,
+                    line: 0
+                });
+            } else {
+                mplayer.dataSourceFile = file.path;
+                mplayer.dataSource = rows;
+                mplayer.dataSourceHeader = header;
             }
-        }).catch(function (err) {
-            mplayer.handleError(err);
         });
     });
 };
 
 
-MacroPlayer.prototype.getColumnData = function (col) {
-    var line = this.dataSourceLine || this.currentLoop;
+// raw bytes are decoded with !DATASOURCE_ENCODING or the detected
+// encoding; only the File System Access backend reads bytes, the native
+// host and the virtual file system return text decoded as UTF-8
+MacroPlayer.prototype.readDataSourceFile = function (file) {
+    var encoding = this.dataSourceEncoding;
+    var readText = function () {
+        if (encoding && encoding != "utf-8") {
+            throw new RuntimeError("!DATASOURCE_ENCODING " + encoding +
+                " is not supported by the " + afio.getBackendType() +
+                " file backend, it reads files as UTF-8", 730);
+        }
+        return afio.readTextFile(file);
+    };
+    if (afio.getBackendType() != "filesystem-access")
+        return Promise.resolve().then(readText);
+
+    return afio.readBinaryFile(file).then(function (url) {
+        if (!/^data:/.test(url))
+            return readText();
+
+        return CsvParser.decode(CsvParser.dataUrlToBytes(url), encoding).text;
+    }, readText);
+};
+
+
+// fields are split by !DATASOURCE_DELIMITER or the sniffed delimiter,
+// quoted fields may contain delimiters and newlines
+MacroPlayer.prototype.parseDataSource = function (data) {
+    return this.checkDataSourceRows(
+        CsvParser.parse(data, this.dataSourceDelimiter)
+    );
+};
+
+
+MacroPlayer.prototype.checkDataSourceRows = function (rows) {
+    rows.forEach(function (vals, i) {
+        for (var j = 0, t; j < vals.length; j++) {
+            // HACK: every {{!COLn}} variable is "unwrap()-ped" in
+            // command handlers so we have to do some trickery to
+            // preserve double-quoted strings
+            // see fx #362
+            if (t = vals[j].match(/^\"((?:[\r\n]|.)*)\"$/))
+                vals[j] = '"\\"' + t[1] + '\\""';
+        }
+        this.checkFreewareLimits("csv_cols", vals.length);
+        this.checkFreewareLimits("csv_rows", i + 1);
+    }, this);
+
+    return rows;
+};
+
+
+// records of a JSON file are selected by !DATASOURCE_PATH, a JSON Lines
+// file holds one record per line; every record becomes a row and its
+// flattened field paths (customer.email, items.0.sku) the header
+MacroPlayer.prototype.parseJsonDataSource = function (data, filename, lines) {
+    var root;
+    data = data.replace(/^\uFEFF/, "");
+    try {
+        if (lines) {
+            root = [];
+            data.split(/\r?\n|\r/).forEach(function (line, i) {
+                if (!/\S/.test(line))
+                    return;
+                try {
+                    root.push(JSON.parse(line));
+                } catch (e) {
+                    throw new Error(e.message + " at line " + (i + 1));
+                }
+            });
+        } else {
+            root = JSON.parse(data);
+        }
+    } catch (e) {
+        throw new RuntimeError("Can not parse datasource file " +
+            filename + ": " + e.message, 752);
+    }
+
+    var steps = parseJsonPath(this.dataSourcePath || "$");
+    var records = selectJsonPath(root, steps);
+    if (records.length == 1 && Array.isArray(records[0]) &&
+        !steps.some(step => step.wildcard))
+        records = records[0];
+    if (!records.length)
+        throw new RuntimeError("Datasource file " + filename + " has no records" +
+            (this.dataSourcePath ? " at " + this.dataSourcePath : ""), 752);
+
+    var header = [], columns = new Map();
+    var fields = records.map(function (record) {
+        var flat = new Map();
+        flattenJsonRecord(record, "", flat);
+        for (var key of flat.keys()) {
+            if (!columns.has(key)) {
+                columns.set(key, header.length);
+                header.push(key);
+            }
+        }
+        return flat;
+    });
+    var rows = fields.map(function (flat) {
+        return header.map(key => flat.has(key) ? flat.get(key) : "");
+    });
+
+    return { rows: this.checkDataSourceRows(rows), header: header };
+};
+
+
+// steps of a !DATASOURCE_PATH like $.data.items[*] or $['my key'][0]
+function parseJsonPath(path) {
+    var re = /\.([^.[\]'"]+)|\[(\d+)\]|\[(?:'([^']*)'|"([^"]*)")\]|\[\*\]/y;
+    var steps = [], m;
+    re.lastIndex = 1;
+    if (path[0] != "$")
+        re.lastIndex = path.length + 1;
+    while (re.lastIndex < path.length && (m = re.exec(path))) {
+        if (m[1] == "*" || m[0] == "[*]")
+            steps.push({ wildcard: true });
+        else if (m[2] !== undefined)
+            steps.push({ index: parseInt(m[2]) });
+        else
+            steps.push({ key: m[1] || m[3] || m[4] || "" });
+    }
+    if (re.lastIndex != path.length)
+        throw new BadParameter("Invalid !DATASOURCE_PATH " + path +
+            ", expected a path like $.data.items[*]");
+
+    return steps;
+}
+
+
+function selectJsonPath(root, steps) {
+    return steps.reduce(function (nodes, step) {
+        var next = [];
+        nodes.forEach(function (node) {
+            if (node === null || typeof node != "object")
+                return;
+            if (step.wildcard)
+                next.push(...Object.values(node));
+            else if (step.index !== undefined) {
+                if (Array.isArray(node) && step.index < node.length)
+                    next.push(node[step.index]);
+            } else if (step.key !== undefined &&
+                Object.prototype.hasOwnProperty.call(node, step.key))
+                next.push(node[step.key]);
+        });
+        return next;
+    }, [root]);
+}
+
+
+// nested objects and arrays are joined with ".", a record which is not
+// an object is read as column "value"
+function flattenJsonRecord(value, prefix, flat) {
+    if (value !== null && typeof value == "object") {
+        var keys = Object.keys(value);
+        if (!keys.length && prefix)
+            flat.set(prefix, "");
+        keys.forEach(function (key) {
+            flattenJsonRecord(value[key], prefix ? prefix + "." + key : key, flat);
+        });
+    } else {
+        flat.set(prefix || "value", value === null ? "" : String(value));
+    }
+}
+
+
+// !DATASOURCE_<NAME> of these names are settings, not named datasources
+MacroPlayer.prototype.RESERVED_DATASOURCE_NAMES =
+    ["line", "header", "columns", "delimiter", "path", "encoding"];
+
+MacroPlayer.prototype.checkDataSourceName = function (name) {
+    if (this.RESERVED_DATASOURCE_NAMES.indexOf(name.toLowerCase()) != -1)
+        throw new BadParameter(name.toUpperCase() + " can not be used as " +
+            "datasource name, !DATASOURCE_" + name.toUpperCase() + " is a setting");
+};
+
+
+// datasource of {{!COLn@NAME}}, the unnamed one follows !DATASOURCE_LINE
+// and named ones are moved by DS CMD=NEXT; all follow !LOOP until moved
+MacroPlayer.prototype.getDataSource = function (name) {
+    if (!name) {
+        return {
+            rows: this.dataSource,
+            header: this.dataSourceHeader,
+            line: this.dataSourceLine || this.currentLoop || 1
+        };
+    }
+    this.checkDataSourceName(name);
+    var ds = this.dataSources.get(name.toLowerCase());
+    if (!ds)
+        throw new RuntimeError("Datasource " + name.toUpperCase() +
+            " is not set, use SET !DATASOURCE_" + name.toUpperCase(), 751);
+
+    return {
+        rows: ds.rows,
+        header: ds.header,
+        line: ds.line || this.currentLoop || 1
+    };
+};
+
+
+// column number of {{!COL_header}} and {{!COL[header]}}, headers are
+// compared ignoring case and surrounding whitespace
+MacroPlayer.prototype.getColumnIndex = function (header, name) {
+    var ds = this.getDataSource(name);
+    var where = name ? " of datasource " + name.toUpperCase() : "";
+    if (!ds.header)
+        throw new RuntimeError("Column header \"" + header + "\" can not be used" +
+            where + ", set !DATASOURCE_HEADER YES before loading it", 753);
 
-    if (!line)
-        line = 1;
+    var key = header.trim().toLowerCase();
+    var index = ds.header.findIndex(h => h.trim().toLowerCase() == key);
+    if (index == -1)
+        throw new RuntimeError("Column header \"" + header + "\" not found" +
+            where + ", available headers: " + ds.header.join(", "), 753);
 
-    if (line > this.dataSource.length)
-        throw new RuntimeError("Row number " + line + " exceeds available rows " + this.dataSource.length, 754);
+    return index + 1;
+};
 
-    var max_columns = this.dataSourceColumns || this.dataSource[line - 1].length;
+
+MacroPlayer.prototype.getColumnData = function (col, name) {
+    var ds = this.getDataSource(name), line = ds.line;
+
+    if (line > ds.rows.length)
+        throw new RuntimeError("Row number " + line + " exceeds available rows " + ds.rows.length, 754);
+
+    var max_columns = (!name && this.dataSourceColumns) || ds.rows[line - 1].length;
     if (col > max_columns)
         throw new RuntimeError("Column number " + col +
             " greater than total number" +
             " of columns " + max_columns, 753);
 
-    return this.dataSource[line - 1][col - 1];
+    return ds.rows[line - 1][col - 1];
+};
+
+
+// DS command, moves through datasource rows independently of !LOOP
+MacroPlayer.prototype.RegExpTable["ds"] =
+    "^cmd\\s*=\\s*(next|reset|clear)(?:\\s+name\\s*=\\s*(" + im_strre + "))?\\s*$";
+
+MacroPlayer.prototype.ActionTable["ds"] = function (cmd) {
+    var command = cmd[1].toLowerCase();
+    var name = cmd[2] ? imns.unwrap(this.expandVariables(cmd[2], "ds2")) : "";
+    if (name)
+        this.checkDataSourceName(name);
+    var ds = name ? this.dataSources.get(name.toLowerCase()) : null;
+    if (name && !ds)
+        throw new RuntimeError("Datasource " + name.toUpperCase() +
+            " is not set, use SET !DATASOURCE_" + name.toUpperCase(), 751);
+
+    switch (command) {
+        case "next":
+            var current = this.getDataSource(name);
+            if (current.line >= current.rows.length)
+                throw new RuntimeError("DS CMD=NEXT: no more rows in datasource" +
+                    (name ? " " + name.toUpperCase() : ""), 754);
+            if (ds)
+                ds.line = current.line + 1;
+            else
+                this.dataSourceLine = current.line + 1;
+            break;
+        case "reset":
+            if (ds)
+                ds.line = 1;
+            else
+                this.dataSourceLine = 1;
+            break;
+        case "clear":
+            if (ds) {
+                this.dataSources.delete(name.toLowerCase());
+            } else {
+                this.dataSource = new Array();
+                this.dataSourceHeader = null;
+                this.dataSourceFile = "";
+                this.dataSourceLine = 0;
+            }
+            break;
+    }
+
+    this.next("DS");
 };
 
 
@@ -5080,19 +7249,28 @@ MacroPlayer.prototype.getVar = function (idx) {
 };
 
 // functions to access user defined variables
+// parameters bound by RUN ... ARGS= shadow user variables of the same name
 MacroPlayer.prototype.setUserVar = function (name, value) {
     this.checkFreewareLimits("user_vars", null);
+    if (this.varManager && this.varManager.hasParam(name)) {
+        this.varManager.setParam(name, value);
+        return;
+    }
     this.userVars.set(name.toLowerCase(), value);
 };
 
 MacroPlayer.prototype.getUserVar = function (name) {
     this.checkFreewareLimits("user_vars", null);
+    if (this.varManager && this.varManager.hasParam(name))
+        return this.varManager.getParam(name);
     var value = this.userVars.get(name.toLowerCase());
     return value === undefined ? "" : value;
 };
 
 MacroPlayer.prototype.hasUserVar = function (name) {
     this.checkFreewareLimits("user_vars", null);
+    if (this.varManager && this.varManager.hasParam(name))
+        return true;
     return this.userVars.has(name.toLowerCase());
 };
 
@@ -5163,7 +7341,8 @@ MacroPlayer.prototype.onInterrupt = function (eval_id) {
 // {{varname}} with the variable value
 // Use '#NOVAR#{{' to insert '{{'
 // (the function would fail if a variable contains '#novar#{' string)
-MacroPlayer.prototype.expandVariables = function (param, eval_id) {
+// With @no_eval, EVAL(...) is not run, only its {{vars}} are expanded
+MacroPlayer.prototype.expandVariables = function (param, eval_id, no_eval) {
     // first replace all #NOVAR#{{ by #NOVAR#{
     param = param.replace(/#novar#\{\{/ig, "#NOVAR#{");
     // substitute {{vars}}
@@ -5178,20 +7357,37 @@ MacroPlayer.prototype.expandVariables = function (param, eval_id) {
         t = var_name.match(/^!extract$/i);
         if (t) return mplayer.getExtractData();
 
+        t = var_name.match(/^!extract\.(\w+)$/i);
+        if (t) return mplayer.getExtractField(t[1]);
+
         t = var_name.match(/^!urlcurrent$/i);
         if (t) return mplayer.currentURL;
 
-        t = var_name.match(/^!col(\d+)$/i);
-        if (t) return mplayer.getColumnData(imns.s2i(t[1]));
+        t = var_name.match(/^!col(\d+)(?:@(\w+))?$/i);
+        if (t) return mplayer.getColumnData(imns.s2i(t[1]), t[2]);
 
-        t = var_name.match(/^!datasource_line$/i);
-        if (t) return mplayer.dataSourceLine || mplayer.currentLoop;
+        t = var_name.match(/^!col(?:_(\w+(?:\.\w+)*)|\[([^\]]+)\])(?:@(\w+))?$/i);
+        if (t) return mplayer.getColumnData(
+            mplayer.getColumnIndex(t[1] || t[2], t[3]), t[3]);
+
+        t = var_name.match(/^!datasource_line(?:@(\w+))?$/i);
+        if (t) return t[1] ? mplayer.getDataSource(t[1]).line :
+            mplayer.dataSourceLine || mplayer.currentLoop;
 
         t = var_name.match(/^!datasource_columns$/i);
         if (t) return mplayer.dataSourceColumns;
 
         t = var_name.match(/^!datasource_delimiter$/i);
-        if (t) return mplayer.dataSourceDelimiter;
+        if (t) return mplayer.dataSourceDelimiter || ",";
+
+        t = var_name.match(/^!extract_columns$/i);
+        if (t) return mplayer.extractColumns.join(",");
+
+        t = var_name.match(/^!datasource_path$/i);
+        if (t) return mplayer.dataSourcePath;
+
+        t = var_name.match(/^!datasource_encoding$/i);
+        if (t) return mplayer.dataSourceEncoding || "AUTO";
 
         t = var_name.match(/^!datasource$/i);
         if (t) return mplayer.dataSourceFile;
@@ -5236,7 +7432,12 @@ MacroPlayer.prototype.expandVariables = function (param, eval_id) {
         if (t) return mplayer.replayspeed;
 
         t = var_name.match(/^!loop$/i);
-        if (t) return mplayer.currentLoop;
+        if (t) return mplayer.loopStack.length ?
+            mplayer.loopStack[mplayer.loopStack.length - 1].current :
+            mplayer.currentLoop;
+
+        t = var_name.match(/^!loop([1-9]|10)$/i);
+        if (t) return mplayer.getNestedLoopCounter(imns.s2i(t[1]));
 
         t = var_name.match(/^!clipboard$/i);
         if (t) return imns.Clipboard.getStringSync() || "";
@@ -5247,6 +7448,22 @@ MacroPlayer.prototype.expandVariables = function (param, eval_id) {
         t = var_name.match(/^!extract_step$/i);
         if (t) return mplayer.currentExtractStep;
 
+        t = var_name.match(/^!lasterror$/i);
+        if (t) return mplayer.lastErrorMessage;
+
+        t = var_name.match(/^!lasterrorcode$/i);
+        if (t) return mplayer.lastErrorCode;
+
+        t = var_name.match(/^!run_result(?:\.(\w+))?$/i);
+        if (t) {
+            if (!t[1])
+                return mplayer.runResult.value;
+            var output = t[1].toLowerCase();
+            if (!Object.prototype.hasOwnProperty.call(mplayer.runResult.outputs, output))
+                throw new BadParameter("RETURN did not set output " + t[1]);
+            return mplayer.runResult.outputs[output];
+        }
+
         t = var_name.match(/^!errorignore$/i);
         if (t) return mplayer.errorIgnore ? "yes" : "no";
 
@@ -5527,9 +7744,12 @@ MacroPlayer.prototype.expandVariables = function (param, eval_id) {
     };
 
 
+    // {{name}}, {{!COL[header]}} is the only form that can contain spaces
+    var var_re = /\{\{(!col\[[^\]{}]+\](?:@\w+)?|\S+?)\}\}/ig;
+
     // check for "eval" command
     var eval_re = new RegExp("^eval\\s*\\((.*)\\)$", "i");
-    const match = eval_re.exec(param);
+    const match = !no_eval && eval_re.exec(param);
     if (match) {
         var escape = function (s) {
             var x = s.toString();
@@ -5538,14 +7758,14 @@ MacroPlayer.prototype.expandVariables = function (param, eval_id) {
                 replace(/\n/g, "\\n").
                 replace(/\r/g, "\\r");
         };
-        var js_str = match[1].replace(/\{\{(\S+?)\}\}/g, function (m, s) {
+        var js_str = match[1].replace(var_re, function (m, s) {
             return escape(handleVariable(m, s))
         });
         // substitute all #novar#{ by {{
         js_str = js_str.replace(/#novar#\{(?=[^\{])/ig, "{{");
         param = this.do_eval(js_str, eval_id);
     } else {
-        param = param.replace(/\{\{(\S+?)\}\}/g, handleVariable);
+        param = param.replace(var_re, handleVariable);
         // substitute all #novar#{ by {{
         param = param.replace(/#novar#\{(?=[^\{])/ig, "{{");
     }
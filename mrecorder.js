@@ -59,6 +59,29 @@ function queryActiveTabInWindow(winId) {
     });
 }
 
+// Injects a content script that is only needed on demand into the top frame
+// of a tab, proxying to Service Worker if needed (Offscreen Document support)
+function injectContentScript(tabId, file) {
+    return new Promise((resolve, reject) => {
+        if (chrome.scripting && chrome.scripting.executeScript) {
+            chrome.scripting.executeScript({
+                target: { tabId: tabId, frameIds: [0] },
+                files: [file]
+            }, () => {
+                if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
+                else resolve();
+            });
+            return;
+        }
+
+        chrome.runtime.sendMessage({ command: 'SCRIPTING_INJECT', tabId: tabId, file: file }, (response) => {
+            if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
+            else if (response && response.error) reject(new Error(response.error));
+            else resolve();
+        });
+    });
+}
+
 // An object to encapsulate all recording operations
 // on extension side
 function Recorder(win_id) {
@@ -223,6 +246,8 @@ Recorder.prototype.start = function () {
             args: {
                 favorId: Storage.getBool("recording-prefer-id"),
                 cssSelectors: Storage.getBool("recording-prefer-css-selectors"),
+                locators: Storage.getBool("recording-locators"),
+                accessible: Storage.getBool("recording-accessible"),
                 recordMode: recordMode
             }
         }, recorder.win_id);
@@ -321,7 +346,9 @@ Recorder.prototype.beforeRecordAction = function (cmd) {
     }
 };
 
-Recorder.prototype.recordAction = function (cmd) {
+// @quality of the locator of a TAG, if any, is shown next to its line
+// in the panel
+Recorder.prototype.recordAction = function (cmd, quality) {
     if (!this.actions) {
         // Recording not started or already stopped
         console.warn("[iMacros Recorder] recordAction called but actions array is undefined. Recording not active? Sending stop-recording to sync.");
@@ -346,7 +373,7 @@ Recorder.prototype.recordAction = function (cmd) {
         chrome.runtime.sendMessage({
             type: 'PANEL_ADD_LINE',
             panelWindowId: context[this.win_id].panelId,
-            data: { text: cmd }
+            data: { text: cmd, quality: quality || null }
         });
     } catch (e) { /* ignore */ }
     this.actions.push(cmd);
@@ -364,7 +391,7 @@ Recorder.prototype.recordAction = function (cmd) {
 }
 
 Recorder.prototype.recordActions = function (...actions) {
-    actions.forEach(this.recordAction.bind(this))
+    actions.forEach(action => this.recordAction(action))
 }
 
 
@@ -489,7 +516,7 @@ Recorder.prototype.onRecordAction = function (data, tab_id, callback) {
     let in_event_mode = Storage.getChar("record-mode") == "event"
     console.log("[DEBUG] Recording action, in_event_mode:", in_event_mode);
 
-    const recorded = this.recordAction(data.action)
+    const recorded = this.recordAction(data.action, data.quality)
     if (!recorded) {
         typeof callback === "function" && callback({ error: "record-failed" });
         return;
@@ -608,6 +635,20 @@ Recorder.prototype.packMouseMoveEvent = function (extra) {
 };
 
 
+// EVENT TYPE=DRAG replaces the mousedown on the dragged element and the
+// mouse moves recorded before the drag started
+Recorder.prototype.packDragEvent = function (extra) {
+    let cur = this.popLastAction()
+    let mdown_action = "EVENT TYPE=MOUSEDOWN SELECTOR=\"" +
+        extra.selector + "\""
+    let n = this.actions.length
+    while (n && /^events? type=mousemove\b/i.test(this.actions[n - 1]))
+        n--
+    if (n && this.actions[n - 1].indexOf(mdown_action) == 0)
+        this.popLastActions(this.actions.length - n + 1)
+    this.recordAction(cur)
+}
+
 Recorder.prototype.packKeyDownEvent = function (extra) {
     // basically it is only needed to save prevTarget as all the work is
     // done on keyup
@@ -780,6 +821,8 @@ Recorder.prototype.packAction = function (extra) {
         this.packKeyUpEvent(extra)
     } else if (extra.pack_type == "keypress") {
         this.packKeyPressEvent(extra)
+    } else if (extra.pack_type == "drag") {
+        this.packDragEvent(extra)
     }
 }
 
@@ -814,6 +857,45 @@ Recorder.prototype.capture = function () {
     this.recordAction(rec);
 };
 
+// lets the user drag the area to record SCREENSHOT TYPE=REGION for
+Recorder.prototype.captureRegion = function () {
+    var recorder = this;
+    return queryActiveTabInWindow(this.win_id).then(function (tab) {
+        if (!tab)
+            return;
+        // the area picker is not injected into every page
+        return injectContentScript(tab.id, "content_scripts/crop_tool.js")
+            .then(function () { return tab; });
+    }).then(function (tab) {
+        if (!tab)
+            return;
+        communicator.postMessage("pick-region", {}, tab.id, function (data) {
+            var area = data && data.area;
+            if (!area)
+                return;
+            recorder.recordAction("SCREENSHOT TYPE=REGION X=" + area.x +
+                " Y=" + area.y + " W=" + area.width + " H=" + area.height +
+                " FOLDER=* FILE=*");
+        }, { number: 0 });
+    });
+};
+
+// lets the user click an element and choose the locator to record a TAG
+// with, the locators are rated for uniqueness and stability
+Recorder.prototype.pickElement = function () {
+    var recorder = this;
+    return queryActiveTabInWindow(this.win_id).then(function (tab) {
+        if (!tab)
+            return;
+        communicator.postMessage("pick-element", {}, tab.id, function (data) {
+            if (!data || !data.action)
+                return;
+            recorder.checkForFrameChange({ number: 0 });
+            recorder.recordAction(data.action, data.quality);
+        }, { number: 0 });
+    });
+};
+
 Recorder.prototype.onQueryState = function (data, tab_id, callback) {
     var recorder = this;
     getTab(tab_id).then(function (tab) {
@@ -847,6 +929,8 @@ Recorder.prototype.onQueryState = function (data, tab_id, callback) {
                     args: {
                         favorId: Storage.getBool("recording-prefer-id"),
                         cssSelectors: Storage.getBool("recording-prefer-css-selectors"),
+                        locators: Storage.getBool("recording-locators"),
+                        accessible: Storage.getBool("recording-accessible"),
                         recordMode: recordMode
                     },
                     state: "recording",
@@ -969,6 +1053,8 @@ Recorder.prototype.onTabUpdated = function (tab_id, changeInfo, tab) {
                     args: {
                         favorId: Storage.getBool("recording-prefer-id"),
                         cssSelectors: Storage.getBool("recording-prefer-css-selectors"),
+                        locators: Storage.getBool("recording-locators"),
+                        accessible: Storage.getBool("recording-accessible"),
                         recordMode: recordMode
                     }
                 }, tab_id, function () { });
@@ -232,6 +232,8 @@ chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
                 response.args = {
                     favorId: Storage.getBool("recording-prefer-id"),
                     cssSelectors: Storage.getBool("recording-prefer-css-selectors"),
+                    locators: Storage.getBool("recording-locators"),
+                    accessible: Storage.getBool("recording-accessible"),
                     recordMode: recordMode
                 };
                 response.frameNumber = ctx.recorder.currentFrameNumber;
@@ -316,6 +318,18 @@ chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
         return true;
     }
 
+    if (type === 'DEBUGGER_EVENT') {
+        for (let id in context) {
+            const ctx = context[id];
+            // only players that watch dialogs listen to debugger events
+            if (ctx && ctx.mplayer && ctx.mplayer.dialogHooksRegistered) {
+                ctx.mplayer.onDebuggerEvent({ tabId: request.tabId }, request.method, request.params);
+            }
+        }
+        sendResponse({ success: true });
+        return true;
+    }
+
     const tabEvents = ['TAB_ACTIVATED', 'TAB_CREATED', 'TAB_REMOVED', 'TAB_MOVED', 'TAB_ATTACHED', 'TAB_DETACHED', 'WEB_NAVIGATION_ERROR', 'WEB_NAVIGATION_COMMITTED'];
     if (tabEvents.includes(type)) {
         for (let id in context) {
@@ -1264,6 +1278,7 @@ if (chrome.runtime.onInstalled) {
             "utils.js",
             "errorLogger.js",
             "content_scripts/connector.js",
+            "content_scripts/element_picker.js",
             "content_scripts/recorder.js",
             "content_scripts/player.js"
         ];
@@ -412,6 +412,8 @@ window.addEventListener("load", async function () {
             "the feature comparison chart</span ><span>.</span> ").appendTo("#file-access-note");
         $("#profiler-enabled-box").addClass("disabled");
         $("#enable-profiler").attr("disabled", "disabled");
+        $("#runlog-enabled-box").addClass("disabled");
+        $("#enable-runlog").attr("disabled", "disabled");
         $("#path-settings").addClass("disabled");
         $("#defsavepath").prop('disabled', true)
         $("#defdatapath").prop('disabled', true);
@@ -430,6 +432,12 @@ window.addEventListener("load", async function () {
         Storage.setBool("profiler-enabled", checked);
     })
 
+    $("#enable-runlog").prop(
+        "checked", Storage.getBool("runlog-enabled")
+    ).change(function (event) {
+        Storage.setBool("runlog-enabled", event.target.checked);
+    })
+
     // paths
     $("#defsavepath").val(Storage.getChar("defsavepath"))
         .on("input", onPathChange.bind(null, "defsavepath"))
@@ -534,4 +542,16 @@ window.addEventListener("load", async function () {
     ).change(function (e) {
         Storage.setBool("recording-prefer-css-selectors", e.target.checked)
     })
+
+    $("#record-locators").prop(
+        "checked", Storage.getBool("recording-locators")
+    ).change(function (e) {
+        Storage.setBool("recording-locators", e.target.checked)
+    })
+
+    $("#record-accessible").prop(
+        "checked", Storage.getBool("recording-accessible")
+    ).change(function (e) {
+        Storage.setBool("recording-accessible", e.target.checked)
+    })
 });
@@ -401,6 +401,38 @@ function play() {
         });
 }
 
+// "Run Folder" of the file tree: plays every macro of the folder with RUNSUITE
+function runFolder(folderPath) {
+    if (panelState.isPlaying || panelState.isRecording || panelState.isPaused) {
+        console.log("[Panel] Ignoring run folder request - player busy");
+        return;
+    }
+    if (!folderPath) {
+        alert("Unable to run folder: no folder path found.");
+        return;
+    }
+    if (!acquireCommandLock("play")) {
+        return;
+    }
+
+    updatePanelState({ isPlaying: true, isRecording: false });
+    sendContextMethod("mplayer", "playSuite", [folderPath])
+        .then((response) => {
+            handlePlayStartResponse(
+                response,
+                "Failed to run folder.",
+                "Run folder did not return a response",
+                "Run folder failed to start"
+            );
+        })
+        .catch(() => {
+            updatePanelState("idle");
+        })
+        .finally(() => {
+            releaseCommandLock();
+        });
+}
+
 function record() {
     console.log("[Panel] Record button clicked");
 
@@ -482,6 +514,26 @@ function capture() {
     });
 }
 
+function captureRegion() {
+    const el = document.getElementById("capture-region-button");
+    if (!el || el.getAttribute("disabled") === "true" || !panelState.isRecording) {
+        return;
+    }
+    sendContextMethod("recorder", "captureRegion").catch((error) => {
+        console.error("[Panel] Capture region failed:", error);
+    });
+}
+
+function pickElement() {
+    const el = document.getElementById("pick-element-button");
+    if (!el || el.getAttribute("disabled") === "true" || !panelState.isRecording) {
+        return;
+    }
+    sendContextMethod("recorder", "pickElement").catch((error) => {
+        console.error("[Panel] Pick element failed:", error);
+    });
+}
+
 function playLoop() {
     console.log("[Panel] Loop button clicked");
 
@@ -784,6 +836,8 @@ function updatePanelState(state) {
         setDisabled("edit-button", true);
         setDisabled("saveas-button", true);
         setDisabled("capture-button", true);
+        setDisabled("capture-region-button", true);
+        setDisabled("pick-element-button", true);
     } else if (stateName === "paused") {
         setCollapsed("play-button", false);
         setCollapsed("pause-button", true);
@@ -793,6 +847,8 @@ function updatePanelState(state) {
         setDisabled("edit-button", true);
         setDisabled("saveas-button", true);
         setDisabled("capture-button", true);
+        setDisabled("capture-region-button", true);
+        setDisabled("pick-element-button", true);
     } else if (stateName === "recording") {
         setDisabled("stop-recording-button", false);
         setDisabled("play-button", true);
@@ -801,6 +857,8 @@ function updatePanelState(state) {
         setDisabled("record-button", true);
         setDisabled("saveas-button", false);
         setDisabled("capture-button", false);
+        setDisabled("capture-region-button", false);
+        setDisabled("pick-element-button", false);
     } else { // idle
         setCollapsed("play-button", false);
         setCollapsed("pause-button", true);
@@ -809,6 +867,8 @@ function updatePanelState(state) {
         setDisabled("record-button", false);
         setDisabled("saveas-button", true);
         setDisabled("capture-button", true);
+        setDisabled("capture-region-button", true);
+        setDisabled("pick-element-button", true);
 
         // 選択状態に応じてボタン復帰
         if (selectedMacro && selectedMacro.type === 'macro') {
@@ -938,6 +998,30 @@ function ensureMacroLinesElements(titleText) {
     return { container, titleEl, pre };
 }
 
+const LOCATOR_QUALITY_COLORS = { good: "#1a7f37", fair: "#9a6700", poor: "#cf222e" };
+
+// one line of the macro, with the score of its locator when the recorder
+// rated it. Lines that are not good get a warning sign, the tooltip says why
+function appendMacroLine(pre, text, quality) {
+    const lineEl = document.createElement("div");
+    lineEl.className = "macro-line";
+    if (!text) lineEl.style.minHeight = "1em";
+    if (quality && typeof quality.score === "number") {
+        const badge = document.createElement("span");
+        badge.className = "locator-quality " + quality.level;
+        badge.textContent = (quality.level === "good" ? "" : "\u26a0 ") + quality.score;
+        badge.style.color = LOCATOR_QUALITY_COLORS[quality.level] || "";
+        badge.style.fontWeight = "bold";
+        badge.style.marginRight = "6px";
+        const warnings = Array.isArray(quality.warnings) ? quality.warnings : [];
+        badge.title = `Locator score ${quality.score}/100` +
+            (warnings.length ? "\n" + warnings.join("\n") : "");
+        lineEl.appendChild(badge);
+    }
+    lineEl.appendChild(document.createTextNode(text));
+    pre.appendChild(lineEl);
+}
+
 function removeMacroLinesContainer() {
     const container = document.getElementById("panel-macro-container");
     if (container) container.remove();
@@ -955,7 +1039,8 @@ function handlePanelShowLines(data) {
 
     const titleText = macroName ? `Macro: ${macroName}` : "Macro source";
     const { pre } = ensureMacroLinesElements(titleText);
-    pre.textContent = source;
+    pre.textContent = "";
+    source.split(/\r?\n/).forEach((line) => appendMacroLine(pre, line));
 }
 
 function handlePanelAddLine(data) {
@@ -968,8 +1053,7 @@ function handlePanelAddLine(data) {
     if (!titleEl.textContent) {
         titleEl.textContent = "Recording";
     }
-    const lineText = String(line);
-    pre.textContent = pre.textContent ? `${pre.textContent}\n${lineText}` : lineText;
+    appendMacroLine(pre, String(line), data.quality);
     if (container) {
         container.scrollTop = container.scrollHeight;
     }
@@ -978,14 +1062,10 @@ function handlePanelAddLine(data) {
 function handlePanelRemoveLastLine() {
     const pre = document.getElementById("panel-macro-lines");
     if (!pre) return;
-    const lines = pre.textContent.split(/\n/);
-    lines.pop();
-    const nextText = lines.join("\n");
-    if (!nextText) {
+    if (pre.lastChild) pre.removeChild(pre.lastChild);
+    if (!pre.firstChild) {
         removeMacroLinesContainer();
-        return;
     }
-    pre.textContent = nextText;
 }
 
 function handlePanelShowMacroTree() {
@@ -1039,6 +1119,9 @@ if (isTopFrame) {
     if (event.data.type === "playMacro") {
         play();
     }
+    if (event.data.type === "runFolder") {
+        runFolder(event.data.path);
+    }
     if (event.data.type === "editMacro") {
         edit();
     }
@@ -1188,6 +1271,8 @@ function connectToLifecycle() {
     addListener("pause-button", pause);
     addListener("saveas-button", saveAs);
     addListener("capture-button", capture);
+    addListener("capture-region-button", captureRegion);
+    addListener("pick-element-button", pickElement);
     addListener("loop-button", playLoop);
     addListener("settings-button", openSettings);
     addListener("edit-button", edit);
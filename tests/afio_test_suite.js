@@ -578,6 +578,22 @@
         }
     });
 
+    TestRunner.addTest('afio.readBinaryFile() returns written images as data URL', async function() {
+        const file = afio.openNode('/VirtualMacros/read_image.png');
+        const imageData = {
+            image: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+            encoding: 'base64',
+            mimeType: 'image/png'
+        };
+
+        await afio.writeImageToFile(file, imageData);
+
+        const url = await afio.readBinaryFile(file);
+        if (url !== 'data:image/png;base64,' + imageData.image) {
+            throw new Error('readBinaryFile() returned ' + url);
+        }
+    });
+
     // === USAGE PATTERN TESTS (from actual codebase) ===
 
     TestRunner.addTest('Usage: mplayer.js pattern - writeTextFile with default dir', async function() {
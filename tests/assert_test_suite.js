@@ -0,0 +1,314 @@
+(function () {
+    'use strict';
+
+    /* global MacroPlayer, communicator */
+
+    const results = { passed: 0, failed: 0, skipped: 0 };
+    const errors = [];
+
+    function log(message) {
+        if (typeof console !== 'undefined') {
+            console.log(message);
+        }
+    }
+
+    function resetResults() {
+        results.passed = 0;
+        results.failed = 0;
+        results.skipped = 0;
+        errors.length = 0;
+    }
+
+    function assertEqual(actual, expected, context) {
+        if (actual !== expected) {
+            throw new Error(`Expected "${expected}" but got "${actual}" (${context})`);
+        }
+    }
+
+    function assertTrue(value, context) {
+        if (!value) {
+            throw new Error(`Assertion failed (${context})`);
+        }
+    }
+
+    async function assertRejects(promise, regex, context) {
+        try {
+            await promise;
+        } catch (err) {
+            if (!regex.test(err.message)) {
+                throw new Error(`Unexpected error "${err.message}" (${context})`);
+            }
+            return err;
+        }
+        throw new Error(`Expected an error matching ${regex} (${context})`);
+    }
+
+    // Answer content script messages by topic, the messages are kept in sent
+    async function withFakeContent(handlers, sent, fn) {
+        const originalPostMessage = communicator.postMessage;
+        communicator.postMessage = function (topic, data, tabId, callback, frame) {
+            sent.push({ topic, data, frame });
+            callback(handlers[topic] ? handlers[topic](data) : {});
+        };
+        try {
+            await fn();
+        } finally {
+            communicator.postMessage = originalPostMessage;
+        }
+    }
+
+    // Fake Downloads folder with text files
+    function withFakeFiles(files, fn) {
+        const originalAfio = globalThis.afio;
+        const makeNode = (path) => ({
+            path,
+            clone() { return makeNode(this.path); },
+            append(name) { this.path += '/' + name; },
+            exists() { return Promise.resolve(Object.prototype.hasOwnProperty.call(files, this.path)); }
+        });
+        globalThis.afio = {
+            openNode: makeNode,
+            readTextFile(node) { return Promise.resolve(files[node.path]); },
+            writeTextFile(node, data) { files[node.path] = data; return Promise.resolve(); }
+        };
+
+        return Promise.resolve()
+            .then(() => fn(makeNode('/downloads')))
+            .finally(() => { globalThis.afio = originalAfio; });
+    }
+
+    function createPlayer() {
+        if (typeof MacroPlayer === 'undefined') {
+            throw new Error('MacroPlayer not loaded');
+        }
+
+        const player = new MacroPlayer();
+        player.playing = true;
+        player.afioIsInstalled = true;
+        player.currentMacro = 'checkout.iim';
+        player.currentURL = 'https://example.com/shop';
+        player.currentFrame = { number: 1 };
+        player.currentLoop = 1;
+        player.linenumber_delta = 0;
+        player.errorCode = 1;
+        player.errorMessage = 'OK';
+        player.userVars = new Map();
+        player.limits = player.convertLimits({
+            maxVariables: 'unlimited',
+            maxCSVRows: 'unlimited',
+            maxCSVCols: 'unlimited',
+            maxMacroLen: 'unlimited',
+            maxIterations: 'unlimited'
+        });
+        player.queryTab = () => Promise.resolve({
+            url: 'https://example.com/shop/order/42?paid=1',
+            title: 'Order  #42 - Shop'
+        });
+        return player;
+    }
+
+    // Replay one command at the given line and wait until it calls next()
+    // or reports an error
+    function play(player, line, lineNumber) {
+        const m = line.match(/^(\w+)\s*(.*)$/);
+        const name = m[1].toLowerCase();
+        const args = player.RegExpTable[name].exec(m[2]);
+        if (!args) {
+            throw new Error('wrong format of ' + line);
+        }
+        player.currentAction = { name, args, line: lineNumber || 1 };
+        return new Promise((resolve, reject) => {
+            player.next = resolve;
+            player.handleError = reject;
+            player._ActionTable[name](args);
+        });
+    }
+
+    const tests = [
+        {
+            name: 'ASSERT TEXT searches the rendered text of the current frame',
+            async run() {
+                const sent = [];
+                const page = { 'assert-query': () => ({ text: 'Thank you!\nOrder\tplaced: #42' }) };
+                await withFakeContent(page, sent, async () => {
+                    const player = createPlayer();
+                    await play(player, 'ASSERT TEXT="Order placed"');
+                    await play(player, 'ASSERT TEXT=Order*#42');
+                    assertEqual(sent[0].data.type, 'text', 'Text query');
+                    assertEqual(sent[0].frame.number, 1, 'Current frame');
+                    const err = await assertRejects(play(player, 'ASSERT TEXT="Order cancelled"', 7),
+                        /^ASSERT TEXT="Order cancelled" failed: the text was not found on the page$/,
+                        'Missing text fails');
+                    assertEqual(err.errnum, 791, 'Assertion error number');
+                    assertEqual(player.testResults.length, 3, 'Every check recorded');
+                    assertEqual(player.testResults[2].line, '7', 'Line of the check');
+                });
+            }
+        },
+        {
+            name: 'VERIFY records the failure and continues',
+            async run() {
+                await withFakeContent({ 'assert-query': () => ({ text: 'Cart is empty' }) }, [], async () => {
+                    const player = createPlayer();
+                    await play(player, 'VERIFY TEXT="Total: *"');
+                    await play(player, 'VERIFY TEXT=empty');
+                    assertEqual(player.testResults.length, 2, 'Both checks recorded');
+                    assertEqual(player.testResults[0].failure,
+                        'VERIFY TEXT="Total: *" failed: the text was not found on the page', 'Failure kept');
+                    assertEqual(player.testResults[1].failure, null, 'Passed check');
+                });
+            }
+        },
+        {
+            name: 'ASSERT URL and TITLE match the whole value with wildcards',
+            async run() {
+                const player = createPlayer();
+                await play(player, 'ASSERT URL=https://example.com/shop/order/*');
+                await play(player, 'ASSERT TITLE="Order #* - Shop"');
+                await assertRejects(play(player, 'ASSERT URL=https://example.com/shop'),
+                    /failed: URL is "https:\/\/example\.com\/shop\/order\/42\?paid=1"$/, 'URL prefix fails');
+                await assertRejects(play(player, 'ASSERT TITLE=Order'),
+                    /^ASSERT TITLE=Order failed: TITLE is "Order  #42 - Shop"$/, 'Part of the title fails');
+            }
+        },
+        {
+            name: 'ASSERT VAR compares the expanded variable',
+            async run() {
+                const player = createPlayer();
+                await play(player, 'SET total 4.50');
+                await play(player, 'SET currency EUR');
+                await play(player, 'ASSERT VAR {{total}}=4.50');
+                await play(player, 'ASSERT VAR {{currency}}="EUR"');
+                await play(player, 'ASSERT VAR {{total}}={{total}}');
+                await assertRejects(play(player, 'ASSERT VAR {{currency}}=USD'),
+                    /^ASSERT VAR \{\{currency\}\}=USD failed: \{\{currency\}\} is "EUR"$/, 'Other value fails');
+                assertTrue(!new RegExp(player.RegExpTable.assert, 'i').test('VAR total=1'),
+                    'Variable in braces');
+            }
+        },
+        {
+            name: 'ASSERT COUNT compares the number of matching elements',
+            async run() {
+                const sent = [];
+                await withFakeContent({ 'assert-query': () => ({ count: 3 }) }, sent, async () => {
+                    const player = createPlayer();
+                    await play(player, 'ASSERT COUNT SELECTOR=".cart li" EQ=3');
+                    await play(player, 'ASSERT COUNT XPATH=//li GE=3');
+                    await play(player, 'ASSERT COUNT SELECTOR=li LT=4');
+                    await play(player, 'ASSERT COUNT SELECTOR=li NE=0');
+                    assertEqual(sent[0].data.selector, '.cart li', 'Selector sent');
+                    assertEqual(sent[1].data.xpath, '//li', 'XPath sent');
+                    assertEqual(sent[1].data.type, 'count', 'Count query');
+                    await assertRejects(play(player, 'ASSERT COUNT SELECTOR=li GT=3'),
+                        /SELECTOR=li GT=3 failed: found 3 elements$/, 'Comparison fails');
+                    const attempt = line => Promise.resolve().then(() => play(player, line));
+                    await assertRejects(attempt('ASSERT COUNT SELECTOR=li EQ=many'),
+                        /EQ=<number of elements>/, 'Count must be a number');
+                    assertEqual(player.testResults.length, 5, 'Bad parameters are not test results');
+                });
+            }
+        },
+        {
+            name: 'Content script errors are macro errors, not failures',
+            async run() {
+                const page = { 'assert-query': () => ({ error: new Error('Invalid selector') }) };
+                await withFakeContent(page, [], async () => {
+                    const player = createPlayer();
+                    await assertRejects(play(player, 'VERIFY COUNT SELECTOR=[ EQ=1'),
+                        /Invalid selector/, 'Error passed on');
+                    assertEqual(player.testResults.length, 0, 'Nothing recorded');
+                });
+            }
+        },
+        {
+            name: 'Test report lists every check as a JUnit test case',
+            async run() {
+                await withFakeContent({ 'assert-query': () => ({ text: 'a < b' }) }, [], async () => {
+                    const player = createPlayer();
+                    await play(player, 'ASSERT TEXT="a < b"', 3);
+                    player.currentLoop = 2;
+                    await play(player, 'VERIFY TEXT="a & b"', 4);
+                    const xml = player.getTestReportXML();
+                    assertTrue(/^ {2}<testsuite name="checkout\.iim" tests="2" failures="1" errors="0" /.test(xml),
+                        'Suite totals');
+                    assertTrue(xml.includes('<testcase classname="checkout" name="ASSERT TEXT=&quot;a &lt; b&quot; (line 3, loop 1)"'),
+                        'Passed case with its line and loop');
+                    assertTrue(xml.includes('<failure type="AssertionFailed" message="VERIFY TEXT=&quot;a &amp; b&quot; failed: ' +
+                        'the text was not found on the page"/>'), 'Failure message escaped');
+
+                    player.errorCode = -721;
+                    player.errorMessage = 'RuntimeError: element was not found, line: 5';
+                    const failed = player.getTestReportXML();
+                    assertTrue(failed.includes('tests="3" failures="1" errors="1"'), 'Macro error counted');
+                    assertTrue(failed.includes('<error type="721" message="RuntimeError: element was not found, line: 5"/>'),
+                        'Macro error reported');
+
+                    player.errorCode = -791;
+                    assertTrue(player.getTestReportXML().includes('errors="0"'), 'Failed ASSERT is no error');
+                });
+            }
+        },
+        {
+            name: 'Test reports are written to the download folder and appended',
+            async run() {
+                const files = {};
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer();
+                    player.defDownloadFolder = folder;
+                    player.testResults = [{ name: 'ASSERT URL=*', line: '1', loop: 1, time: 0.01, failure: null }];
+                    await player.saveTestReport();
+                    const first = files['/downloads/TestReport_checkout.xml'];
+                    assertTrue(/^<\?xml version="1\.0" encoding="utf-8"\?>\n<testsuites>\n {2}<testsuite /.test(first),
+                        'New report');
+                    await player.saveTestReport();
+                    const second = files['/downloads/TestReport_checkout.xml'];
+                    assertEqual(second.match(/<testsuite /g).length, 2, 'Second replay appended');
+                    assertTrue(/<\/testsuite>\n<\/testsuites>\n$/.test(second), 'Report closed');
+
+                    await play(player, 'SET !FILE_TESTREPORT junit');
+                    await player.saveTestReport();
+                    assertTrue(files['/downloads/junit.xml'].includes('<testsuites>'), '!FILE_TESTREPORT name');
+                    await play(player, 'SET !FILE_TESTREPORT NO');
+                    assertEqual(player.writeTestReport, false, 'Report disabled');
+                });
+            }
+        }
+    ];
+
+    const AssertTestSuite = {
+        async run() {
+            resetResults();
+            log('='.repeat(80));
+            log('Assert Test Suite');
+            log('='.repeat(80));
+
+            for (const test of tests) {
+                if (test.skip) {
+                    log(`[SKIP] ${test.name}`);
+                    results.skipped++;
+                    continue;
+                }
+                try {
+                    await test.run();
+                    log(`[PASS] ${test.name}`);
+                    results.passed++;
+                } catch (err) {
+                    log(`[FAIL] ${test.name}: ${err.message}`);
+                    if (err && err.stack) {
+                        log(err.stack);
+                    }
+                    results.failed++;
+                    errors.push({ name: test.name, error: err.message, stack: err.stack });
+                }
+            }
+
+            return { results, errors };
+        }
+    };
+
+    if (typeof window !== 'undefined') {
+        window.AssertTestSuite = AssertTestSuite;
+    } else if (typeof global !== 'undefined') {
+        global.AssertTestSuite = AssertTestSuite;
+    }
+})();
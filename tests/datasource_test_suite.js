@@ -0,0 +1,473 @@
+(function () {
+    'use strict';
+
+    /* global MacroPlayer */
+
+    const results = { passed: 0, failed: 0, skipped: 0 };
+    const errors = [];
+
+    function log(message) {
+        if (typeof console !== 'undefined') {
+            console.log(message);
+        }
+    }
+
+    function resetResults() {
+        results.passed = 0;
+        results.failed = 0;
+        results.skipped = 0;
+        errors.length = 0;
+    }
+
+    function assertEqual(actual, expected, context) {
+        if (actual !== expected) {
+            throw new Error(`Expected "${expected}" but got "${actual}" (${context})`);
+        }
+    }
+
+    async function assertRejects(promise, regex, context) {
+        try {
+            await promise;
+        } catch (err) {
+            if (!regex.test(err.message)) {
+                throw new Error(`Unexpected error "${err.message}" (${context})`);
+            }
+            return err;
+        }
+        throw new Error(`Expected an error matching ${regex} (${context})`);
+    }
+
+    // Fake Datasources folder served from an in-memory file map,
+    // by default through the File System Access backend
+    function withFakeFiles(files, fn, backend = 'filesystem-access') {
+        const originalAfio = globalThis.afio;
+        const makeNode = (path) => ({
+            path,
+            leafName: path.split('/').pop(),
+            clone() { return makeNode(this.path); },
+            append(name) { this.path += '/' + name; this.leafName = name; },
+            exists() { return Promise.resolve(Object.prototype.hasOwnProperty.call(files, this.path)); }
+        });
+        // byte arrays are served as data URLs, strings only as text
+        globalThis.afio = {
+            binaryReads: 0,
+            openNode: makeNode,
+            getBackendType() { return backend; },
+            readTextFile(node) { return Promise.resolve(files[node.path]); },
+            readBinaryFile(node) {
+                this.binaryReads++;
+                const data = files[node.path];
+                if (typeof data === 'string') {
+                    return Promise.reject(new Error('Cannot read binary file: ' + node.path));
+                }
+                return Promise.resolve('data:text/csv;base64,' + btoa(String.fromCharCode.apply(null, data)));
+            }
+        };
+
+        return Promise.resolve()
+            .then(() => fn(makeNode('/ds')))
+            .finally(() => { globalThis.afio = originalAfio; });
+    }
+
+    function createPlayer(folder) {
+        if (typeof MacroPlayer === 'undefined') {
+            throw new Error('MacroPlayer not loaded');
+        }
+
+        const player = new MacroPlayer();
+        player.playing = true;
+        player.afioIsInstalled = true;
+        player.dataSourceFolder = folder;
+        player.dataSource = [];
+        player.dataSources = new Map();
+        player.dataSourceLine = 0;
+        player.dataSourceColumns = 0;
+        player.dataSourceDelimiter = null;
+        player.dataSourceEncoding = null;
+        player.currentLoop = 1;
+        player.limits = player.convertLimits({
+            maxVariables: 'unlimited',
+            maxCSVRows: 'unlimited',
+            maxCSVCols: 'unlimited',
+            maxMacroLen: 'unlimited',
+            maxIterations: 'unlimited'
+        });
+        return player;
+    }
+
+    // Replay one command and wait until it calls next() or reports an error
+    function play(player, line) {
+        const m = line.match(/^(\w+)\s*(.*)$/);
+        const name = m[1].toLowerCase();
+        const args = player.RegExpTable[name].exec(m[2]);
+        if (!args) {
+            throw new Error('wrong format of ' + line);
+        }
+        return new Promise((resolve, reject) => {
+            player.next = resolve;
+            player.handleError = reject;
+            player._ActionTable[name](args);
+        });
+    }
+
+    function utf16le(text) {
+        const bytes = [0xFF, 0xFE];
+        for (let i = 0; i < text.length; i++) {
+            bytes.push(text.charCodeAt(i) & 0xFF, text.charCodeAt(i) >> 8);
+        }
+        return Uint8Array.from(bytes);
+    }
+
+    const files = {
+        '/ds/customers.csv': 'Alice,alice@example.com\nBob,bob@example.com\nCarol,carol@example.com\n',
+        '/ds/products.csv': 'A-100,9.99\nB-200,19.50\n',
+        '/ds/export.csv': 'Email,"Customer Name",Plan\nalice@example.com,"Alice, A.",pro\nbob@example.com,Bob B.,free\n',
+        // 東京,大阪
+        '/ds/sjis.csv': Uint8Array.from([147, 140, 139, 158, 44, 145, 229, 141, 227, 10]),
+        '/ds/eucjp.csv': Uint8Array.from([197, 236, 181, 254, 44, 194, 231, 186, 229, 10]),
+        // Café;Zoë
+        '/ds/latin.csv': Uint8Array.from([67, 97, 102, 233, 59, 90, 111, 235, 10]),
+        '/ds/utf16.csv': utf16le('name\tnote\r\nAnn\t"two\r\nlines"\r\n'),
+        '/ds/orders.json': JSON.stringify({
+            data: {
+                items: [
+                    { id: 1, customer: { email: 'a@example.com', name: '"Ann"' }, tags: ['new'] },
+                    { id: 2, customer: { email: 'b@example.com' }, total: 19.5 }
+                ]
+            }
+        }),
+        '/ds/events.jsonl': '{"type":"click","at":{"x":1}}\n\n{"type":"scroll"}\n',
+        '/ds/broken.jsonl': '{"type":"click"}\n{type}\n',
+        '/ds/quoted.csv': 'id;text\n1;"a;b"\n2;"say ""hi""\nagain"\n3; "padded"\n',
+        '/ds/blanks.csv': 'a, b\r"x\ry", z\r\n',
+        '/ds/inches.csv': 'TV 55" wide,100\nRadio,20\n',
+        '/ds/spaced.csv': '"a" ,b\n"c"\t, "d"  \n'
+    };
+
+    const tests = [
+        {
+            name: 'Named datasources are read with {{!COLn@NAME}}',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE customers.csv');
+                    await play(player, 'SET !DATASOURCE_PRODUCTS products.csv');
+                    player.currentLoop = 2;
+
+                    assertEqual(player.expandVariables('{{!COL1}}'), 'Bob', 'Unnamed datasource follows !LOOP');
+                    assertEqual(player.expandVariables('{{!COL2@PRODUCTS}}'), '19.50', 'Named datasource follows !LOOP');
+                    assertEqual(player.expandVariables('{{!COL1@products}}'), 'B-200', 'Names are case insensitive');
+                    await assertRejects(Promise.resolve().then(() => player.expandVariables('{{!COL1@PRICES}}')),
+                        /Datasource PRICES is not set/, 'Unknown datasource');
+                });
+            }
+        },
+        {
+            name: 'Names of datasource settings can not name a datasource',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await assertRejects(Promise.resolve().then(() => play(player, 'SET !DATASOURCE_HEADER products.csv')),
+                        /!DATASOURCE_HEADER must be YES or NO/, 'HEADER is a setting');
+                    await assertRejects(Promise.resolve().then(() => play(player, 'SET !DATASOURCE_PATH products.csv')),
+                        /Invalid !DATASOURCE_PATH/, 'PATH is a setting');
+                    await assertRejects(Promise.resolve().then(() => player.expandVariables('{{!COL1@LINE}}')),
+                        /LINE can not be used as datasource name/, 'Read from reserved name');
+                    const err = await assertRejects(Promise.resolve().then(() => play(player, 'DS CMD=NEXT NAME=Encoding')),
+                        /ENCODING can not be used as datasource name, !DATASOURCE_ENCODING is a setting/, 'DS with reserved name');
+                    assertEqual(err.name, 'BadParameter', 'Rejected as bad parameter');
+                    assertEqual(player.dataSources.size, 0, 'Nothing loaded');
+                });
+            }
+        },
+        {
+            name: 'DS CMD=NEXT|RESET|CLEAR move a datasource independently of !LOOP',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE customers.csv');
+                    await play(player, 'SET !DATASOURCE_PRODUCTS products.csv');
+
+                    await play(player, 'DS CMD=NEXT NAME=PRODUCTS');
+                    assertEqual(player.expandVariables('{{!COL1@PRODUCTS}}'), 'B-200', 'NEXT moves named datasource');
+                    assertEqual(player.expandVariables('{{!COL1}}'), 'Alice', 'Unnamed datasource not moved');
+                    assertEqual(player.expandVariables('{{!DATASOURCE_LINE@PRODUCTS}}'), '2', 'Row of named datasource');
+                    await assertRejects(Promise.resolve().then(() => play(player, 'DS CMD=NEXT NAME=PRODUCTS')),
+                        /no more rows in datasource PRODUCTS/, 'NEXT past the last row');
+
+                    await play(player, 'DS CMD=RESET NAME=PRODUCTS');
+                    assertEqual(player.expandVariables('{{!COL1@PRODUCTS}}'), 'A-100', 'RESET returns to first row');
+
+                    await play(player, 'DS CMD=NEXT');
+                    await play(player, 'DS CMD=NEXT');
+                    assertEqual(player.expandVariables('{{!COL1}}'), 'Carol', 'NEXT without NAME moves unnamed datasource');
+                    assertEqual(player.expandVariables('{{!DATASOURCE_LINE}}'), '3', '!DATASOURCE_LINE updated');
+
+                    await play(player, 'DS CMD=CLEAR NAME=PRODUCTS');
+                    await assertRejects(Promise.resolve().then(() => player.expandVariables('{{!COL1@PRODUCTS}}')),
+                        /Datasource PRODUCTS is not set/, 'CLEAR unloads named datasource');
+                });
+            }
+        },
+        {
+            name: '!DATASOURCE_HEADER YES reads columns by header',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE_HEADER YES');
+                    await play(player, 'SET !DATASOURCE export.csv');
+                    await play(player, 'SET !DATASOURCE_CUSTOMERS export.csv');
+                    player.currentLoop = 2;
+
+                    assertEqual(player.expandVariables('{{!COL_Email}}'), 'bob@example.com', 'Header row skipped');
+                    assertEqual(player.expandVariables('{{!COL_email}}'), 'bob@example.com', 'Headers are case insensitive');
+                    assertEqual(player.expandVariables('<{{!COL[Customer Name]}}>'), '<Bob B.>', 'Header with spaces');
+                    assertEqual(player.expandVariables('{{!COL[Customer Name]@CUSTOMERS}}'), 'Bob B.', 'Header of named datasource');
+                    player.currentLoop = 1;
+                    assertEqual(player.expandVariables('{{!COL_Plan}}'), 'pro', 'First data row');
+
+                    await assertRejects(Promise.resolve().then(() => player.expandVariables('{{!COL_Phone}}')),
+                        /Column header "Phone" not found, available headers: Email, Customer Name, Plan/,
+                        'Missing header named in error');
+                });
+            }
+        },
+        {
+            name: 'Header columns without !DATASOURCE_HEADER are rejected',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE export.csv');
+                    await assertRejects(Promise.resolve().then(() => player.expandVariables('{{!COL_Email}}')),
+                        /set !DATASOURCE_HEADER YES/, 'Header lookup needs header row');
+
+                    const args = player.RegExpTable.set.exec('!VAR1 {{!COL[Customer Name]}}');
+                    assertEqual(args && args[2], '{{!COL[Customer Name]}}', 'Unquoted header with spaces parses');
+                });
+            }
+        },
+        {
+            name: 'Lines with many {{!COL[header]}} that do not parse fail quickly',
+            run() {
+                const player = createPlayer();
+                const value = '{{!COL[a]}}{x'.repeat(40);
+                const started = Date.now();
+                assertEqual(player.RegExpTable.set.exec('!VAR1 ' + value + ' extra'), null, 'Line rejected');
+                const elapsed = Date.now() - started;
+                assertEqual(elapsed < 500, true, 'Rejected in ' + elapsed + 'ms');
+                const args = player.RegExpTable.set.exec('!VAR1 ' + value);
+                assertEqual(args && args[2], value, 'Same value parses alone');
+            }
+        },
+        {
+            name: 'Datasource encoding is detected from the file bytes',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE sjis.csv');
+                    assertEqual(player.expandVariables('{{!COL1}}/{{!COL2}}'), '東京/大阪', 'Shift_JIS');
+                    await play(player, 'SET !DATASOURCE eucjp.csv');
+                    assertEqual(player.expandVariables('{{!COL1}}/{{!COL2}}'), '東京/大阪', 'EUC-JP');
+                    await play(player, 'SET !DATASOURCE latin.csv');
+                    assertEqual(player.expandVariables('{{!COL1}}/{{!COL2}}'), 'Café/Zoë', 'Windows-1252 with sniffed ;');
+                    await play(player, 'SET !DATASOURCE utf16.csv');
+                    assertEqual(player.expandVariables('{{!COL2}}'), 'note', 'UTF-16LE with BOM and tabs');
+                    player.currentLoop = 2;
+                    assertEqual(player.expandVariables('{{!COL2}}'), 'two\r\nlines', 'Embedded line break kept as is');
+                });
+            }
+        },
+        {
+            name: '!DATASOURCE_ENCODING and !DATASOURCE_DELIMITER override detection',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    assertEqual(player.expandVariables('{{!DATASOURCE_ENCODING}}'), 'AUTO', 'Detection by default');
+                    await play(player, 'SET !DATASOURCE_ENCODING Shift_JIS');
+                    assertEqual(player.expandVariables('{{!DATASOURCE_ENCODING}}'), 'shift_jis', 'Normalized name');
+                    await play(player, 'SET !DATASOURCE latin.csv');
+                    assertEqual(player.expandVariables('{{!COL1}}') === 'Café', false, 'Explicit encoding is used as is');
+                    await assertRejects(Promise.resolve().then(() => play(player, 'SET !DATASOURCE_ENCODING KOI8-R')),
+                        /!DATASOURCE_ENCODING must be/, 'Unsupported encoding');
+
+                    await play(player, 'SET !DATASOURCE_ENCODING AUTO');
+                    await play(player, 'SET !DATASOURCE_DELIMITER ,');
+                    await play(player, 'SET !DATASOURCE latin.csv');
+                    assertEqual(player.expandVariables('{{!COL1}}'), 'Café;Zoë', 'Explicit delimiter is not sniffed');
+                });
+            }
+        },
+        {
+            name: 'Backends without byte reads refuse !DATASOURCE_ENCODING',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE customers.csv');
+                    assertEqual(player.dataSource.length, 3, 'Text is read');
+                    assertEqual(globalThis.afio.binaryReads, 0, 'No byte read is tried');
+                    await play(player, 'SET !DATASOURCE_ENCODING UTF-8');
+                    await play(player, 'SET !DATASOURCE customers.csv');
+                    await play(player, 'SET !DATASOURCE_ENCODING Shift_JIS');
+                    await assertRejects(Promise.resolve().then(() => play(player, 'SET !DATASOURCE customers.csv')),
+                        /!DATASOURCE_ENCODING shift_jis is not supported by the native file backend/,
+                        'Encoding the host can not honour');
+                }, 'native');
+            }
+        },
+        {
+            name: 'Quoted fields keep delimiters, quotes and newlines',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE quoted.csv');
+                    assertEqual(player.dataSource.length, 4, 'Rows counted outside quotes');
+                    player.currentLoop = 2;
+                    assertEqual(player.expandVariables('{{!COL2}}'), 'a;b', 'Sniffed ; ignores quoted ;');
+                    player.currentLoop = 3;
+                    assertEqual(player.expandVariables('{{!COL2}}'), 'say "hi"\nagain', 'Doubled quotes and newline');
+                    player.currentLoop = 4;
+                    assertEqual(player.expandVariables('{{!COL2}}'), 'padded', 'Blanks before opening quote');
+                });
+            }
+        },
+        {
+            name: 'Blanks before unquoted fields are trimmed and lone CR ends rows',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE blanks.csv');
+                    assertEqual(player.dataSource.length, 2, 'CR ends a row outside quotes');
+                    assertEqual(player.expandVariables('{{!COL2}}'), 'b', 'Leading blank trimmed');
+                    player.currentLoop = 2;
+                    assertEqual(player.expandVariables('{{!COL1}}'), 'x\ry', 'CR kept inside quotes');
+                    assertEqual(player.expandVariables('{{!COL2}}'), 'z', 'Blank after delimiter trimmed');
+                });
+            }
+        },
+        {
+            name: 'A quote inside an unquoted field is kept as text',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE inches.csv');
+                    assertEqual(player.dataSource.length, 2, 'Rows still end at line breaks');
+                    assertEqual(player.expandVariables('{{!COL1}}'), 'TV 55" wide', 'Quote kept');
+                    assertEqual(player.expandVariables('{{!COL2}}'), '100', 'Delimiter after the quote splits');
+                    player.currentLoop = 2;
+                    assertEqual(player.expandVariables('{{!COL1}}'), 'Radio', 'Next row');
+                });
+            }
+        },
+        {
+            name: 'Blanks after a closing quote are dropped',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE spaced.csv');
+                    assertEqual(player.expandVariables('{{!COL1}}'), 'a', 'Blank before delimiter dropped');
+                    assertEqual(player.expandVariables('{{!COL2}}'), 'b', 'Next field');
+                    player.currentLoop = 2;
+                    assertEqual(player.expandVariables('{{!COL1}}'), 'c', 'Tab before delimiter dropped');
+                    assertEqual(player.expandVariables('{{!COL2}}'), 'd', 'Blanks before line end dropped');
+                });
+            }
+        },
+        {
+            name: 'JSON datasource records are chosen by !DATASOURCE_PATH',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !DATASOURCE_PATH $.data.items[*]');
+                    await play(player, 'SET !DATASOURCE orders.json');
+                    assertEqual(player.expandVariables('{{!COL_customer.email}}'), 'a@example.com', 'Nested field');
+                    assertEqual(player.expandVariables('{{!COL1}}'), '1', 'Columns by number');
+                    assertEqual(player.expandVariables('{{!COL_tags.0}}'), 'new', 'Array element');
+                    assertEqual(player.expandVariables('{{!COL_customer.name}}'), '"\\"Ann\\""', 'Quoted value preserved');
+                    player.currentLoop = 2;
+                    assertEqual(player.expandVariables('{{!COL_total}}'), '19.5', 'Second record follows !LOOP');
+                    assertEqual(player.expandVariables('[{{!COL_tags.0}}]'), '[]', 'Missing field is empty');
+
+                    player.currentLoop = 1;
+                    await play(player, 'SET !DATASOURCE_PATH $.data.items');
+                    await play(player, 'SET !DATASOURCE_ORDERS orders.json');
+                    await play(player, 'DS CMD=NEXT NAME=ORDERS');
+                    assertEqual(player.expandVariables('{{!COL_id@ORDERS}}'), '2', 'Array without [*]');
+
+                    await play(player, 'SET !DATASOURCE_PATH $.missing[*]');
+                    await assertRejects(play(player, 'SET !DATASOURCE orders.json'),
+                        /has no records at \$\.missing\[\*\]/, 'Path without records');
+                    await assertRejects(Promise.resolve().then(() => play(player, 'SET !DATASOURCE_PATH data.items')),
+                        /Invalid !DATASOURCE_PATH/, 'Path must start with $');
+                });
+            }
+        },
+        {
+            name: 'JSON Lines datasource has one record per line',
+            async run() {
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    player.limits = player.convertLimits({
+                        maxVariables: 'unlimited',
+                        maxCSVRows: 1,
+                        maxCSVCols: 'unlimited',
+                        maxMacroLen: 'unlimited',
+                        maxIterations: 'unlimited'
+                    });
+                    await assertRejects(play(player, 'SET !DATASOURCE events.jsonl'),
+                        /number of CSV rows 2 exceeds max value 1/, 'Freeware row limit applies');
+
+                    player.limits = player.convertLimits({
+                        maxVariables: 'unlimited',
+                        maxCSVRows: 'unlimited',
+                        maxCSVCols: 'unlimited',
+                        maxMacroLen: 'unlimited',
+                        maxIterations: 'unlimited'
+                    });
+                    await play(player, 'SET !DATASOURCE events.jsonl');
+                    assertEqual(player.dataSource.length, 2, 'Blank lines skipped');
+                    player.currentLoop = 2;
+                    assertEqual(player.expandVariables('{{!COL_type}}/[{{!COL_at.x}}]'), 'scroll/[]', 'Second line');
+                    await assertRejects(play(player, 'SET !DATASOURCE broken.jsonl'),
+                        /Can not parse datasource file broken.jsonl: .* at line 2/, 'Bad line reported');
+                });
+            }
+        }
+    ];
+
+    const DatasourceTestSuite = {
+        async run() {
+            resetResults();
+            log('='.repeat(80));
+            log('Datasource Test Suite');
+            log('='.repeat(80));
+
+            for (const test of tests) {
+                if (test.skip) {
+                    log(`[SKIP] ${test.name}`);
+                    results.skipped++;
+                    continue;
+                }
+                try {
+                    await test.run();
+                    log(`[PASS] ${test.name}`);
+                    results.passed++;
+                } catch (err) {
+                    log(`[FAIL] ${test.name}: ${err.message}`);
+                    if (err && err.stack) {
+                        log(err.stack);
+                    }
+                    results.failed++;
+                    errors.push({ name: test.name, error: err.message, stack: err.stack });
+                }
+            }
+
+            return { results, errors };
+        }
+    };
+
+    if (typeof window !== 'undefined') {
+        window.DatasourceTestSuite = DatasourceTestSuite;
+    } else if (typeof global !== 'undefined') {
+        global.DatasourceTestSuite = DatasourceTestSuite;
+    }
+})();
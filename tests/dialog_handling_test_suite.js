@@ -0,0 +1,256 @@
+(function () {
+    'use strict';
+
+    /* global MacroPlayer */
+
+    const results = { passed: 0, failed: 0, skipped: 0 };
+    const errors = [];
+
+    function log(message) {
+        if (typeof console !== 'undefined') {
+            console.log(message);
+        }
+    }
+
+    function resetResults() {
+        results.passed = 0;
+        results.failed = 0;
+        results.skipped = 0;
+        errors.length = 0;
+    }
+
+    function assertEqual(actual, expected, context) {
+        if (actual !== expected) {
+            throw new Error(`Expected "${expected}" but got "${actual}" (${context})`);
+        }
+    }
+
+    // Replace chrome.debugger with a fake recording sendCommand() calls
+    function withFakeDebugger(fn) {
+        const originalChrome = globalThis.chrome;
+        const commands = [];
+        const listeners = [];
+        globalThis.chrome = {
+            runtime: { lastError: null },
+            debugger: {
+                attach(target, version, cb) { cb(); },
+                detach(target, cb) { cb(); },
+                sendCommand(target, method, params, cb) {
+                    commands.push({ tabId: target.tabId, method, params });
+                    cb({});
+                },
+                onEvent: {
+                    addListener(listener) { listeners.push(listener); },
+                    removeListener(listener) {
+                        const i = listeners.indexOf(listener);
+                        if (i >= 0) listeners.splice(i, 1);
+                    }
+                }
+            }
+        };
+
+        return Promise.resolve()
+            .then(() => fn(commands, listeners))
+            .finally(() => { globalThis.chrome = originalChrome; });
+    }
+
+    function createPlayer() {
+        if (typeof MacroPlayer === 'undefined') {
+            throw new Error('MacroPlayer not loaded');
+        }
+
+        const player = new MacroPlayer();
+        player.playing = true;
+        player.tab_id = 7;
+        player.currentURL = 'https://example.com/';
+        player.debuggerAttached = false;
+        player.dialogAnswers = [];
+        player.dialogPos = 0;
+        player.limits = player.convertLimits({
+            maxVariables: 'unlimited',
+            maxCSVRows: 'unlimited',
+            maxCSVCols: 'unlimited',
+            maxMacroLen: 'unlimited',
+            maxIterations: 'unlimited'
+        });
+        player.errors = [];
+        player.handleError = function (err) { this.errors.push(err); };
+        return player;
+    }
+
+    // Replay ONDIALOG and wait until it calls next()
+    function ondialog(player, args) {
+        const cmd = player.RegExpTable.ondialog.exec(args);
+        if (!cmd) {
+            throw new Error('ONDIALOG ' + args + ' does not parse');
+        }
+        return new Promise((resolve, reject) => {
+            player.next = resolve;
+            player.handleError = reject;
+            player._ActionTable.ondialog(cmd);
+        }).then(() => {
+            player.handleError = function (err) { this.errors.push(err); };
+        });
+    }
+
+    function openDialog(listeners, tabId, type, message) {
+        listeners.forEach(listener => listener({ tabId }, 'Page.javascriptDialogOpening',
+            { type, message, url: 'https://example.com/' }));
+    }
+
+    const tests = [
+        {
+            name: 'ONDIALOG answers dialogs in position order',
+            async run() {
+                await withFakeDebugger(async (commands, listeners) => {
+                    const player = createPlayer();
+                    await ondialog(player, 'POS=1 BUTTON=OK');
+                    await ondialog(player, 'POS=2 BUTTON=CANCEL');
+                    await ondialog(player, 'POS=3 BUTTON=OK CONTENT="Jane Doe"');
+
+                    assertEqual(commands[0].method, 'Page.enable', 'Page domain enabled');
+                    assertEqual(listeners.length, 1, 'Debugger listener registered once');
+
+                    openDialog(listeners, 7, 'alert', 'Saved');
+                    openDialog(listeners, 7, 'confirm', 'Delete?');
+                    openDialog(listeners, 7, 'prompt', 'Name?');
+
+                    const replies = commands.filter(c => c.method === 'Page.handleJavaScriptDialog');
+                    assertEqual(replies.length, 3, 'Every dialog answered');
+                    assertEqual(replies[0].params.accept, true, 'POS=1 accepted');
+                    assertEqual(replies[1].params.accept, false, 'POS=2 cancelled');
+                    assertEqual(replies[2].params.promptText, 'Jane Doe', 'CONTENT typed into prompt');
+                    assertEqual(player.errors.length, 0, 'No error reported');
+                    assertEqual(player.expandVariables('{{!ONDIALOG_RESULT}}'), 'Name?', 'Last dialog message exposed');
+                });
+            }
+        },
+        {
+            name: 'ONDIALOG starts a new queue once all answers are used',
+            async run() {
+                await withFakeDebugger(async (commands, listeners) => {
+                    const player = createPlayer();
+                    await ondialog(player, 'POS=1 BUTTON=CANCEL');
+                    openDialog(listeners, 7, 'confirm', 'First?');
+                    await ondialog(player, 'POS=1 BUTTON=OK');
+                    openDialog(listeners, 7, 'confirm', 'Second?');
+
+                    const replies = commands.filter(c => c.method === 'Page.handleJavaScriptDialog');
+                    assertEqual(replies[1].params.accept, true, 'Second sequence uses new answer');
+                    assertEqual(player.errors.length, 0, 'No error reported');
+                });
+            }
+        },
+        {
+            name: 'Unexpected dialog is dismissed and fails with a clear error',
+            async run() {
+                await withFakeDebugger(async (commands, listeners) => {
+                    const player = createPlayer();
+                    await ondialog(player, 'POS=1 BUTTON=OK');
+                    openDialog(listeners, 8, 'alert', 'Other tab');
+                    openDialog(listeners, 7, 'alert', 'Expected');
+                    openDialog(listeners, 7, 'confirm', 'Leave page?');
+
+                    const replies = commands.filter(c => c.method === 'Page.handleJavaScriptDialog');
+                    assertEqual(replies.length, 2, 'Dialogs of other tabs ignored');
+                    assertEqual(replies[1].params.accept, false, 'Unexpected dialog dismissed');
+                    assertEqual(player.errors.length, 1, 'Error reported');
+                    assertEqual(player.errors[0].message,
+                        'unexpected confirm dialog "Leave page?", no ONDIALOG POS=2 answer',
+                        'Error names the dialog and position');
+                });
+            }
+        },
+        {
+            name: 'Dialog before the first ONDIALOG fails instead of stalling',
+            async run() {
+                await withFakeDebugger(async (commands, listeners) => {
+                    const player = createPlayer();
+                    await player.watchDialogs();
+                    openDialog(listeners, 7, 'confirm', 'Delete all?');
+
+                    const replies = commands.filter(c => c.method === 'Page.handleJavaScriptDialog');
+                    assertEqual(replies.length, 1, 'Dialog answered');
+                    assertEqual(replies[0].params.accept, false, 'Dialog dismissed');
+                    assertEqual(player.errors.length, 1, 'Error reported');
+                    assertEqual(player.errors[0].errnum, 770, 'Error code');
+                });
+            }
+        },
+        {
+            name: 'ONDIALOG answers are queued anew in every loop',
+            async run() {
+                await withFakeDebugger(async (commands, listeners) => {
+                    const player = createPlayer();
+                    await ondialog(player, 'POS=1 BUTTON=CANCEL');
+                    await ondialog(player, 'POS=2 BUTTON=CANCEL');
+                    openDialog(listeners, 7, 'confirm', 'Loop 1');
+
+                    player.beforeEachRun();
+                    await ondialog(player, 'POS=1 BUTTON=CANCEL');
+                    openDialog(listeners, 7, 'confirm', 'Loop 2');
+                    openDialog(listeners, 7, 'confirm', 'Loop 2, no answer');
+
+                    const replies = commands.filter(c => c.method === 'Page.handleJavaScriptDialog');
+                    assertEqual(replies[1].params.accept, false, 'POS=1 of loop 2');
+                    assertEqual(player.errors.length, 1, 'POS=2 of loop 1 is not left over');
+                    assertEqual(player.errors[0].message,
+                        'unexpected confirm dialog "Loop 2, no answer", no ONDIALOG POS=2 answer',
+                        'Position counted from the loop start');
+                });
+            }
+        },
+        {
+            name: 'ONDIALOG rejects unknown buttons',
+            async run() {
+                await withFakeDebugger(async () => {
+                    const player = createPlayer();
+                    let error = null;
+                    try {
+                        await ondialog(player, 'POS=1 BUTTON=MAYBE');
+                    } catch (err) {
+                        error = err;
+                    }
+                    assertEqual(error && error.name, 'BadParameter', 'BUTTON validated');
+                });
+            }
+        }
+    ];
+
+    const DialogHandlingTestSuite = {
+        async run() {
+            resetResults();
+            log('='.repeat(80));
+            log('ONDIALOG Test Suite');
+            log('='.repeat(80));
+
+            for (const test of tests) {
+                if (test.skip) {
+                    log(`[SKIP] ${test.name}`);
+                    results.skipped++;
+                    continue;
+                }
+                try {
+                    await test.run();
+                    log(`[PASS] ${test.name}`);
+                    results.passed++;
+                } catch (err) {
+                    log(`[FAIL] ${test.name}: ${err.message}`);
+                    if (err && err.stack) {
+                        log(err.stack);
+                    }
+                    results.failed++;
+                    errors.push({ name: test.name, error: err.message, stack: err.stack });
+                }
+            }
+
+            return { results, errors };
+        }
+    };
+
+    if (typeof window !== 'undefined') {
+        window.DialogHandlingTestSuite = DialogHandlingTestSuite;
+    } else if (typeof global !== 'undefined') {
+        global.DialogHandlingTestSuite = DialogHandlingTestSuite;
+    }
+})();
@@ -0,0 +1,450 @@
+(function () {
+    'use strict';
+
+    /* global MacroPlayer, XlsxWriter, communicator */
+
+    const results = { passed: 0, failed: 0, skipped: 0 };
+    const errors = [];
+
+    function log(message) {
+        if (typeof console !== 'undefined') {
+            console.log(message);
+        }
+    }
+
+    function resetResults() {
+        results.passed = 0;
+        results.failed = 0;
+        results.skipped = 0;
+        errors.length = 0;
+    }
+
+    function assertEqual(actual, expected, context) {
+        if (actual !== expected) {
+            throw new Error(`Expected "${expected}" but got "${actual}" (${context})`);
+        }
+    }
+
+    function assertTrue(value, context) {
+        if (!value) {
+            throw new Error(`Assertion failed (${context})`);
+        }
+    }
+
+    async function assertRejects(promise, regex, context) {
+        try {
+            await promise;
+        } catch (err) {
+            if (!regex.test(err.message)) {
+                throw new Error(`Unexpected error "${err.message}" (${context})`);
+            }
+            return err;
+        }
+        throw new Error(`Expected an error matching ${regex} (${context})`);
+    }
+
+    // Fake Downloads folder kept in an in-memory file map, binary files are
+    // stored as the imageData passed to afio.writeImageToFile()
+    function withFakeFiles(files, fn) {
+        const originalAfio = globalThis.afio;
+        const makeNode = (path) => ({
+            path,
+            leafName: path.split('/').pop(),
+            clone() { return makeNode(this.path); },
+            append(name) { this.path += '/' + name; this.leafName = name; },
+            exists() {
+                return Promise.resolve(this.path === '/downloads' ||
+                    Object.prototype.hasOwnProperty.call(files, this.path));
+            }
+        });
+        globalThis.afio = {
+            openNode: makeNode,
+            readTextFile(node) { return Promise.resolve(files[node.path]); },
+            writeTextFile(node, data) { files[node.path] = data; return Promise.resolve(); },
+            appendTextFile(node, data) { files[node.path] = (files[node.path] || '') + data; return Promise.resolve(); },
+            writeImageToFile(node, data) { files[node.path] = data; return Promise.resolve(); }
+        };
+
+        return Promise.resolve()
+            .then(() => fn(makeNode('/downloads')))
+            .finally(() => { globalThis.afio = originalAfio; });
+    }
+
+    function createPlayer(folder) {
+        if (typeof MacroPlayer === 'undefined') {
+            throw new Error('MacroPlayer not loaded');
+        }
+
+        const player = new MacroPlayer();
+        player.playing = true;
+        player.afioIsInstalled = true;
+        player.defDownloadFolder = folder;
+        player.currentURL = 'https://example.com/shop';
+        player.extractData = '';
+        player.extractFields = [];
+        player.extractColumns = [];
+        player.shouldPopupExtract = false;
+        player.xlsxSheets = new Map();
+        player.limits = player.convertLimits({
+            maxVariables: 'unlimited',
+            maxCSVRows: 'unlimited',
+            maxCSVCols: 'unlimited',
+            maxMacroLen: 'unlimited',
+            maxIterations: 'unlimited'
+        });
+        return player;
+    }
+
+    // Replay one command and wait until it calls next() or reports an error
+    function play(player, line) {
+        const m = line.match(/^(\w+)\s*(.*)$/);
+        const name = m[1].toLowerCase();
+        const args = player.RegExpTable[name].exec(m[2]);
+        if (!args) {
+            throw new Error('wrong format of ' + line);
+        }
+        return new Promise((resolve, reject) => {
+            player.next = resolve;
+            player.handleError = reject;
+            player._ActionTable[name](args);
+        });
+    }
+
+    // Answer tag-command messages with the given extracted values in turn,
+    // objects are sent as the whole tag result
+    async function withFakeTagResults(values, fn, sent) {
+        const originalPostMessage = communicator.postMessage;
+        communicator.postMessage = function (topic, data, tabId, callback, frame) {
+            if (sent) {
+                sent.push(Object.assign({ topic, frame }, data));
+            }
+            const value = values.shift();
+            callback(typeof value === 'object' ?
+                Object.assign({ found: true }, value) :
+                { found: true, extract: value });
+        };
+        try {
+            await fn();
+        } finally {
+            communicator.postMessage = originalPostMessage;
+        }
+    }
+
+    const tests = [
+        {
+            name: 'SAVEAS TYPE=JSON appends records keyed by !EXTRACT_COLUMNS',
+            async run() {
+                const files = {};
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !EXTRACT_COLUMNS name,price');
+                    assertEqual(player.expandVariables('{{!EXTRACT_COLUMNS}}'), 'name,price', 'Columns readable');
+
+                    player.addExtractData('Tea "green"');
+                    player.addExtractData('4.50');
+                    await play(player, 'SAVEAS TYPE=JSON FOLDER=* FILE=items');
+                    assertEqual(player.getExtractData(), '', 'Extract data cleared');
+
+                    player.addExtractData('Coffee');
+                    player.addExtractData('3.20');
+                    player.addExtractData('in stock');
+                    await play(player, 'SAVEAS TYPE=JSON FOLDER=* FILE=items');
+
+                    const records = JSON.parse(files['/downloads/items.json']);
+                    assertEqual(records.length, 2, 'One record per SAVEAS');
+                    assertEqual(records[0].name, 'Tea "green"', 'Quotes kept as is');
+                    assertEqual(records[1].price, '3.20', 'Keyed by column name');
+                    assertEqual(records[1].column3, 'in stock', 'Unnamed columns numbered');
+                });
+            }
+        },
+        {
+            name: 'SAVEAS TYPE=JSON without !EXTRACT_COLUMNS uses column1..n',
+            async run() {
+                const files = { '/downloads/bad.json': '{"not": "an array"}' };
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    player.addExtractData('a');
+                    player.addExtractData('b');
+                    await play(player, 'SAVEAS TYPE=JSON FOLDER=* FILE=*');
+
+                    const records = JSON.parse(files['/downloads/extract.json']);
+                    assertEqual(JSON.stringify(records), '[{"column1":"a","column2":"b"}]', 'Default keys');
+
+                    player.addExtractData('c');
+                    await assertRejects(play(player, 'SAVEAS TYPE=JSON FOLDER=* FILE=bad.json'),
+                        /the file is not a JSON array/, 'Existing file must be an array');
+                });
+            }
+        },
+        {
+            name: 'SAVEAS TYPE=XLSX writes a workbook with one row per SAVEAS',
+            async run() {
+                const files = {};
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !EXTRACT_COLUMNS name,price');
+                    player.addExtractData('Tea & milk');
+                    player.addExtractData('4.50');
+                    await play(player, 'SAVEAS TYPE=XLSX FOLDER=* FILE=prices');
+                    player.addExtractData('Coffee');
+                    player.addExtractData('007');
+                    await play(player, 'SAVEAS TYPE=XLSX FOLDER=* FILE=prices');
+
+                    const saved = files['/downloads/prices.xlsx'];
+                    assertEqual(saved.mimeType, XlsxWriter.MIME_TYPE, 'Workbook MIME type');
+                    assertEqual(saved.encoding, 'base64', 'Binary data');
+                    const content = atob(saved.image);
+                    assertEqual(content.substring(0, 2), 'PK', 'ZIP archive');
+                    assertTrue(content.includes('xl/worksheets/sheet1.xml'), 'Worksheet part');
+                    assertTrue(content.includes('<row r="1"><c r="A1" t="inlineStr"><is><t xml:space="preserve">name</t>'),
+                        'Header row from !EXTRACT_COLUMNS');
+                    assertTrue(content.includes('Tea &amp; milk'), 'Text escaped');
+                    assertTrue(content.includes('<c r="B2"><v>4.50</v></c>'), 'Numbers stored as numbers');
+                    assertTrue(content.includes('<row r="3">') && content.includes('>007</t>'),
+                        'Rows accumulated, leading zeros kept as text');
+                });
+            }
+        },
+        {
+            name: 'SAVEAS TYPE=XLSX refuses to overwrite a workbook of an earlier replay',
+            async run() {
+                const earlier = { image: 'b2xk', encoding: 'base64' };
+                const files = { '/downloads/prices.xlsx': earlier };
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    player.addExtractData('Tea');
+                    const error = await assertRejects(play(player, 'SAVEAS TYPE=XLSX FOLDER=* FILE=prices'),
+                        /^Can not append to \/downloads\/prices\.xlsx, SAVEAS TYPE=XLSX only adds rows/, 'Clear error');
+                    assertEqual(error.errnum, 732, 'Error code');
+                    assertEqual(files['/downloads/prices.xlsx'], earlier, 'Earlier workbook kept');
+                });
+            }
+        },
+        {
+            name: 'TAG ... EXTRACT=TXT AS=name stores named fields',
+            async run() {
+                await withFakeTagResults(['Tea', '4.50', 'in stock'], async () => {
+                    const player = createPlayer();
+                    await play(player, 'TAG POS=1 TYPE=H1 ATTR=* EXTRACT=TXT AS=title');
+                    await play(player, 'TAG POS=1 TYPE=SPAN ATTR=CLASS:price EXTRACT=TXT AS=Price');
+                    await play(player, 'TAG POS=1 TYPE=SPAN ATTR=CLASS:stock EXTRACT=TXT');
+
+                    assertEqual(player.expandVariables('{{!EXTRACT.price}}'), '4.50', 'Field by name, case insensitive');
+                    assertEqual(player.expandVariables('{{!EXTRACT.title}}'), 'Tea', 'First field');
+                    assertEqual(player.expandVariables('{{!EXTRACT}}'), 'Tea[EXTRACT]4.50[EXTRACT]in stock',
+                        'Legacy string keeps every value');
+                    await assertRejects(Promise.resolve().then(() => player.expandVariables('{{!EXTRACT.sku}}')),
+                        /EXTRACT field sku is not set/, 'Unknown field');
+                    await assertRejects(Promise.resolve().then(() =>
+                        play(player, 'TAG POS=1 TYPE=A ATTR=* CONTENT=x AS=link')),
+                    /AS can only be used with EXTRACT/, 'AS needs EXTRACT');
+
+                    player.clearExtractData();
+                    await assertRejects(Promise.resolve().then(() => player.expandVariables('{{!EXTRACT.title}}')),
+                        /EXTRACT field title is not set/, 'Fields cleared with the extract data');
+                });
+            }
+        },
+        {
+            name: 'SAVEAS writes AS= names as columns',
+            async run() {
+                const files = {};
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await play(player, 'SET !EXTRACT_COLUMNS ignored,fallback');
+                    const extract = () => {
+                        player.addExtractData('Tea', 'name');
+                        player.addExtractData('4.50');
+                        player.addExtractData('x', 'sku');
+                    };
+                    extract();
+                    await play(player, 'SAVEAS TYPE=JSON FOLDER=* FILE=items');
+                    extract();
+                    await play(player, 'SAVEAS TYPE=EXTRACT FOLDER=* FILE=items');
+                    extract();
+                    await play(player, 'SAVEAS TYPE=EXTRACT FOLDER=* FILE=items');
+
+                    assertEqual(files['/downloads/items.json'].replace(/\s/g, ''),
+                        '[{"name":"Tea","fallback":"4.50","sku":"x"}]', 'JSON keys');
+                    assertEqual(files['/downloads/items.csv'].split(/\r?\n/).join('|'),
+                        '"name","fallback","sku"|"Tea","4.50","x"|"Tea","4.50","x"|', 'CSV header written once');
+                });
+            }
+        },
+        {
+            name: 'TAG ... EXTRACT=TXT POS=ALL extracts a column of values',
+            async run() {
+                const files = {};
+                const sent = [];
+                await withFakeFiles(files, async (folder) => {
+                    await withFakeTagResults(['Shop', { values: ['Tea', 'Coffee'] },
+                        { values: ['4.50', '3.20', '1.10'] }], async () => {
+                        const player = createPlayer(folder);
+                        await play(player, 'TAG POS=1 TYPE=H1 ATTR=* EXTRACT=TXT AS=shop');
+                        await play(player, 'TAG SELECTOR=".name" EXTRACT=TXT POS=ALL AS=name');
+                        await play(player, 'TAG POS=ALL TYPE=SPAN ATTR=CLASS:price EXTRACT=TXT');
+                        assertTrue(sent[1].all && sent[2].all, 'POS=ALL sent to the page');
+                        assertEqual(sent[2].pos, 1, 'Search starts at the first element');
+
+                        assertEqual(player.expandVariables('{{!EXTRACT}}'),
+                            'Shop[EXTRACT]Tea[EXTRACT]4.50[EXTRACT]Coffee[EXTRACT]3.20[EXTRACT][EXTRACT]1.10',
+                            'Values joined row by row');
+                        assertEqual(player.expandVariables('{{!EXTRACT.name}}'), 'Tea[EXTRACT]Coffee[EXTRACT]',
+                            'Named column');
+
+                        await play(player, 'SAVEAS TYPE=JSON FOLDER=* FILE=items');
+                        const records = JSON.parse(files['/downloads/items.json']);
+                        assertEqual(records.length, 3, 'One record per element');
+                        assertEqual(JSON.stringify(records[1]),
+                            '{"shop":"Shop","name":"Coffee","column3":"3.20"}', 'Single values repeated');
+                        assertEqual(records[2].name, '', 'Shorter columns padded');
+                        assertEqual(player.getExtractData(), '', 'Rows cleared');
+
+                        await assertRejects(Promise.resolve().then(() =>
+                            play(player, 'TAG POS=ALL TYPE=A ATTR=* CONTENT=x')),
+                        /POS=ALL can only be used with EXTRACT/, 'POS=ALL needs EXTRACT');
+                    }, sent);
+                });
+            }
+        },
+        {
+            name: 'TAG ... EXTRACT=TABLE saves table rows with header names',
+            async run() {
+                const files = {};
+                await withFakeFiles(files, async (folder) => {
+                    const table = {
+                        header: ['Name', 'Price'],
+                        rows: [['Tea', '4.50'], ['Coffee "dark"', '3.20']]
+                    };
+                    await withFakeTagResults([{ table }, { table }, { table }], async () => {
+                        const player = createPlayer(folder);
+                        await play(player, 'TAG POS=1 TYPE=TABLE ATTR=* EXTRACT=TABLE');
+                        assertEqual(player.expandVariables('{{!EXTRACT}}'),
+                            'Tea[EXTRACT]4.50[EXTRACT]Coffee "dark"[EXTRACT]3.20', 'Cells in row order');
+                        assertEqual(player.expandVariables('{{!EXTRACT.price}}'), '4.50[EXTRACT]3.20',
+                            'Header cells name the columns');
+                        await play(player, 'SAVEAS TYPE=EXTRACT FOLDER=* FILE=prices');
+                        assertEqual(files['/downloads/prices.csv'].split(/\r?\n/).join('|'),
+                            '"Name","Price"|"Tea","4.50"|"Coffee ""dark""","3.20"|', 'One CSV line per row');
+
+                        await play(player, 'TAG POS=1 TYPE=TABLE ATTR=* EXTRACT=TABLE');
+                        await play(player, 'SAVEAS TYPE=XLSX FOLDER=* FILE=prices');
+                        const content = atob(files['/downloads/prices.xlsx'].image);
+                        assertTrue(content.includes('>Price</t>') && content.includes('<row r="3">') &&
+                            !content.includes('<row r="4">'), 'Header and two rows in the workbook');
+
+                        await play(player, 'TAG POS=1 TYPE=TABLE ATTR=* EXTRACT=TABLE');
+                        await play(player, 'SAVEAS TYPE=JSON FOLDER=* FILE=prices');
+                        assertEqual(files['/downloads/prices.json'].replace(/\s/g, ''),
+                            '[{"Name":"Tea","Price":"4.50"},{"Name":"Coffee\\"dark\\"","Price":"3.20"}]',
+                            'JSON record per row');
+                    });
+                });
+            }
+        },
+        {
+            name: 'TAG sends ATTR:, DATA:, STYLE: and other extract types to the page',
+            async run() {
+                const sent = [];
+                await withFakeTagResults(['a', 'b', 'c', 'd', 'e', 'f'], async () => {
+                    const player = createPlayer();
+                    player.userVars = new Map();
+                    await play(player, 'SET prop background-color');
+                    await play(player, 'TAG POS=1 TYPE=A ATTR=* EXTRACT=ATTR:aria-label');
+                    await play(player, 'TAG SELECTOR="shop-list >> .product" EXTRACT=DATA:productId');
+                    await play(player, 'TAG XPATH="//input" EXTRACT=VALUE');
+                    await play(player, 'TAG POS=1 TYPE=P ATTR=* EXTRACT=INNERTEXT');
+                    await play(player, 'TAG POS=1 TYPE=P ATTR=* EXTRACT=STYLE:{{prop}}');
+                    await play(player, 'TAG POS=1 TYPE=P ATTR=* EXTRACT=BBOX');
+                }, sent);
+                assertEqual(sent.map(data => data.txt).join(' '),
+                    'ATTR:aria-label DATA:productId VALUE INNERTEXT STYLE:background-color BBOX',
+                    'Extract types passed as written, variables expanded');
+                assertEqual(sent[1].selector, 'shop-list >> .product', 'Shadow DOM selector');
+            }
+        },
+        {
+            name: 'SEARCH SOURCE=TEXT: with SCOPE and MATCH=ALL extracts every match',
+            async run() {
+                const sent = [];
+                await withFakeTagResults(['4.50', { values: ['4.50', '3.20'] }, { values: ['a', 'b'] }],
+                    async () => {
+                        const player = createPlayer();
+                        player.currentFrame = { number: 2 };
+                        await play(player, 'SEARCH SOURCE=TEXT:"Total: (\\\\d+\\\\.\\\\d+)" EXTRACT=$1 AS=total');
+                        await play(player, 'SEARCH SOURCE=TEXT:"(\\\\d+\\\\.\\\\d+) EUR" ' +
+                            'SCOPE=SELECTOR:"#cart .price" IGNORE_CASE=YES MATCH=ALL EXTRACT=$1 AS=price');
+                        await play(player, 'SEARCH SOURCE=REGEXP:"<b>" MATCH=ALL');
+
+                        assertEqual(sent[0].type, 'text', 'Rendered text search');
+                        assertEqual(sent[0].query, 'Total: (\\d+\\.\\d+)', 'Quoted pattern unwrapped');
+                        assertEqual(sent[1].scope, '#cart .price', 'Scope selector');
+                        assertTrue(sent[1].all && sent[1].ignore_case === 'i', 'MATCH=ALL and IGNORE_CASE');
+                        assertTrue(!sent[0].all && sent[0].scope === '', 'First match by default');
+                        assertEqual(player.expandVariables('{{!EXTRACT.total}}'), '4.50', 'Single match named');
+                        assertEqual(player.expandVariables('{{!EXTRACT.price}}'), '4.50[EXTRACT]3.20',
+                            'All matches as a column');
+                        assertEqual(JSON.stringify(player.getExtractRows()),
+                            '[["4.50","4.50","a"],["4.50","3.20","b"]]', 'One row per match');
+
+                        await assertRejects(Promise.resolve().then(() =>
+                            play(player, 'SEARCH SOURCE=TXT:"Total*" EXTRACT=$1')),
+                        /EXTRACT has sense only for REGEXP or TEXT search/, 'TXT search extracts nothing');
+                        await assertRejects(Promise.resolve().then(() =>
+                            play(player, 'SEARCH SOURCE=TEXT:Total AS=total')),
+                        /AS can only be used with EXTRACT/, 'AS needs values');
+                    }, sent);
+                assertTrue(sent.every(data => data.topic === 'search-command' && data.frame.number === 2),
+                    'Searches the current FRAME');
+            }
+        },
+        {
+            name: 'SAVEAS rejects unknown types',
+            async run() {
+                await withFakeFiles({}, async (folder) => {
+                    const player = createPlayer(folder);
+                    await assertRejects(play(player, 'SAVEAS TYPE=ODS FOLDER=* FILE=x'),
+                        /EXTRACT\|JSON\|XLSX/, 'Supported types listed');
+                });
+            }
+        }
+    ];
+
+    const ExtractOutputTestSuite = {
+        async run() {
+            resetResults();
+            log('='.repeat(80));
+            log('Extract Output Test Suite');
+            log('='.repeat(80));
+
+            for (const test of tests) {
+                if (test.skip) {
+                    log(`[SKIP] ${test.name}`);
+                    results.skipped++;
+                    continue;
+                }
+                try {
+                    await test.run();
+                    log(`[PASS] ${test.name}`);
+                    results.passed++;
+                } catch (err) {
+                    log(`[FAIL] ${test.name}: ${err.message}`);
+                    if (err && err.stack) {
+                        log(err.stack);
+                    }
+                    results.failed++;
+                    errors.push({ name: test.name, error: err.message, stack: err.stack });
+                }
+            }
+
+            return { results, errors };
+        }
+    };
+
+    if (typeof window !== 'undefined') {
+        window.ExtractOutputTestSuite = ExtractOutputTestSuite;
+    } else if (typeof global !== 'undefined') {
+        global.ExtractOutputTestSuite = ExtractOutputTestSuite;
+    }
+})();
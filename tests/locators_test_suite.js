@@ -0,0 +1,284 @@
+(function () {
+    'use strict';
+
+    /* global MacroPlayer, communicator */
+
+    const results = { passed: 0, failed: 0, skipped: 0 };
+    const errors = [];
+
+    function log(message) {
+        if (typeof console !== 'undefined') {
+            console.log(message);
+        }
+    }
+
+    function resetResults() {
+        results.passed = 0;
+        results.failed = 0;
+        results.skipped = 0;
+        errors.length = 0;
+    }
+
+    function assertEqual(actual, expected, context) {
+        if (actual !== expected) {
+            throw new Error(`Expected "${expected}" but got "${actual}" (${context})`);
+        }
+    }
+
+    function assertTrue(value, context) {
+        if (!value) {
+            throw new Error(`Assertion failed (${context})`);
+        }
+    }
+
+    async function assertRejects(promise, regex, context) {
+        try {
+            await promise;
+        } catch (err) {
+            if (!regex.test(err.message)) {
+                throw new Error(`Unexpected error "${err.message}" (${context})`);
+            }
+            return err;
+        }
+        throw new Error(`Expected an error matching ${regex} (${context})`);
+    }
+
+    function createPlayer() {
+        if (typeof MacroPlayer === 'undefined') {
+            throw new Error('MacroPlayer not loaded');
+        }
+
+        const player = new MacroPlayer();
+        player.playing = true;
+        player.win_id = 'locators-window';
+        player.tab_id = 3;
+        player.currentFrame = { number: 0 };
+        player.currentURL = 'https://example.com/login';
+        player.currentMacro = 'Login.iim';
+        player.currentAction = { name: 'tag', line: 5 };
+        player.linenumber_delta = 0;
+        player.extractData = '';
+        player.extractFields = [];
+        player.extractColumns = [];
+        player.shouldPopupExtract = false;
+        player.limits = player.convertLimits({
+            maxVariables: 'unlimited',
+            maxCSVRows: 'unlimited',
+            maxCSVCols: 'unlimited',
+            maxMacroLen: 'unlimited',
+            maxIterations: 'unlimited'
+        });
+        return player;
+    }
+
+    // Replay one TAG command, resolves to the data sent to the content
+    // script and answers it with @result
+    function playTag(player, params, result) {
+        const args = player.RegExpTable.tag.exec(params);
+        if (!args) {
+            return Promise.reject(new Error('wrong format of TAG ' + params));
+        }
+        const originalPostMessage = communicator.postMessage;
+        let sent = null;
+        return new Promise((resolve, reject) => {
+            communicator.postMessage = function (topic, data, tabId, callback) {
+                sent = data;
+                callback(Object.assign({ found: true }, result));
+            };
+            player.next = () => resolve(sent);
+            player.handleError = reject;
+            player._ActionTable.tag(args);
+        }).finally(() => { communicator.postMessage = originalPostMessage; });
+    }
+
+    const tests = [
+        {
+            name: 'TAG LOCATORS= sends every locator to the page in order',
+            async run() {
+                const player = createPlayer();
+                player.setUserVar('user', 'joe');
+                const data = await playTag(player,
+                    'TYPE=INPUT:TEXT LOCATORS=ID:login-{{user}}||ARIA:"User name"||' +
+                    'SELECTOR:"form > input:nth-of-type(1)"||XPATH:"//form/input[1]" CONTENT=joe');
+                assertEqual(data.locators.length, 4, 'Locators');
+                assertEqual(data.locators[0].kind, 'id', 'Kind');
+                assertTrue(new RegExp(data.locators[0].pattern, 'i').test('login-joe'), 'Variables expanded');
+                assertTrue(new RegExp(data.locators[1].pattern, 'i').test('User  name'), 'ATTR-style matching');
+                assertEqual(data.locators[2].value, 'form > input:nth-of-type(1)', 'Selector');
+                assertEqual(data.locators[3].value, '//form/input[1]', 'XPath');
+                assertEqual(data.tagName, 'input', 'Tag name');
+                assertEqual(data.atts.type, '^text$', 'Input type');
+                assertEqual(data.type, 'content', 'Content');
+                assertEqual(data.txt, 'joe', 'Content text');
+                assertEqual(player.tagLocators[1], 'ARIA:"User name"', 'Locator texts kept for the report');
+            }
+        },
+        {
+            name: 'TAG LOCATORS= works without TYPE and with EXTRACT AS',
+            async run() {
+                const player = createPlayer();
+                const data = await playTag(player, 'LOCATORS=TESTID:price||TXT:*€ EXTRACT=TXT AS=price',
+                    { extract: '9.99 €' });
+                assertEqual(data.tagName, '', 'No tag name');
+                assertEqual(data.locators[1].kind, 'txt', 'Text locator');
+                assertEqual(data.type, 'extract', 'Extract');
+                assertEqual(player.extractFieldName, 'price', 'AS name');
+            }
+        },
+        {
+            name: 'TAG LOCATORS= rejects unknown kinds and POS=ALL',
+            async run() {
+                const player = createPlayer();
+                await assertRejects(playTag(player, 'LOCATORS=ID:a||CLASS:btn'),
+                    /<kind> is ID, TESTID, ARIA, NAME, TXT, SELECTOR or XPATH/, 'Unknown kind');
+                await assertRejects(playTag(player, 'LOCATORS=TXT:Item EXTRACT=TXT POS=ALL'),
+                    /POS=ALL can not be used with LOCATORS/, 'POS=ALL');
+            }
+        },
+        {
+            name: 'TAG ROLE=, TEXT= and LABEL= send ATTR-style patterns',
+            async run() {
+                const player = createPlayer();
+                let data = await playTag(player, 'ROLE=Button NAME=Submit<SP>order* EXTRACT=TXT AS=submit',
+                    { extract: 'Submit order' });
+                assertEqual(data.role, 'button', 'Role');
+                assertTrue(new RegExp(data.name, 'i').test('submit  ORDER now'), 'Name pattern');
+                assertEqual(data.atts_str, 'ROLE=Button NAME=Submit<SP>order*', 'Descriptor for errors');
+                assertEqual(player.extractFieldName, 'submit', 'AS');
+
+                data = await playTag(player, 'ROLE=navigation');
+                assertEqual(data.role, 'navigation', 'Role without name');
+                assertEqual(data.name, undefined, 'Any name');
+
+                data = await playTag(player, 'TEXT="Add to cart"');
+                assertTrue(new RegExp(data.text, 'i').test('Add to   cart'), 'Text pattern');
+                assertTrue(!new RegExp(data.text, 'i').test('Add to cart (2)'), 'Whole text');
+                assertEqual(data.atts_str, 'TEXT="Add to cart"', 'Text descriptor');
+
+                player.setUserVar('field', 'Email');
+                data = await playTag(player, 'LABEL="{{field}} address" CONTENT=joe@example.com');
+                assertTrue(new RegExp(data.label, 'i').test('Email address'), 'Label pattern');
+                assertEqual(data.txt, 'joe@example.com', 'Content');
+                assertEqual(data.text, undefined, 'No text');
+            }
+        },
+        {
+            name: 'TAG NEAR= and WITHIN= narrow down the other parameters',
+            async run() {
+                const player = createPlayer();
+                let data = await playTag(player,
+                    'NEAR="Shipping address*" DIRECTION=RIGHT TYPE=INPUT:TEXT CONTENT="1 Main St"');
+                assertTrue(new RegExp(data.near, 'i').test('Shipping address:'), 'Anchor text');
+                assertEqual(data.direction, 'right', 'Direction');
+                assertEqual(data.tagName, 'input', 'Type');
+                assertEqual(data.atts.type, '^text$', 'Input type');
+                assertEqual(data.within, undefined, 'No container');
+                assertEqual(data.atts_str, 'NEAR="Shipping address*" DIRECTION=RIGHT', 'Descriptor');
+
+                data = await playTag(player,
+                    'WITHIN=SELECTOR:.card:has-text("Plan B") TYPE=BUTTON ATTR=TXT:Select');
+                assertEqual(data.within.kind, 'selector', 'Container kind');
+                assertEqual(data.within.value, '.card:has-text("Plan B")', 'Container with spaces in quotes');
+                assertEqual(data.near, undefined, 'No anchor');
+                assertEqual(data.atts_str, 'TXT:Select WITHIN=SELECTOR:.card:has-text("Plan B")', 'Descriptor with ATTR');
+
+                data = await playTag(player,
+                    'WITHIN=XPATH:"//form[@id=\'ship\']" NEAR=City ROLE=textbox EXTRACT=TXT', { extract: 'Paris' });
+                assertEqual(data.within.value, "//form[@id='ship']", 'Quoted XPath');
+                assertEqual(data.role, 'textbox', 'Other targets');
+                assertEqual(data.direction, '', 'Any direction');
+            }
+        },
+        {
+            name: 'TAG without POS or ATTR needs NEAR or WITHIN',
+            async run() {
+                const player = createPlayer();
+                await assertRejects(playTag(player, 'TYPE=A EXTRACT=HREF'),
+                    /unless NEAR or WITHIN is given/, 'POS and ATTR left out');
+                await assertRejects(playTag(player, 'NEAR=Total LOCATORS=ID:total'),
+                    /NEAR and WITHIN can not be used with LOCATORS/, 'LOCATORS');
+            }
+        },
+        {
+            name: 'Other TAG forms are parsed as before',
+            async run() {
+                const player = createPlayer();
+                let data = await playTag(player, 'POS=2 TYPE=A ATTR=TXT:Next EXTRACT=HREF AS=link',
+                    { extract: '/page/3' });
+                assertEqual(data.tagName, 'a', 'TYPE');
+                assertEqual(data.locators, undefined, 'No locators');
+                assertEqual(player.tagLocators, null, 'Locators of the previous TAG cleared');
+                assertEqual(player.extractFieldName, 'link', 'AS');
+                data = await playTag(player, 'SELECTOR="#q" CONTENT=shoes');
+                assertEqual(data.selector, '#q', 'SELECTOR');
+                assertEqual(data.txt, 'shoes', 'CONTENT');
+            }
+        },
+        {
+            name: 'A fallback locator is reported with the locators tried before',
+            async run() {
+                const player = createPlayer();
+                const warnings = [];
+                const originalWarn = console.warn;
+                console.warn = text => warnings.push(text);
+                player.runLogEntry = { record: {} };
+                try {
+                    await playTag(player, 'TYPE=BUTTON LOCATORS=ID:buy||TESTID:buy-button||TXT:Buy',
+                        { locator: { index: 2, counts: [0, 3] } });
+                } finally {
+                    console.warn = originalWarn;
+                }
+                assertEqual(player.locatorFallbacks.length, 1, 'Fallback recorded');
+                const fallback = player.locatorFallbacks[0];
+                assertEqual(fallback.macro, 'Login.iim', 'Macro');
+                assertEqual(fallback.line, '5', 'Line');
+                assertEqual(fallback.locator, 'TXT:Buy', 'Winning locator');
+                assertEqual(fallback.tried.join(', '),
+                    'ID:buy not found, TESTID:buy-button matched 3 elements', 'Locators tried');
+                assertEqual(player.runLogEntry.record.locator, 'TXT:Buy', 'Run log entry');
+                assertEqual(warnings.length, 1, 'Warning shown');
+
+                await playTag(player, 'TYPE=BUTTON LOCATORS=ID:buy||TXT:Buy',
+                    { locator: { index: 0, counts: [] } });
+                assertEqual(player.locatorFallbacks.length, 1, 'First locator is not a fallback');
+            }
+        }
+    ];
+
+    const LocatorsTestSuite = {
+        async run() {
+            resetResults();
+            log('='.repeat(80));
+            log('Locators Test Suite');
+            log('='.repeat(80));
+
+            for (const test of tests) {
+                if (test.skip) {
+                    log(`[SKIP] ${test.name}`);
+                    results.skipped++;
+                    continue;
+                }
+                try {
+                    await test.run();
+                    log(`[PASS] ${test.name}`);
+                    results.passed++;
+                } catch (err) {
+                    log(`[FAIL] ${test.name}: ${err.message}`);
+                    if (err && err.stack) {
+                        log(err.stack);
+                    }
+                    results.failed++;
+                    errors.push({ name: test.name, error: err.message, stack: err.stack });
+                }
+            }
+
+            return { results, errors };
+        }
+    };
+
+    if (typeof window !== 'undefined') {
+        window.LocatorsTestSuite = LocatorsTestSuite;
+    } else if (typeof global !== 'undefined') {
+        global.LocatorsTestSuite = LocatorsTestSuite;
+    }
+})();
@@ -0,0 +1,556 @@
+(function () {
+    'use strict';
+
+    /* global MacroPlayer */
+
+    const results = { passed: 0, failed: 0, skipped: 0 };
+    const errors = [];
+
+    function log(message) {
+        if (typeof console !== 'undefined') {
+            console.log(message);
+        }
+    }
+
+    function resetResults() {
+        results.passed = 0;
+        results.failed = 0;
+        results.skipped = 0;
+        errors.length = 0;
+    }
+
+    function assertEqual(actual, expected, context) {
+        if (actual !== expected) {
+            throw new Error(`Expected "${expected}" but got "${actual}" (${context})`);
+        }
+    }
+
+    function assertThrows(fn, regex, context) {
+        try {
+            fn();
+        } catch (err) {
+            if (!regex.test(err.message)) {
+                throw new Error(`Unexpected error "${err.message}" (${context})`);
+            }
+            return err;
+        }
+        throw new Error(`Expected an error matching ${regex} (${context})`);
+    }
+
+    function createPlayer() {
+        if (typeof MacroPlayer === 'undefined') {
+            throw new Error('MacroPlayer not loaded');
+        }
+
+        const globalScope = typeof globalThis !== 'undefined'
+            ? globalThis
+            : (typeof window !== 'undefined' ? window : global);
+        const imnsRef = globalScope.imns || (globalScope.imns = {});
+        imnsRef.unwrap = imnsRef.unwrap || (value => value);
+        imnsRef.s2i = imnsRef.s2i || (value => parseInt(value, 10));
+
+        const player = new MacroPlayer();
+        player.playing = true;
+        player.actions = [];
+        player.action_stack = [];
+        player.loopStack = [];
+        player.linenumber_delta = 0;
+        player.errorHandler = null;
+        player.errorCode = 1;
+        player.errorMessage = 'OK';
+        player.limits = player.convertLimits({
+            maxVariables: 'unlimited',
+            maxCSVRows: 'unlimited',
+            maxCSVCols: 'unlimited',
+            maxMacroLen: 'unlimited',
+            maxIterations: 'unlimited'
+        });
+        // Replaying is driven synchronously by playMacro() below
+        player.next = function () { };
+        return player;
+    }
+
+    // Parse and replay a macro made of SET/LOOP-style commands that do not
+    // need a browser tab.
+    function playMacro(player, source, maxSteps = 1000) {
+        player.source = source;
+        player.actions = [];
+        player.parseMacro();
+        player.action_stack = player.actions.slice().reverse();
+
+        let steps = 0;
+        while (player.action_stack.length) {
+            if (++steps > maxSteps) {
+                throw new Error('Macro did not finish in ' + maxSteps + ' steps');
+            }
+            const action = player.action_stack.pop();
+            player.currentAction = action;
+            try {
+                player._ActionTable[action.name](action.args);
+            } catch (err) {
+                // Without ON ERROR GOTO the error would stop the macro
+                if (!player.errorHandler) {
+                    throw err;
+                }
+                player.handleError(err);
+            }
+        }
+        return player;
+    }
+
+    const tests = [
+        {
+            name: 'LOOP NEST repeats its body and exposes {{!LOOP}}',
+            run() {
+                const player = playMacro(createPlayer(), [
+                    'SET out ""',
+                    'LOOP NEST 3',
+                    '    SET out {{out}}[{{!LOOP}}]',
+                    'LOOP'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), '[1][2][3]', 'Loop body output');
+                assertEqual(player.loopStack.length, 0, 'Loop stack unwound');
+            }
+        },
+        {
+            name: 'Nested LOOP NEST blocks expose {{!LOOP1}} and {{!LOOP2}}',
+            run() {
+                const player = playMacro(createPlayer(), [
+                    'SET out ""',
+                    'LOOP NEST 2',
+                    '    LOOP NEST 3',
+                    '        SET out {{out}}[{{!LOOP1}},{{!LOOP2}}]',
+                    '    LOOP',
+                    'LOOP'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), '[1,1][1,2][1,3][2,1][2,2][2,3]', 'Nested output');
+                assertEqual(player.varManager.getVar('LOOP1'), 0, 'LOOP1 reset after loop');
+                assertEqual(player.varManager.getVar('LOOP2'), 0, 'LOOP2 reset after loop');
+            }
+        },
+        {
+            name: 'LOOP BREAK leaves only the innermost loop',
+            run() {
+                const player = playMacro(createPlayer(), [
+                    'SET out ""',
+                    'LOOP NEST 2',
+                    '    LOOP NEST 5',
+                    '        SET out {{out}}[{{!LOOP1}},{{!LOOP2}}]',
+                    '        LOOP BREAK',
+                    '    LOOP',
+                    'LOOP'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), '[1,1][2,1]', 'Break output');
+            }
+        },
+        {
+            name: 'LOOP CONTINUE skips the rest of the iteration',
+            run() {
+                const player = playMacro(createPlayer(), [
+                    'SET out ""',
+                    'LOOP NEST 3',
+                    '    SET out {{out}}[{{!LOOP}}]',
+                    '    LOOP CONTINUE',
+                    '    SET out {{out}}never',
+                    'LOOP'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), '[1][2][3]', 'Continue output');
+            }
+        },
+        {
+            name: 'LOOP NEST count accepts variables and zero',
+            run() {
+                const player = playMacro(createPlayer(), [
+                    'SET n 2',
+                    'SET out ""',
+                    'LOOP NEST {{n}}',
+                    '    SET out {{out}}a',
+                    'LOOP',
+                    'LOOP NEST 0',
+                    '    SET out {{out}}b',
+                    'LOOP'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), 'aa', 'Variable and zero counts');
+            }
+        },
+        {
+            name: 'Unbalanced LOOP blocks are rejected at parse time',
+            run() {
+                assertThrows(() => playMacro(createPlayer(), 'LOOP NEST 2\nSET a 1'),
+                    /LOOP NEST without LOOP end marker at line 1/, 'Missing end marker');
+                assertThrows(() => playMacro(createPlayer(), 'SET a 1\nLOOP'),
+                    /LOOP end marker without matching LOOP NEST at line 2/, 'Missing LOOP NEST');
+                assertThrows(() => playMacro(createPlayer(), 'LOOP BREAK'),
+                    /LOOP BREAK without active loop/, 'BREAK outside loop');
+            }
+        },
+        {
+            name: 'LOOP NEST is limited to 10 levels',
+            run() {
+                const lines = [];
+                for (let i = 0; i < 11; i++) lines.push('LOOP NEST 1');
+                for (let i = 0; i < 11; i++) lines.push('LOOP');
+                assertThrows(() => playMacro(createPlayer(), lines.join('\n')),
+                    /Maximum loop nesting level \(10\) exceeded at line 11/, 'Nesting limit');
+            }
+        },
+        {
+            name: 'Loop frames are plain data that RUN can snapshot',
+            run() {
+                const player = createPlayer();
+                player.source = 'LOOP NEST 2\nSET a 1\nLOOP';
+                player.actions = [];
+                player.parseMacro();
+                player.action_stack = player.actions.slice().reverse();
+                const start = player.action_stack.pop();
+                player.currentAction = start;
+                player._ActionTable.loop(start.args);
+
+                const copy = JSON.parse(JSON.stringify(player.loopStack));
+                assertEqual(copy.length, 1, 'Frame serialized');
+                assertEqual(copy[0].loopVarName, 'LOOP1', 'Loop variable name');
+                assertEqual(copy[0].count, 2, 'Loop count');
+                assertEqual(copy[0].startLine, 1, 'Start line');
+                assertEqual(copy[0].endLine, 3, 'End line');
+            }
+        },
+        {
+            name: 'IF/ELSEIF/ELSE picks the first matching branch',
+            run() {
+                const source = value => [
+                    'SET v ' + value,
+                    'SET out ""',
+                    'IF {{v}} == apple',
+                    '    SET out a',
+                    'ELSEIF {{v}} CONTAINS an',
+                    '    SET out b',
+                    'ELSEIF {{v}} MATCHES ^ch.*y$',
+                    '    SET out c',
+                    'ELSE',
+                    '    SET out d',
+                    'ENDIF',
+                    'SET out {{out}}!'
+                ].join('\n');
+                assertEqual(playMacro(createPlayer(), source('apple')).getUserVar('out'), 'a!', 'IF branch');
+                assertEqual(playMacro(createPlayer(), source('banana')).getUserVar('out'), 'b!', 'First ELSEIF branch');
+                assertEqual(playMacro(createPlayer(), source('cherry')).getUserVar('out'), 'c!', 'Second ELSEIF branch');
+                assertEqual(playMacro(createPlayer(), source('kiwi')).getUserVar('out'), 'd!', 'ELSE branch');
+            }
+        },
+        {
+            name: 'IF compares numbers numerically',
+            run() {
+                const player = playMacro(createPlayer(), [
+                    'SET out ""',
+                    'IF 10 > 9',
+                    '    SET out {{out}}gt',
+                    'ENDIF',
+                    'IF 2.0 == 2',
+                    '    SET out {{out}}eq',
+                    'ENDIF',
+                    'IF 3 <= 1',
+                    '    SET out {{out}}never',
+                    'ENDIF'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), 'gteq', 'Numeric comparisons');
+                assertThrows(() => playMacro(createPlayer(), 'IF abc < 1\nENDIF'),
+                    /can not compare non-numeric values/, 'Non-numeric comparison');
+            }
+        },
+        {
+            name: 'IF tests single values for truth',
+            run() {
+                const player = playMacro(createPlayer(), [
+                    'SET yes true',
+                    'SET no false',
+                    'SET out ""',
+                    'IF {{yes}}',
+                    '    SET out {{out}}1',
+                    'ENDIF',
+                    'IF {{no}}',
+                    '    SET out {{out}}2',
+                    'ENDIF'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), '1', 'Truthiness');
+            }
+        },
+        {
+            name: 'IF blocks nest inside LOOP NEST with BREAK and CONTINUE',
+            run() {
+                const player = playMacro(createPlayer(), [
+                    'SET out ""',
+                    'LOOP NEST 5',
+                    '    IF {{!LOOP}} == 2',
+                    '        LOOP CONTINUE',
+                    '    ELSEIF {{!LOOP}} == 4',
+                    '        LOOP BREAK',
+                    '    ENDIF',
+                    '    SET out {{out}}[{{!LOOP}}]',
+                    'LOOP'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), '[1][3]', 'Loop control from IF');
+            }
+        },
+        {
+            name: 'Nested IF blocks keep the branch to test with their own block',
+            run() {
+                const source = (outer, inner) => [
+                    'SET out ""',
+                    'IF ' + outer,
+                    '    SET out a',
+                    'ELSEIF yes',
+                    '    IF ' + inner,
+                    '        SET out {{out}}b',
+                    '    ELSEIF yes',
+                    '        SET out {{out}}c',
+                    '    ENDIF',
+                    '    SET out {{out}}d',
+                    'ELSE',
+                    '    SET out never',
+                    'ENDIF'
+                ].join('\n');
+                const player = playMacro(createPlayer(), source('no', 'no'));
+                assertEqual(player.getUserVar('out'), 'cd', 'Inner block does not end the outer branch');
+                assertEqual(player.branchTarget, undefined, 'No branch state on the player');
+                assertEqual(playMacro(createPlayer(), source('no', 'yes')).getUserVar('out'), 'bd', 'Inner IF branch');
+            }
+        },
+        {
+            name: 'GOTO into an IF branch leaves the block at the next ELSEIF',
+            run() {
+                const player = createPlayer();
+                player.stop = function () { this.playing = false; };
+                playMacro(player, [
+                    'SET out ""',
+                    'ON ERROR GOTO retry',
+                    'IF no',
+                    '    LABEL retry',
+                    '    SET out {{out}}r',
+                    'ELSEIF 0 < x',
+                    '    SET out never',
+                    'ELSE',
+                    '    SET out never',
+                    'ENDIF',
+                    'SET out {{out}}!'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), 'r!', 'Skipped branch is not tested again');
+                assertEqual(player.errorCode, 1, 'Macro did not fail');
+            }
+        },
+        {
+            name: 'Unbalanced IF blocks are rejected at parse time',
+            run() {
+                assertThrows(() => playMacro(createPlayer(), 'IF 1\nSET a 1'),
+                    /IF without ENDIF at line 1/, 'Missing ENDIF');
+                assertThrows(() => playMacro(createPlayer(), 'ELSE'),
+                    /ELSE without matching IF at line 1/, 'ELSE outside IF');
+                assertThrows(() => playMacro(createPlayer(), 'IF 1\nELSE\nELSEIF 1\nENDIF'),
+                    /ELSEIF after ELSE at line 3/, 'ELSEIF after ELSE');
+                assertThrows(() => playMacro(createPlayer(), 'LOOP NEST 2\nIF 1\nLOOP\nENDIF'),
+                    /LOOP end marker inside IF block started at line 2 at line 3/, 'Crossed blocks');
+            }
+        },
+        {
+            name: 'GOTO jumps to labels forward and backward',
+            run() {
+                const player = playMacro(createPlayer(), [
+                    'SET out ""',
+                    'LABEL again',
+                    'SET out {{out}}a',
+                    'IF {{out}} != aaa',
+                    '    GOTO again',
+                    'ENDIF',
+                    'GOTO done',
+                    'SET out never',
+                    'LABEL done'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), 'aaa', 'Backward and forward jumps');
+            }
+        },
+        {
+            name: 'GOTO out of LOOP NEST unwinds the loop stack',
+            run() {
+                const player = playMacro(createPlayer(), [
+                    'SET out ""',
+                    'LOOP NEST 3',
+                    '    LOOP NEST 3',
+                    '        SET out {{out}}[{{!LOOP1}},{{!LOOP2}}]',
+                    '        IF {{!LOOP2}} == 2',
+                    '            GOTO out',
+                    '        ENDIF',
+                    '    LOOP',
+                    'LOOP',
+                    'LABEL out'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), '[1,1][1,2]', 'Jump out of nested loops');
+                assertEqual(player.loopStack.length, 0, 'Loop frames dropped');
+                assertEqual(player.varManager.getVar('LOOP1'), 0, 'LOOP1 reset');
+            }
+        },
+        {
+            name: 'Labels are validated at parse time',
+            run() {
+                assertThrows(() => playMacro(createPlayer(), 'GOTO nowhere'),
+                    /unknown label nowhere at line 1/, 'Unknown label');
+                assertThrows(() => playMacro(createPlayer(), 'LABEL a\nLABEL A'),
+                    /duplicate label A at line 2/, 'Duplicate label');
+                assertThrows(() => playMacro(createPlayer(), 'GOTO inside\nLOOP NEST 2\nLABEL inside\nLOOP'),
+                    /GOTO into LOOP NEST block at line 1/, 'Jump into loop');
+                assertThrows(() => playMacro(createPlayer(), 'ON ERROR GOTO nowhere'),
+                    /unknown label nowhere/, 'Unknown error handler label');
+            }
+        },
+        {
+            name: 'ON ERROR GOTO continues at the label and exposes the error',
+            run() {
+                const player = createPlayer();
+                player.stop = function () { this.playing = false; };
+                playMacro(player, [
+                    'SET out ""',
+                    'ON ERROR GOTO recover',
+                    'SET !DATASOURCE_LINE abc',
+                    'SET out never',
+                    'LABEL recover',
+                    'SET out {{out}}{{!LASTERRORCODE}}'
+                ].join('\n'));
+                assertEqual(player.getUserVar('out'), '711', 'Recovery block replayed');
+                assertEqual(/!DATASOURCE_LINE must be positive integer, line: 3/.test(player.lastErrorMessage), true,
+                    'Error message with line');
+                assertEqual(player.errorCode, 1, 'Handled error does not fail the macro');
+                assertEqual(player.errorHandler, null, 'Handler disarmed after use');
+            }
+        },
+        {
+            name: 'ON ERROR GOTO does not wait for a page that failed to load',
+            run() {
+                const macro = [
+                    'ON ERROR GOTO recover',
+                    'URL GOTO=https://unreachable.example/',
+                    'SET out never',
+                    'LABEL recover',
+                    'SET out {{!LASTERRORCODE}}'
+                ].join('\n');
+                // URL starts a page load that ends with a navigation error,
+                // or fails itself while the page is loading
+                const failures = {
+                    navigation(player) {
+                        player.onNavigationErrorOccurred({
+                            tabId: player.tab_id,
+                            url: 'https://unreachable.example/',
+                            error: 'net::ERR_NAME_NOT_RESOLVED'
+                        });
+                    },
+                    command() {
+                        throw new RuntimeError('tab was closed', 755);
+                    }
+                };
+                for (const [kind, fail] of Object.entries(failures)) {
+                    const player = createPlayer();
+                    player.tab_id = 7;
+                    player.stop = function () { this.playing = false; };
+                    player._ActionTable.url = () => {
+                        player.waitingForPageLoad = true;
+                        player.timers.set('loading', { timeout: null, interval: null });
+                        fail(player);
+                    };
+                    // playNextAction() replays nothing while a page is loading
+                    let waitingAtJump = null;
+                    player.next = caller => {
+                        if (caller == 'error handler') waitingAtJump = player.waitingForPageLoad;
+                    };
+                    playMacro(player, macro);
+                    assertEqual(player.getUserVar('out'), kind == 'navigation' ? '733' : '755',
+                        'Recovery block replayed after ' + kind + ' error');
+                    assertEqual(waitingAtJump, false, 'Page load not waited for after ' + kind + ' error');
+                    assertEqual(player.timers.has('loading'), false, 'Loading timer stopped after ' + kind + ' error');
+                }
+            }
+        },
+        {
+            name: 'ON ERROR GOTO of the caller handles errors of a RUN sub-macro',
+            run() {
+                const player = createPlayer();
+                player.stop = function () { this.playing = false; };
+                player.currentMacro = 'Main.iim';
+                player.source = [
+                    'SET out ""',
+                    'ON ERROR GOTO recover',
+                    "' the sub-macros are entered here",
+                    'SET out never',
+                    'LABEL recover',
+                    'SET out {{out}}{{!LASTERRORCODE}}'
+                ].join('\n');
+                player.parseMacro();
+                player.action_stack = player.actions.slice().reverse();
+                const step = () => {
+                    const action = player.action_stack.pop();
+                    player.currentAction = action;
+                    try {
+                        player._ActionTable[action.name](action.args);
+                    } catch (err) {
+                        player.handleError(err);
+                    }
+                };
+                step();
+                step();
+                player.enterSubMacro({ name: 'Outer.iim', source: 'SET a 1' }, {});
+                player.enterSubMacro({ name: 'Inner.iim', source: 'SET !DATASOURCE_LINE abc\nSET b 2' }, {});
+                assertEqual(player.errorHandler, null, 'Sub-macro starts without a handler');
+                step();
+
+                assertEqual(player.callStack.length, 0, 'Sub-macros left');
+                assertEqual(player.currentMacro, 'Main.iim', 'Caller replays again');
+                assertEqual(player.playing, true, 'Macro not stopped');
+                while (player.action_stack.length) step();
+                assertEqual(player.getUserVar('out'), '711', 'Caller recovery block replayed');
+                assertEqual(/line: 1/.test(player.lastErrorMessage), true, 'Error of the sub-macro line');
+            }
+        },
+        {
+            name: 'ON ERROR STOP disarms the handler',
+            run() {
+                const player = createPlayer();
+                assertThrows(() => playMacro(player, [
+                    'ON ERROR GOTO recover',
+                    'ON ERROR STOP',
+                    'SET !DATASOURCE_LINE abc',
+                    'LABEL recover'
+                ].join('\n')), /!DATASOURCE_LINE must be positive integer/, 'Error not handled');
+            }
+        }
+    ];
+
+    const MacroControlFlowTestSuite = {
+        async run() {
+            resetResults();
+            log('='.repeat(80));
+            log('Macro Control Flow Test Suite');
+            log('='.repeat(80));
+
+            for (const test of tests) {
+                if (test.skip) {
+                    log(`[SKIP] ${test.name}`);
+                    results.skipped++;
+                    continue;
+                }
+                try {
+                    await test.run();
+                    log(`[PASS] ${test.name}`);
+                    results.passed++;
+                } catch (err) {
+                    log(`[FAIL] ${test.name}: ${err.message}`);
+                    results.failed++;
+                    errors.push({ name: test.name, error: err.message, stack: err.stack });
+                }
+            }
+
+            return { results, errors };
+        }
+    };
+
+    if (typeof window !== 'undefined') {
+        window.MacroControlFlowTestSuite = MacroControlFlowTestSuite;
+    } else if (typeof global !== 'undefined') {
+        global.MacroControlFlowTestSuite = MacroControlFlowTestSuite;
+    }
+})();
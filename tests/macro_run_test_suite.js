@@ -135,6 +135,31 @@
         }
     }
 
+    // Replay a macro the way playNextAction() does: when a sub-macro started
+    // by RUN runs out of actions the caller is resumed.
+    async function playWithRun(player, source, maxSteps = 1000) {
+        player.next = function () { };
+        player.handleError = function (err) { throw err; };
+        player.source = source;
+        player.actions = [];
+        await player.loadIncludes(source);
+        player.parseMacro();
+        player.action_stack = player.actions.slice().reverse();
+
+        for (let steps = 0; steps < maxSteps; steps++) {
+            if (player.action_stack.length) {
+                const action = player.action_stack.pop();
+                player.currentAction = action;
+                await player._ActionTable[action.name](action.args);
+            } else if (player.callStack.length) {
+                player.leaveSubMacro();
+            } else {
+                return;
+            }
+        }
+        throw new Error('Macro did not finish in ' + maxSteps + ' steps');
+    }
+
     const tests = [
         {
             name: 'RUN executes sub-macro actions and shares globals',
@@ -326,6 +351,153 @@
                 assertEqual(player.autoplaySuppressed, true, 'Caller autoplay suppression state restored after nested runs');
             }
         },
+        {
+            name: 'RUN binds ARGS as parameters local to the callee',
+            async run() {
+                const player = createPlayer({
+                    macros: {
+                        'Greet.iim': 'SET result1 {{greeting}}-{{count}}\nSET count 5\nRETURN VALUE={{count}}'
+                    }
+                });
+
+                await playWithRun(player, [
+                    'SET count 1',
+                    'RUN MACRO=Greet ARGS="greeting=hi,count=2"',
+                    'SET result2 {{!RUN_RESULT}}-{{count}}'
+                ].join('\n'));
+
+                assertEqual(player.getUserVar('result1'), 'hi-2', 'ARGS visible in callee');
+                assertEqual(player.getUserVar('result2'), '5-1', 'Caller variable not touched by parameter');
+                assertEqual(player.hasUserVar('greeting'), false, 'Parameters dropped on return');
+                assertEqual(player.runNestLevel, 0, 'RUN nesting counter restored');
+            }
+        },
+        {
+            name: 'RETURN ends the callee and sends named outputs',
+            async run() {
+                const player = createPlayer({
+                    macros: {
+                        'Totals.iim': 'RETURN VALUE=ok OUTPUTS="total=3,label=\\"a,b\\""\nSET result3 unreachable',
+                        'Empty.iim': 'SET result4 ran'
+                    }
+                });
+
+                await playWithRun(player, [
+                    'RUN MACRO=Totals.iim',
+                    'SET result1 {{!RUN_RESULT}}|{{!RUN_RESULT.total}}|{{!RUN_RESULT.label}}',
+                    'RUN MACRO=Empty.iim',
+                    'SET result2 "[{{!RUN_RESULT}}]"'
+                ].join('\n'));
+
+                assertEqual(player.getUserVar('result1'), 'ok|3|a,b', 'Result and outputs read by caller');
+                assertEqual(player.getUserVar('result3'), '', 'Commands after RETURN skipped');
+                assertEqual(player.getUserVar('result2'), '[]', 'Callee without RETURN has empty result');
+                let error = null;
+                try {
+                    player.expandVariables('{{!RUN_RESULT.missing}}');
+                } catch (err) {
+                    error = err;
+                }
+                assertEqual(error && /did not set output missing/.test(error.message), true, 'Unknown output rejected');
+            }
+        },
+        {
+            name: 'RUN inside LOOP NEST resumes the caller loop',
+            async run() {
+                const player = createPlayer({
+                    macros: {
+                        'Inner.iim': 'LOOP NEST 2\nADD inner 1\nLOOP'
+                    }
+                });
+
+                await playWithRun(player, [
+                    'SET outer 0',
+                    'SET inner 0',
+                    'LOOP NEST 3',
+                    'RUN MACRO=Inner.iim',
+                    'ADD outer 1',
+                    'LOOP'
+                ].join('\n'));
+
+                assertEqual(player.getUserVar('outer'), '3', 'Caller loop completed');
+                assertEqual(player.getUserVar('inner'), '6', 'Callee loop ran on every call');
+                assertEqual(player.callStack.length, 0, 'All RUN frames popped');
+            }
+        },
+        {
+            name: 'RUN rejects recursion past the nesting limit',
+            async run() {
+                const player = createPlayer({
+                    macros: {
+                        'Self.iim': 'RUN MACRO=Self.iim'
+                    }
+                });
+                player.MAX_RUN_NEST_LEVEL = 3;
+
+                let error = null;
+                try {
+                    await playWithRun(player, 'RUN MACRO=Self.iim');
+                } catch (err) {
+                    error = err;
+                }
+
+                assertEqual(error && error.errnum, 730, 'Nesting limit error code');
+                assertEqual(player.callStack.length, 3, 'Limit reached before loading the next macro');
+            }
+        },
+        {
+            name: 'INCLUDE inlines the file while parsing',
+            async run() {
+                const player = createPlayer({
+                    macros: {
+                        'lib/Consent.iim': "' dismiss banner\nSET dismissed yes\nSET seen {{step}}"
+                    }
+                });
+
+                await playWithRun(player, [
+                    'SET step 1',
+                    'INCLUDE lib/Consent',
+                    'SET after {{dismissed}}'
+                ].join('\n'));
+
+                assertEqual(player.getUserVar('seen'), '1', 'Included commands share variables');
+                assertEqual(player.getUserVar('after'), 'yes', 'Macro continues after included commands');
+                assertEqual(player.actions.length, 4, 'INCLUDE replaced by included actions');
+                assertEqual(player.actions[2].line, 2, 'Included action highlights INCLUDE line');
+                assertEqual(player.actionLocation(player.actions[2]), '3 of lib/Consent (included at line 2)',
+                    'Included action reports its own file and line');
+                assertEqual(player.callStack.length, 0, 'No RUN frame pushed');
+            }
+        },
+        {
+            name: 'INCLUDE reports errors with file and line',
+            async run() {
+                const player = createPlayer({
+                    macros: {
+                        'Bad.iim': 'SET x 1\nBOGUS',
+                        'A.iim': 'INCLUDE B.iim',
+                        'B.iim': 'INCLUDE A.iim'
+                    }
+                });
+                player.currentMacro = 'Main.iim';
+
+                const parseError = async (source) => {
+                    try {
+                        await playWithRun(player, source);
+                    } catch (err) {
+                        return err.message;
+                    }
+                    return null;
+                };
+
+                assertEqual(await parseError('SET y 1\nINCLUDE Bad.iim'),
+                    'unknown command: BOGUS at line 2 of Bad.iim', 'Syntax error in included file');
+                assertEqual(await parseError('INCLUDE Missing.iim'),
+                    "can not include Missing.iim: Macro 'Missing.iim' not found at line 1", 'Missing include');
+                assertEqual(await parseError('INCLUDE A.iim'),
+                    'INCLUDE cycle Main.iim -> A.iim -> B.iim -> A.iim at line 1 of B.iim', 'Include cycle detected');
+            }
+        },
         {
             name: 'VariableManager snapshots are deep-copied and restore local context',
             async run() {
@@ -343,7 +343,9 @@
                     'loop-button': createElement(),
                     'edit-button': createElement(),
                     'saveas-button': createElement(),
-                    'capture-button': createElement()
+                    'capture-button': createElement(),
+                    'capture-region-button': createElement(),
+                    'pick-element-button': createElement()
                 };
 
                 const originalGetElementById = document.getElementById;
@@ -354,6 +356,8 @@
 
                     assertEqual(elements['saveas-button'].getAttribute('disabled'), null, 'saveas should be enabled');
                     assertEqual(elements['capture-button'].getAttribute('disabled'), null, 'capture should be enabled');
+                    assertEqual(elements['capture-region-button'].getAttribute('disabled'), null, 'capture region should be enabled');
+                    assertEqual(elements['pick-element-button'].getAttribute('disabled'), null, 'pick element should be enabled');
                     assertEqual(elements['play-button'].getAttribute('disabled'), 'true', 'play should be disabled');
                     assertEqual(elements['loop-button'].getAttribute('disabled'), 'true', 'loop should be disabled');
                     assertEqual(elements['edit-button'].getAttribute('disabled'), 'true', 'edit should be disabled');
@@ -377,7 +381,9 @@
                     'loop-button': createElement(),
                     'edit-button': createElement(),
                     'saveas-button': createElement(),
-                    'capture-button': createElement()
+                    'capture-button': createElement(),
+                    'capture-region-button': createElement(),
+                    'pick-element-button': createElement()
                 };
 
                 const originalGetElementById = document.getElementById;
@@ -391,6 +397,8 @@
                     assertEqual(elements['stop-replaying-button'].getAttribute('disabled'), null, 'stop should be enabled');
                     assertEqual(elements['saveas-button'].getAttribute('disabled'), 'true', 'saveas should be disabled');
                     assertEqual(elements['capture-button'].getAttribute('disabled'), 'true', 'capture should be disabled');
+                    assertEqual(elements['capture-region-button'].getAttribute('disabled'), 'true', 'capture region should be disabled');
+                    assertEqual(elements['pick-element-button'].getAttribute('disabled'), 'true', 'pick element should be disabled');
                 } finally {
                     document.getElementById = originalGetElementById;
                 }
@@ -410,7 +418,9 @@
                     'loop-button': createElement(),
                     'edit-button': createElement(),
                     'saveas-button': createElement(),
-                    'capture-button': createElement()
+                    'capture-button': createElement(),
+                    'capture-region-button': createElement(),
+                    'pick-element-button': createElement()
                 };
 
                 const originalGetElementById = document.getElementById;
@@ -426,6 +436,8 @@
                     assertEqual(elements['edit-button'].getAttribute('disabled'), null, 'edit should be enabled');
                     assertEqual(elements['saveas-button'].getAttribute('disabled'), 'true', 'saveas should be disabled');
                     assertEqual(elements['capture-button'].getAttribute('disabled'), 'true', 'capture should be disabled');
+                    assertEqual(elements['capture-region-button'].getAttribute('disabled'), 'true', 'capture region should be disabled');
+                    assertEqual(elements['pick-element-button'].getAttribute('disabled'), 'true', 'pick element should be disabled');
                     assertEqual(elements['stop-replaying-button'].getAttribute('disabled'), 'true', 'stop replaying should be disabled');
                     assertEqual(elements['stop-recording-button'].getAttribute('disabled'), 'true', 'stop recording should be disabled');
                 } finally {
@@ -524,10 +536,12 @@
             }
         },
         {
-            name: 'saveAs/capture send recorder context methods',
+            name: 'saveAs/capture/captureRegion/pickElement send recorder context methods',
             async run() {
                 assert(typeof saveAs === 'function', 'saveAs must be available');
                 assert(typeof capture === 'function', 'capture must be available');
+                assert(typeof captureRegion === 'function', 'captureRegion must be available');
+                assert(typeof pickElement === 'function', 'pickElement must be available');
 
                 const originalSendContextMethod = sendContextMethod;
                 const originalGetElementById = document.getElementById;
@@ -535,7 +549,9 @@
 
                 const elements = {
                     'saveas-button': createElement(),
-                    'capture-button': createElement()
+                    'capture-button': createElement(),
+                    'capture-region-button': createElement(),
+                    'pick-element-button': createElement()
                 };
 
                 const calls = [];
@@ -552,12 +568,16 @@
 
                     saveAs();
                     capture();
+                    captureRegion();
+                    pickElement();
 
-                    assertEqual(calls.length, 2, 'two recorder calls expected');
+                    assertEqual(calls.length, 4, 'four recorder calls expected');
                     assertEqual(calls[0].objectPath, 'recorder', 'saveAs should target recorder');
                     assertEqual(calls[0].methodName, 'saveAs', 'saveAs method name');
                     assertEqual(calls[1].objectPath, 'recorder', 'capture should target recorder');
                     assertEqual(calls[1].methodName, 'capture', 'capture method name');
+                    assertEqual(calls[2].methodName, 'captureRegion', 'captureRegion method name');
+                    assertEqual(calls[3].methodName, 'pickElement', 'pickElement method name');
                 } finally {
                     panelState.isRecording = originalPanelState.isRecording;
                     panelState.isPlaying = originalPanelState.isPlaying;
@@ -567,6 +587,49 @@
                 }
             }
         },
+        {
+            name: 'appendMacroLine shows the locator score with a warning for weak locators',
+            async run() {
+                assert(typeof appendMacroLine === 'function', 'appendMacroLine must be available');
+
+                function createNode(tag) {
+                    return {
+                        tag,
+                        style: {},
+                        childNodes: [],
+                        appendChild(child) { this.childNodes.push(child); return child; }
+                    };
+                }
+
+                const originalCreateElement = document.createElement;
+                const originalCreateTextNode = document.createTextNode;
+                const pre = createNode('pre');
+                try {
+                    document.createElement = createNode;
+                    document.createTextNode = (text) => ({ text });
+
+                    appendMacroLine(pre, 'TAG SELECTOR="#buy"', {
+                        score: 100, level: 'good', warnings: []
+                    });
+                    appendMacroLine(pre, 'TAG XPATH="//*[@id=\'ember123\']"', {
+                        score: 60, level: 'fair', warnings: ['id "ember123" looks generated']
+                    });
+                    appendMacroLine(pre, 'URL GOTO=https://example.com/');
+                } finally {
+                    document.createElement = originalCreateElement;
+                    document.createTextNode = originalCreateTextNode;
+                }
+
+                assertEqual(pre.childNodes.length, 3, 'one element per line');
+                const [good, fair, plain] = pre.childNodes;
+                assertEqual(good.childNodes[0].textContent, '100', 'good score has no warning sign');
+                assertEqual(fair.childNodes[0].textContent, '\u26a0 60', 'fair score has a warning sign');
+                assertEqual(fair.childNodes[0].style.color, '#9a6700', 'fair color');
+                assert(fair.childNodes[0].title.indexOf('looks generated') !== -1, 'warnings in tooltip');
+                assertEqual(fair.childNodes[1].text, 'TAG XPATH="//*[@id=\'ember123\']"', 'line text');
+                assertEqual(plain.childNodes.length, 1, 'lines without a score have no badge');
+            }
+        },
         {
             name: 'record starts without macro selection',
             async run() {
@@ -213,6 +213,206 @@
                 }
             }
         },
+        {
+            name: 'Recorder.captureRegion: injects the area picker only when it is used',
+            async run() {
+                assert(typeof Recorder === 'function', 'Recorder must be available');
+
+                const calls = [];
+                const originalChrome = globalThis.chrome;
+                const originalPostMessage = communicator.postMessage;
+                try {
+                    globalThis.chrome = {
+                        tabs: {
+                            query(_query, cb) { cb([{ id: 5 }]); }
+                        },
+                        scripting: {
+                            executeScript(details, cb) {
+                                calls.push({ inject: details });
+                                cb([]);
+                            }
+                        },
+                        runtime: { lastError: null }
+                    };
+                    communicator.postMessage = (topic, data, tabId, callback) => {
+                        calls.push({ topic, tabId });
+                        callback({ area: { x: 10, y: 20, width: 300, height: 200 } });
+                    };
+
+                    const recorded = [];
+                    await Recorder.prototype.captureRegion.call({
+                        win_id: 1,
+                        recordAction(cmd) { recorded.push(cmd); return true; }
+                    });
+
+                    assertEqual(calls.length, 2, 'injected, then asked');
+                    assertEqual(JSON.stringify(calls[0].inject.files), '["content_scripts/crop_tool.js"]', 'area picker injected');
+                    assertEqual(JSON.stringify(calls[0].inject.target), '{"tabId":5,"frameIds":[0]}', 'top frame only');
+                    assertEqual(calls[1].topic, 'pick-region', 'area asked after injection');
+                    assertEqual(recorded[0], 'SCREENSHOT TYPE=REGION X=10 Y=20 W=300 H=200 FOLDER=* FILE=*', 'region recorded');
+                } finally {
+                    globalThis.chrome = originalChrome;
+                    communicator.postMessage = originalPostMessage;
+                }
+            }
+        },
+        {
+            name: 'Recorder.onRecordAction: forwards the locator quality of a TAG',
+            async run() {
+                assert(typeof Recorder === 'function', 'Recorder must be available');
+
+                const recorded = [];
+                const recorder = {
+                    recording: true,
+                    recordAction(cmd, quality) { recorded.push({ cmd, quality }); return true; }
+                };
+                const quality = { score: 60, level: 'fair', warnings: ['id "ember12" looks generated'] };
+                let response = null;
+
+                Recorder.prototype.onRecordAction.call(recorder,
+                    { action: 'TAG SELECTOR="#ember12"', quality }, 1, (r) => { response = r; });
+                Recorder.prototype.onRecordAction.call(recorder,
+                    { action: 'URL GOTO=https://example.test/' }, 1);
+
+                assertEqual(recorded.length, 2, 'both actions recorded');
+                assertEqual(recorded[0].quality, quality, 'quality passed along');
+                assertEqual(recorded[1].quality, undefined, 'no quality for other commands');
+                assertEqual(response && response.ok, true, 'action accepted');
+            }
+        },
+        {
+            name: 'content_scripts/recorder.js keeps the locator quality of a TAG after contenteditable typing',
+            async run() {
+                // content scripts are not part of the shared sandbox, load
+                // the recorder into a page of its own
+                if (typeof require === 'undefined') {
+                    return;
+                }
+                const fs = require('fs');
+                const path = require('path');
+                const vm = require('vm');
+                const file = path.join(__dirname, '..', 'content_scripts', 'recorder.js');
+
+                const posted = [];
+                const page = {
+                    console: { log() { }, warn() { }, error() { }, info() { }, debug() { } },
+                    location: { href: 'https://example.invalid/' },
+                    document: { getElementById() { return null; } },
+                    imns: { escapeLine(s) { return s; } },
+                    logWarning() { },
+                    logInfo() { },
+                    logError() { },
+                    clearTimeout,
+                    connector: {
+                        registerHandler() { },
+                        postMessage(topic, data, callback) {
+                            if (topic === 'record-action') {
+                                posted.push(data);
+                            }
+                            if (typeof callback === 'function') {
+                                callback(topic === 'query-state' ? { state: 'idle' } : {});
+                            }
+                        }
+                    }
+                };
+                page.window = page.self = page.globalScope = page;
+                vm.runInNewContext(fs.readFileSync(file, 'utf8'), page, { filename: file });
+
+                const recorder = page.__imacros_mv3_cs_recorder_instance__;
+                const tag = 'TAG SELECTOR="#send"';
+                const quality = { score: 100, level: 'good', warnings: [] };
+                recorder.recording = true;
+                recorder.editableRun = { selector: 'div.editor', chars: 'Hello' };
+                recorder.lastQuality = { record: tag, quality: quality };
+                recorder.saveAction(tag);
+
+                assertEqual(posted.length, 2, 'typed text and TAG recorded');
+                assert(/^EVENTS TYPE=KEYPRESS/.test(posted[0].action), 'typed text recorded before the TAG');
+                assertEqual(posted[0].quality, null, 'no locator quality for the typed text');
+                assertEqual(posted[1].action, tag, 'TAG recorded');
+                assertEqual(posted[1].quality, quality, 'TAG keeps its locator quality');
+            }
+        },
+        {
+            name: 'Recorder.packDragEvent: DRAG replaces the mousedown and moves before it',
+            async run() {
+                assert(typeof Recorder === 'function', 'Recorder must be available');
+
+                const recorder = {
+                    actions: [
+                        'EVENT TYPE=CLICK SELECTOR="#board"',
+                        'EVENT TYPE=MOUSEDOWN SELECTOR="#card-1" BUTTON=0',
+                        'EVENTS TYPE=MOUSEMOVE SELECTOR="#card-1" POINTS="(10,10),(12,14)"',
+                        'EVENT TYPE=DRAG SELECTOR="#card-1"'
+                    ],
+                    popLastAction() { return this.actions.pop(); },
+                    popLastActions(n) { return this.actions.splice(-n, n).reverse(); },
+                    recordAction(cmd) { this.actions.push(cmd); return true; }
+                };
+
+                Recorder.prototype.packDragEvent.call(recorder, { selector: '#card-1' });
+                assertEqual(recorder.actions.join('\n'),
+                    'EVENT TYPE=CLICK SELECTOR="#board"\nEVENT TYPE=DRAG SELECTOR="#card-1"',
+                    'mouse events replaced');
+
+                recorder.actions.push('EVENT TYPE=DRAG SELECTOR="#card-2"');
+                Recorder.prototype.packDragEvent.call(recorder, { selector: '#card-2' });
+                assertEqual(recorder.actions.length, 3, 'other actions are kept');
+            }
+        },
+        {
+            name: 'EVENT TYPE=DRAG/DROP play through dispatch-drag, key events focus the element',
+            async run() {
+                assert(typeof MacroPlayer === 'function', 'MacroPlayer must be available');
+
+                const player = new MacroPlayer();
+                player.tab_id = 7;
+                player.currentFrame = { number: 0 };
+                player.attachDebugger = () => Promise.resolve();
+                const sent = [];
+                const originalSendMessage = communicator.sendMessage;
+                const play = (params) => new Promise((resolve, reject) => {
+                    const args = new RegExp(player.RegExpTable.event, 'i').exec(params);
+                    player.next = resolve;
+                    player.handleError = reject;
+                    player.retry = (fn) => { try { fn(); } catch (e) { reject(e); } };
+                    player.clearRetryInterval = () => {};
+                    player._ActionTable.event(args);
+                });
+                try {
+                    communicator.sendMessage = (topic, data) => {
+                        sent.push({ topic, data });
+                        if (topic === 'dispatch-drag' && data.type === 'drop') {
+                            return Promise.resolve({
+                                error: { message: 'element specified by #done does not accept the drop', errnum: 711 }
+                            });
+                        }
+                        return Promise.resolve({ targetRect: { left: 0, top: 0, width: 10, height: 10 } });
+                    };
+
+                    await play('TYPE=DRAG SELECTOR="#card-1"');
+                    assertEqual(sent[1].topic, 'dispatch-drag', 'drag dispatched');
+                    assertEqual(sent[1].data.type, 'drag', 'drag type');
+                    assertEqual(sent[1].data.selector, '#card-1', 'dragged element');
+                    assertEqual(sent[0].data.focus, undefined, 'mouse events do not focus');
+
+                    let error = null;
+                    await play('TYPE=DROP SELECTOR="#done"').catch(e => { error = e; });
+                    assert(error && /does not accept the drop/.test(error.message), 'drop refused by the page');
+                    assertEqual(error.errnum, 711, 'error code');
+
+                    sent.length = 0;
+                    communicator.sendMessage = (topic, data) => {
+                        sent.push({ topic, data });
+                        return Promise.resolve({ error: { message: 'stop here', errnum: 1 } });
+                    };
+                    await play('TYPE=KEYPRESS SELECTOR="div.editor" KEY=8').catch(() => {});
+                    assertEqual(sent[0].data.focus, true, 'keys go to the focused element');
+                } finally {
+                    communicator.sendMessage = originalSendMessage;
+                }
+            }
+        },
         {
             name: 'Recorder.onDownloadCreated: ignores download when tab belongs to different window',
             async run() {
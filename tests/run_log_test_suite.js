@@ -0,0 +1,298 @@
+(function () {
+    'use strict';
+
+    /* global MacroPlayer, __is_windows */
+
+    const results = { passed: 0, failed: 0, skipped: 0 };
+    const errors = [];
+
+    function log(message) {
+        if (typeof console !== 'undefined') {
+            console.log(message);
+        }
+    }
+
+    function resetResults() {
+        results.passed = 0;
+        results.failed = 0;
+        results.skipped = 0;
+        errors.length = 0;
+    }
+
+    function assertEqual(actual, expected, context) {
+        if (actual !== expected) {
+            throw new Error(`Expected "${expected}" but got "${actual}" (${context})`);
+        }
+    }
+
+    function assertTrue(value, context) {
+        if (!value) {
+            throw new Error(`Assertion failed (${context})`);
+        }
+    }
+
+    // Fake log folder, files are appended to
+    function withFakeFiles(files, fn) {
+        const originalAfio = globalThis.afio;
+        const makeNode = (path) => ({
+            path,
+            clone() { return makeNode(this.path); },
+            append(name) { this.path += '/' + name; }
+        });
+        globalThis.afio = {
+            openNode: makeNode,
+            getDefaultDir(name) {
+                return Promise.resolve(makeNode(name == 'logpath' ? '/logs' : '/' + name));
+            },
+            appendTextFile(node, data) {
+                files[node.path] = (files[node.path] || '') + data;
+                return Promise.resolve();
+            }
+        };
+
+        return Promise.resolve()
+            .then(() => fn())
+            .finally(() => { globalThis.afio = originalAfio; });
+    }
+
+    function createPlayer() {
+        if (typeof MacroPlayer === 'undefined') {
+            throw new Error('MacroPlayer not loaded');
+        }
+        globalThis.badge = globalThis.badge || { set() { }, clearText() { } };
+
+        const player = new MacroPlayer();
+        player.win_id = 'run-log-window';
+        player.tab_id = 7;
+        player.currentFrame = { number: 0 };
+        player.afioIsInstalled = true;
+        player.currentMacro = 'Checkout.iim';
+        player.delay = 0;
+        player.times = 1;
+        player.currentLoop = 1;
+        player.linenumber_delta = 0;
+        player.errorCode = 1;
+        player.errorMessage = 'OK';
+        player.ignoreErrors = false;
+        player.encryptionType = 'no';
+        player.runLogStarted = new Date('2026-10-19T10:00:00');
+        player.limits = player.convertLimits({
+            maxVariables: 'unlimited',
+            maxCSVRows: 'unlimited',
+            maxCSVCols: 'unlimited',
+            maxMacroLen: 'unlimited',
+            maxIterations: 'unlimited'
+        });
+        player.profiler = { init() { }, start() { }, end() { }, enabled: false };
+        player.afterEachRun = function () { };
+        // asyncRun() of the test window does not deliver its messages
+        player.next = function (caller) {
+            this.endRunLogEntry(1, 'OK');
+            setTimeout(() => this.playNextAction(caller), 0);
+        };
+        return player;
+    }
+
+    // Replay a macro until it stops, resolves to the player
+    function playMacro(player, source) {
+        return new Promise((resolve) => {
+            player.stop = function () {
+                this.playing = false;
+                resolve(player);
+            };
+            player.source = source;
+            player.actions = [];
+            player.loopStack = [];
+            player.parseMacro();
+            player.action_stack = player.actions.slice().reverse();
+            player.playing = true;
+            player.playNextAction('start');
+        });
+    }
+
+    const parseLines = text => text.trim().split('\n').map(line => JSON.parse(line));
+
+    const tests = [
+        {
+            name: 'Run log records every action with expanded parameters and outcome',
+            async run() {
+                const files = {};
+                await withFakeFiles(files, async () => {
+                    const player = createPlayer();
+                    await playMacro(player, [
+                        'SET !FILE_LOG checkout',
+                        "' comment",
+                        'SET total 4.50',
+                        'SET !ERRORIGNORE YES',
+                        'ASSERT VAR {{total}}=5.00'
+                    ].join('\n'));
+                    assertEqual(player.logFile, 'checkout', '{{!FILE_LOG}}');
+                    assertEqual(player.writeRunLog, true, 'Enabled by !FILE_LOG');
+                    await player.saveRunLog();
+
+                    const lines = parseLines(files['/logs/checkout.jsonl']);
+                    assertEqual(lines.length, 6, 'Start, four actions and end');
+                    assertEqual(lines[0].type, 'start', 'Start line');
+                    assertEqual(lines[0].macro, 'Checkout.iim', 'Macro name');
+                    const assert = lines[4];
+                    assertEqual(assert.type, 'action', 'Action line');
+                    assertEqual(assert.line, 5, 'Line number');
+                    assertEqual(assert.command, 'ASSERT', 'Command');
+                    assertEqual(assert.params, 'VAR 4.50=5.00', 'Expanded parameters');
+                    assertEqual(assert.errorCode, -791, 'Error code');
+                    assertTrue(/^AssertionFailed: .* failed/.test(assert.error), 'Error message');
+                    assertEqual(assert.tab, 7, 'Tab');
+                    assertEqual(assert.frame, 0, 'Frame');
+                    assertEqual(typeof assert.duration, 'number', 'Duration');
+                    assertEqual(lines[2].errorCode, 1, 'Passed action');
+                    assertEqual(lines[2].error, '', 'No error');
+                    assertEqual(lines[5].type, 'end', 'End line');
+
+                    await player.saveRunLog();
+                    assertEqual(parseLines(files['/logs/checkout.jsonl']).length, 12, 'Next run appended');
+                });
+            }
+        },
+        {
+            name: 'Run log does not evaluate EVAL() of the actions it logs',
+            async run() {
+                const files = {};
+                await withFakeFiles(files, async () => {
+                    const player = createPlayer();
+                    // the sandbox answers at once, each call is one request
+                    const expressions = [];
+                    player.do_eval = function (s) {
+                        expressions.push(s);
+                        return 'true';
+                    };
+                    await playMacro(player, [
+                        'SET !FILE_LOG checkout',
+                        'IF EVAL("{{!LOOP}} % 2 == 1")',
+                        'SET taken yes',
+                        'ENDIF'
+                    ].join('\n'));
+                    assertEqual(expressions.length, 1, 'Condition evaluated once, by IF');
+                    assertEqual(player.getUserVar('taken'), 'yes', 'Branch taken once');
+                    const condition = player.runLog[1];
+                    assertEqual(condition.command, 'IF', 'IF logged');
+                    assertEqual(condition.params, 'EVAL("1 % 2 == 1")', 'Variables expanded, EVAL kept');
+                    assertEqual(player.runLog.length, 4, 'Every action logged once');
+                });
+            }
+        },
+        {
+            name: 'Nothing is recorded while the run log is off',
+            async run() {
+                const player = createPlayer();
+                let expanded = 0;
+                const expandVariables = player.expandVariables;
+                player.expandVariables = function (str, id, runlog) {
+                    if (id == 'runlog') expanded++;
+                    return expandVariables.call(this, str, id, runlog);
+                };
+                await playMacro(player, [
+                    'SET total 4.50',
+                    'SET !ERRORIGNORE YES',
+                    'ASSERT VAR {{total}}=5.00'
+                ].join('\n'));
+                assertEqual(player.runLog, null, 'No run log set up');
+                assertEqual(player.runLogEntry, null, 'No entry built');
+                assertEqual(expanded, 0, 'Parameters not expanded for the log');
+            }
+        },
+        {
+            name: 'Run log masks passwords and encrypted content',
+            async run() {
+                const player = createPlayer();
+                const tag = 'POS=1 TYPE=INPUT:PASSWORD ATTR=NAME:pwd CONTENT="s3cret value"';
+                assertEqual(player.maskRunLogParams('tag', tag),
+                    'POS=1 TYPE=INPUT:PASSWORD ATTR=NAME:pwd CONTENT=********', 'Password field');
+                assertEqual(player.maskRunLogParams('tag', 'POS=1 TYPE=INPUT ATTR=ID:q CONTENT=shoes'),
+                    'POS=1 TYPE=INPUT ATTR=ID:q CONTENT=shoes', 'Other fields kept');
+                assertEqual(player.maskRunLogParams('tag', 'XPATH=//input[1] CONTENT=abc', true),
+                    'XPATH=//input[1] CONTENT=********', 'Password field found on the page');
+                assertEqual(player.maskRunLogParams('onlogin', 'USER=joe PASSWORD=pa55'),
+                    'USER=joe PASSWORD=********', 'ONLOGIN');
+                const events = 'TYPE=KEYPRESS SELECTOR=#pwd CHARS=Zm9vYmFy';
+                assertEqual(player.maskRunLogParams('events', events), events, 'Not encrypted');
+                player.encryptionType = 'stored';
+                assertEqual(player.maskRunLogParams('events', events),
+                    'TYPE=KEYPRESS SELECTOR=#pwd CHARS=********', 'Encrypted characters');
+            }
+        },
+        {
+            name: 'Run log keeps one entry for an action waiting for its element',
+            async run() {
+                const player = createPlayer();
+                player.writeRunLog = true;
+                player.runLog = [];
+                const action = { name: 'wait', args: ['SECONDS=1'], line: 3 };
+                player.startRunLogEntry(action);
+                player.startRunLogEntry(action);
+                player.currentFrame = { number: 2 };
+                player.endRunLogEntry(-721, 'RuntimeError: element was not found');
+                player.endRunLogEntry(1, 'OK');
+                assertEqual(player.runLog.length, 1, 'One entry');
+                assertEqual(player.runLog[0].frame, 0, 'Frame when the action started');
+                assertEqual(player.runLog[0].params, 'SECONDS=1', 'Parameters');
+            }
+        },
+        {
+            name: 'Run log is named after the macro unless !FILE_LOG is a full path',
+            async run() {
+                const files = {};
+                await withFakeFiles(files, async () => {
+                    const player = createPlayer();
+                    player.errorCode = -933;
+                    player.errorMessage = 'RuntimeError: page load timeout, line: 4';
+                    await player.saveRunLog();
+                    const end = parseLines(files['/logs/RunLog_Checkout_20261019_100000.jsonl']).pop();
+                    assertEqual(end.errorCode, -933, 'Error of the run');
+                    assertEqual(end.error, 'RuntimeError: page load timeout, line: 4', 'Message of the run');
+
+                    const fullPath = __is_windows() ? 'C:\\Logs\\nightly.jsonl' : '/var/log/imacros/nightly.jsonl';
+                    player.logFile = fullPath;
+                    await player.saveRunLog();
+                    assertTrue(fullPath in files, 'Full path');
+                });
+            }
+        }
+    ];
+
+    const RunLogTestSuite = {
+        async run() {
+            resetResults();
+            log('='.repeat(80));
+            log('Run Log Test Suite');
+            log('='.repeat(80));
+
+            for (const test of tests) {
+                if (test.skip) {
+                    log(`[SKIP] ${test.name}`);
+                    results.skipped++;
+                    continue;
+                }
+                try {
+                    await test.run();
+                    log(`[PASS] ${test.name}`);
+                    results.passed++;
+                } catch (err) {
+                    log(`[FAIL] ${test.name}: ${err.message}`);
+                    if (err && err.stack) {
+                        log(err.stack);
+                    }
+                    results.failed++;
+                    errors.push({ name: test.name, error: err.message, stack: err.stack });
+                }
+            }
+
+            return { results, errors };
+        }
+    };
+
+    if (typeof window !== 'undefined') {
+        window.RunLogTestSuite = RunLogTestSuite;
+    } else if (typeof global !== 'undefined') {
+        global.RunLogTestSuite = RunLogTestSuite;
+    }
+})();
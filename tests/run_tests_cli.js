@@ -301,15 +301,15 @@ function runContentScriptIdempotenceGuards(rootDir) {
         if (!sandbox.__imacros_mv3_cs_recorder_instance__) {
             throw new Error('Expected __imacros_mv3_cs_recorder_instance__ to be set after first load');
         }
-        if (counters.registerHandler !== 3) {
-            throw new Error(`Expected 3 registerHandler calls on first load, got ${counters.registerHandler}`);
+        if (counters.registerHandler !== 5) {
+            throw new Error(`Expected 5 registerHandler calls on first load, got ${counters.registerHandler}`);
         }
         if (counters.postMessage < 1) {
             throw new Error('Expected query-state postMessage call on first load');
         }
 
         vm.runInContext(code, context, { filename: relPath });
-        if (counters.registerHandler !== 3) {
+        if (counters.registerHandler !== 5) {
             throw new Error(`Expected no additional registerHandler calls on reinjection, got ${counters.registerHandler}`);
         }
     });
@@ -1112,6 +1112,8 @@ sharedSandbox.BigUint64Array = BigUint64Array;
 sharedSandbox.ArrayBuffer = ArrayBuffer;
 sharedSandbox.TextEncoder = TextEncoder;
 sharedSandbox.TextDecoder = TextDecoder;
+sharedSandbox.atob = atob;
+sharedSandbox.btoa = btoa;
 sharedSandbox.BigInt = BigInt;
 sharedSandbox.URL = URL;
 sharedSandbox.AbortController = AbortController;
@@ -1457,6 +1459,10 @@ function loadSourceFiles() {
         'FileSyncBridge.js',
         'AsyncFileIO.js',
         'variable-manager.js',
+        'CsvParser.js',
+        'XlsxWriter.js',
+        'ImageDiff.js',
+        'SuiteReport.js',
         'mplayer.js',
         'mrecorder.js',
         'panel.js',
@@ -1547,6 +1553,15 @@ function loadTestSuites() {
         'recorder_event_forwarding_test_suite.js',
         'panel_play_response_test_suite.js',
         'macro_run_test_suite.js',
+        'macro_control_flow_test_suite.js',
+        'dialog_handling_test_suite.js',
+        'datasource_test_suite.js',
+        'extract_output_test_suite.js',
+        'screenshot_test_suite.js',
+        'assert_test_suite.js',
+        'suite_runner_test_suite.js',
+        'run_log_test_suite.js',
+        'locators_test_suite.js',
         'regression_test_suite.js'
     ];
 
@@ -1583,10 +1598,19 @@ function loadTestSuites() {
         'SecurityUtilsTestSuite',
         'OffscreenSecurityTestSuite',
         'MacroRunTestSuite',
+        'MacroControlFlowTestSuite',
         'DedupGuardTestSuite',
         'DownloadCorrelationTestSuite',
         'RecorderEventForwardingTestSuite',
         'PanelPlayResponseTestSuite',
+        'DialogHandlingTestSuite',
+        'DatasourceTestSuite',
+        'ExtractOutputTestSuite',
+        'ScreenshotTestSuite',
+        'AssertTestSuite',
+        'SuiteRunnerTestSuite',
+        'RunLogTestSuite',
+        'LocatorsTestSuite',
         'RegressionTestSuite'
     ];
     suiteGlobals.forEach(name => {
@@ -1640,10 +1664,19 @@ async function runTests() {
         SecurityUtilsTestSuite,
         OffscreenSecurityTestSuite,
         MacroRunTestSuite,
+        MacroControlFlowTestSuite,
         DedupGuardTestSuite,
         DownloadCorrelationTestSuite,
         RecorderEventForwardingTestSuite,
         PanelPlayResponseTestSuite,
+        DialogHandlingTestSuite,
+        DatasourceTestSuite,
+        ExtractOutputTestSuite,
+        ScreenshotTestSuite,
+        AssertTestSuite,
+        SuiteRunnerTestSuite,
+        RunLogTestSuite,
+        LocatorsTestSuite,
         RegressionTestSuite
     } = sharedSandbox;
 
@@ -1780,6 +1813,195 @@ async function runTests() {
             } else {
                 logWarning('MacroRunTestSuite not available');
             }
+
+            logHeader('Macro Control Flow Tests');
+
+            if (typeof MacroControlFlowTestSuite !== 'undefined') {
+                try {
+                    const flowResult = normalizeSuiteResult(await MacroControlFlowTestSuite.run(), 'MacroControlFlowTestSuite');
+                    results.passed += flowResult.results.passed || 0;
+                    results.failed += flowResult.results.failed || 0;
+                    results.skipped += flowResult.results.skipped || 0;
+                    results.errors.push(...flowResult.errors);
+                } catch (err) {
+                    logError(`Fatal error in Macro control flow tests: ${err.message}`);
+                    results.errors.push({
+                        context: 'MacroControlFlowTestSuite',
+                        message: err.message,
+                        stack: err.stack
+                    });
+                }
+            } else {
+                logWarning('MacroControlFlowTestSuite not available');
+            }
+
+            logHeader('ONDIALOG Tests');
+
+            if (typeof DialogHandlingTestSuite !== 'undefined') {
+                try {
+                    const dialogHandlingResult = normalizeSuiteResult(await DialogHandlingTestSuite.run(), 'DialogHandlingTestSuite');
+                    results.passed += dialogHandlingResult.results.passed || 0;
+                    results.failed += dialogHandlingResult.results.failed || 0;
+                    results.skipped += dialogHandlingResult.results.skipped || 0;
+                    results.errors.push(...dialogHandlingResult.errors);
+                } catch (err) {
+                    logError(`Fatal error in ONDIALOG tests: ${err.message}`);
+                    results.errors.push({
+                        context: 'DialogHandlingTestSuite',
+                        message: err.message,
+                        stack: err.stack
+                    });
+                }
+            } else {
+                logWarning('DialogHandlingTestSuite not available');
+            }
+
+            logHeader('Datasource Tests');
+
+            if (typeof DatasourceTestSuite !== 'undefined') {
+                try {
+                    const datasourceResult = normalizeSuiteResult(await DatasourceTestSuite.run(), 'DatasourceTestSuite');
+                    results.passed += datasourceResult.results.passed || 0;
+                    results.failed += datasourceResult.results.failed || 0;
+                    results.skipped += datasourceResult.results.skipped || 0;
+                    results.errors.push(...datasourceResult.errors);
+                } catch (err) {
+                    logError(`Fatal error in Datasource tests: ${err.message}`);
+                    results.errors.push({
+                        context: 'DatasourceTestSuite',
+                        message: err.message,
+                        stack: err.stack
+                    });
+                }
+            } else {
+                logWarning('DatasourceTestSuite not available');
+            }
+
+            logHeader('Extract Output Tests');
+
+            if (typeof ExtractOutputTestSuite !== 'undefined') {
+                try {
+                    const extractOutputResult = normalizeSuiteResult(await ExtractOutputTestSuite.run(), 'ExtractOutputTestSuite');
+                    results.passed += extractOutputResult.results.passed || 0;
+                    results.failed += extractOutputResult.results.failed || 0;
+                    results.skipped += extractOutputResult.results.skipped || 0;
+                    results.errors.push(...extractOutputResult.errors);
+                } catch (err) {
+                    logError(`Fatal error in extract output tests: ${err.message}`);
+                    results.errors.push({
+                        context: 'ExtractOutputTestSuite',
+                        message: err.message,
+                        stack: err.stack
+                    });
+                }
+            } else {
+                logWarning('ExtractOutputTestSuite not available');
+            }
+
+            logHeader('Screenshot Tests');
+
+            if (typeof ScreenshotTestSuite !== 'undefined') {
+                try {
+                    const screenshotResult = normalizeSuiteResult(await ScreenshotTestSuite.run(), 'ScreenshotTestSuite');
+                    results.passed += screenshotResult.results.passed || 0;
+                    results.failed += screenshotResult.results.failed || 0;
+                    results.skipped += screenshotResult.results.skipped || 0;
+                    results.errors.push(...screenshotResult.errors);
+                } catch (err) {
+                    logError(`Fatal error in screenshot tests: ${err.message}`);
+                    results.errors.push({
+                        context: 'ScreenshotTestSuite',
+                        message: err.message,
+                        stack: err.stack
+                    });
+                }
+            } else {
+                logWarning('ScreenshotTestSuite not available');
+            }
+
+            logHeader('Assert Tests');
+
+            if (typeof AssertTestSuite !== 'undefined') {
+                try {
+                    const assertResult = normalizeSuiteResult(await AssertTestSuite.run(), 'AssertTestSuite');
+                    results.passed += assertResult.results.passed || 0;
+                    results.failed += assertResult.results.failed || 0;
+                    results.skipped += assertResult.results.skipped || 0;
+                    results.errors.push(...assertResult.errors);
+                } catch (err) {
+                    logError(`Fatal error in assert tests: ${err.message}`);
+                    results.errors.push({
+                        context: 'AssertTestSuite',
+                        message: err.message,
+                        stack: err.stack
+                    });
+                }
+            } else {
+                logWarning('AssertTestSuite not available');
+            }
+
+            logHeader('Suite Runner Tests');
+
+            if (typeof SuiteRunnerTestSuite !== 'undefined') {
+                try {
+                    const suiteRunnerResult = normalizeSuiteResult(await SuiteRunnerTestSuite.run(), 'SuiteRunnerTestSuite');
+                    results.passed += suiteRunnerResult.results.passed || 0;
+                    results.failed += suiteRunnerResult.results.failed || 0;
+                    results.skipped += suiteRunnerResult.results.skipped || 0;
+                    results.errors.push(...suiteRunnerResult.errors);
+                } catch (err) {
+                    logError(`Fatal error in suite runner tests: ${err.message}`);
+                    results.errors.push({
+                        context: 'SuiteRunnerTestSuite',
+                        message: err.message,
+                        stack: err.stack
+                    });
+                }
+            } else {
+                logWarning('SuiteRunnerTestSuite not available');
+            }
+
+            logHeader('Run Log Tests');
+
+            if (typeof RunLogTestSuite !== 'undefined') {
+                try {
+                    const runLogResult = normalizeSuiteResult(await RunLogTestSuite.run(), 'RunLogTestSuite');
+                    results.passed += runLogResult.results.passed || 0;
+                    results.failed += runLogResult.results.failed || 0;
+                    results.skipped += runLogResult.results.skipped || 0;
+                    results.errors.push(...runLogResult.errors);
+                } catch (err) {
+                    logError(`Fatal error in run log tests: ${err.message}`);
+                    results.errors.push({
+                        context: 'RunLogTestSuite',
+                        message: err.message,
+                        stack: err.stack
+                    });
+                }
+            } else {
+                logWarning('RunLogTestSuite not available');
+            }
+
+            logHeader('Locators Tests');
+
+            if (typeof LocatorsTestSuite !== 'undefined') {
+                try {
+                    const locatorsResult = normalizeSuiteResult(await LocatorsTestSuite.run(), 'LocatorsTestSuite');
+                    results.passed += locatorsResult.results.passed || 0;
+                    results.failed += locatorsResult.results.failed || 0;
+                    results.skipped += locatorsResult.results.skipped || 0;
+                    results.errors.push(...locatorsResult.errors);
+                } catch (err) {
+                    logError(`Fatal error in locators tests: ${err.message}`);
+                    results.errors.push({
+                        context: 'LocatorsTestSuite',
+                        message: err.message,
+                        stack: err.stack
+                    });
+                }
+            } else {
+                logWarning('LocatorsTestSuite not available');
+            }
         }
 
         // Run Panel play response tests (keeps UI from getting stuck on error-only responses)
@@ -0,0 +1,398 @@
+(function () {
+    'use strict';
+
+    /* global MacroPlayer, ImageDiff, communicator */
+
+    const results = { passed: 0, failed: 0, skipped: 0 };
+    const errors = [];
+
+    function log(message) {
+        if (typeof console !== 'undefined') {
+            console.log(message);
+        }
+    }
+
+    function resetResults() {
+        results.passed = 0;
+        results.failed = 0;
+        results.skipped = 0;
+        errors.length = 0;
+    }
+
+    function assertEqual(actual, expected, context) {
+        if (actual !== expected) {
+            throw new Error(`Expected "${expected}" but got "${actual}" (${context})`);
+        }
+    }
+
+    function assertTrue(value, context) {
+        if (!value) {
+            throw new Error(`Assertion failed (${context})`);
+        }
+    }
+
+    async function assertRejects(promise, regex, context) {
+        try {
+            await promise;
+        } catch (err) {
+            if (!regex.test(err.message)) {
+                throw new Error(`Unexpected error "${err.message}" (${context})`);
+            }
+            return err;
+        }
+        throw new Error(`Expected an error matching ${regex} (${context})`);
+    }
+
+    // Fake Downloads folder, images are stored as the imageData passed to
+    // afio.writeImageToFile()
+    function withFakeFiles(files, fn) {
+        const originalAfio = globalThis.afio;
+        const dirs = new Set(['/downloads']);
+        const makeNode = (path) => ({
+            path,
+            leafName: path.split('/').pop(),
+            clone() { return makeNode(this.path); },
+            append(name) { this.path += '/' + name; this.leafName = name; },
+            exists() {
+                return Promise.resolve(dirs.has(this.path) ||
+                    Object.prototype.hasOwnProperty.call(files, this.path));
+            }
+        });
+        globalThis.afio = {
+            openNode: makeNode,
+            makeDirectory(node) { dirs.add(node.path); return Promise.resolve(); },
+            writeImageToFile(node, data) { files[node.path] = data; return Promise.resolve(); },
+            readBinaryFile(node) {
+                const data = files[node.path];
+                return Promise.resolve('data:' + data.mimeType + ';' + data.encoding + ',' + data.image);
+            }
+        };
+
+        return Promise.resolve()
+            .then(() => fn(makeNode('/downloads')))
+            .finally(() => { globalThis.afio = originalAfio; });
+    }
+
+    // Answer content script messages by topic, the messages are kept in sent
+    async function withFakeContent(handlers, sent, fn) {
+        const originalPostMessage = communicator.postMessage;
+        communicator.postMessage = function (topic, data, tabId, callback, frame) {
+            sent.push({ topic, data, frame });
+            callback(handlers[topic] ? handlers[topic](data) : {});
+        };
+        try {
+            await fn();
+        } finally {
+            communicator.postMessage = originalPostMessage;
+        }
+    }
+
+    function createPlayer(folder) {
+        if (typeof MacroPlayer === 'undefined') {
+            throw new Error('MacroPlayer not loaded');
+        }
+
+        const player = new MacroPlayer();
+        player.playing = true;
+        player.afioIsInstalled = true;
+        player.defDownloadFolder = folder;
+        player.currentURL = 'https://example.com/shop';
+        player.currentFrame = { number: 0 };
+        player.limits = player.convertLimits({
+            maxVariables: 'unlimited',
+            maxCSVRows: 'unlimited',
+            maxCSVCols: 'unlimited',
+            maxMacroLen: 'unlimited',
+            maxIterations: 'unlimited'
+        });
+        // the page capture and image decoding need a browser, captures
+        // are the data URLs in player.pages, PAGE by default
+        player.captured = [];
+        player.pages = [];
+        player.captureWebPage = function (callback, type, region) {
+            this.captured.push(region);
+            callback(this.pages.shift() || 'data:image/png;base64,PAGE');
+        };
+        // images are 10x10, the data URL of a page tells the number of
+        // pixels changed from white to black
+        player.loadImagePixels = function (url) {
+            const size = /,SIZE(\d+)$/.exec(url) ? 20 : 10;
+            const data = new Uint8ClampedArray(size * size * 4).fill(255);
+            const changed = /,DIFF(\d+)$/.exec(url);
+            for (let i = 0; changed && i < +changed[1]; i++) {
+                data.fill(0, i * 4, i * 4 + 3);
+            }
+            return Promise.resolve({ width: size, height: size, data });
+        };
+        player.makeImageDataUrl = (width, height, pixels) =>
+            'data:image/png;base64,DIFF' + pixels.filter((v, i) => i % 4 === 1 && v === 0).length;
+        return player;
+    }
+
+    // Replay one command and wait until it calls next() or reports an error
+    function play(player, line) {
+        const m = line.match(/^(\w+)\s*(.*)$/);
+        const name = m[1].toLowerCase();
+        const args = player.RegExpTable[name].exec(m[2]);
+        if (!args) {
+            throw new Error('wrong format of ' + line);
+        }
+        return new Promise((resolve, reject) => {
+            player.next = resolve;
+            player.handleError = reject;
+            player._ActionTable[name](args);
+        });
+    }
+
+    // Moves of the scroll-and-stitch cycle for a page of the given size
+    function splitMoves(dmns, region) {
+        const player = new MacroPlayer();
+        const originalDocument = globalThis.document;
+        const canvas = { style: {}, ops: [] };
+        canvas.getContext = () => ({ translate(x, y) { canvas.ops.push([x, y]); } });
+        globalThis.document = { createElementNS: () => canvas };
+        let result = null;
+        try {
+            player.doSplitCycle = (c, ctx, moves) => { result = { canvas: c, moves }; };
+            player.splitPage(dmns, 'png', (data) => { result = { data }; }, region);
+        } finally {
+            globalThis.document = originalDocument;
+        }
+        return result;
+    }
+
+    const tests = [
+        {
+            name: 'SCREENSHOT TYPE=REGION captures the given area',
+            async run() {
+                const files = {};
+                const sent = [];
+                await withFakeFiles(files, async (folder) => {
+                    await withFakeContent({}, sent, async () => {
+                        const player = createPlayer(folder);
+                        player.userVars = new Map();
+                        await play(player, 'SET top 300');
+                        await play(player, 'SCREENSHOT TYPE=REGION X=10 Y={{top}} W=640 H=480 FOLDER=* FILE=area');
+                        assertEqual(JSON.stringify(player.captured[0]),
+                            '{"x":10,"y":300,"width":640,"height":480}', 'Area with variables expanded');
+                        assertEqual(files['/downloads/area.png'].mimeType, 'image/png', 'PNG written');
+
+                        await play(player, 'SCREENSHOT TYPE=PAGE FOLDER=* FILE=page');
+                        assertEqual(player.captured[1], null, 'TYPE=PAGE captures the whole page');
+                    });
+                });
+            }
+        },
+        {
+            name: 'SCREENSHOT TYPE=ELEMENT captures the element rectangle of the current frame',
+            async run() {
+                const files = {};
+                const sent = [];
+                const handlers = {
+                    'query-element-rect': (data) => data.selector === '#chart' ?
+                        { rect: { x: 20, y: 1500, width: 800, height: 2400 } } :
+                        { error: { name: 'RuntimeError', message: 'element specified by ' + data.xpath + ' was not found', errnum: 721 } }
+                };
+                await withFakeFiles(files, async (folder) => {
+                    await withFakeContent(handlers, sent, async () => {
+                        const player = createPlayer(folder);
+                        player.currentFrame = { number: 1 };
+                        await play(player, 'SCREENSHOT TYPE=ELEMENT SELECTOR="#chart" FOLDER=* FILE=chart.png');
+                        const query = sent.find(msg => msg.topic === 'query-element-rect');
+                        assertEqual(query.frame.number, 1, 'Element looked up in the current FRAME');
+                        assertEqual(player.captured[0].height, 2400, 'Element taller than the viewport');
+                        assertTrue(files['/downloads/chart.png'], 'Image written');
+
+                        const err = await assertRejects(
+                            play(player, 'SCREENSHOT TYPE=ELEMENT XPATH="//div[@id=\'none\']" FOLDER=* FILE=x'),
+                            /was not found/, 'Missing element');
+                        assertEqual(err.errnum, 721, 'Error number of the content script');
+                    });
+                });
+            }
+        },
+        {
+            name: 'SCREENSHOT checks the parameters of each type',
+            async run() {
+                await withFakeFiles({}, async (folder) => {
+                    const player = createPlayer(folder);
+                    const attempt = line => Promise.resolve().then(() => play(player, line));
+                    await assertRejects(attempt('SCREENSHOT TYPE=ELEMENT FOLDER=* FILE=x'),
+                        /SELECTOR or XPATH is required/, 'ELEMENT needs a locator');
+                    await assertRejects(attempt('SCREENSHOT TYPE=PAGE SELECTOR=#a FOLDER=* FILE=x'),
+                        /only used with it/, 'Locator only for ELEMENT');
+                    await assertRejects(attempt('SCREENSHOT TYPE=REGION FOLDER=* FILE=x'),
+                        /X, Y, W and H are required/, 'REGION needs the area');
+                    await assertRejects(attempt('SCREENSHOT TYPE=REGION X=1 Y=-2 W=3 H=4 FOLDER=* FILE=x'),
+                        /Y=<number>/, 'Negative coordinate');
+                    await assertRejects(attempt('SCREENSHOT TYPE=BROWSER FOLDER=* FILE=x'),
+                        /not supported/, 'BROWSER still unsupported');
+                    assertTrue(player.captured.length === 0, 'Nothing captured');
+                });
+            }
+        },
+        {
+            name: 'ImageDiff.compare counts the pixels beyond the threshold',
+            async run() {
+                const baseline = new Uint8ClampedArray([10, 10, 10, 255, 200, 200, 200, 255, 0, 0, 0, 255]);
+                const actual = new Uint8ClampedArray([20, 10, 10, 255, 200, 100, 200, 255, 0, 0, 0, 0]);
+                const diff = ImageDiff.compare(baseline, actual);
+                assertEqual(diff.count, 2, 'Color and alpha changes counted, noise ignored');
+                assertEqual(diff.total, 3, 'Pixel count');
+                assertEqual(Array.from(diff.pixels.slice(4, 8)).join(','), '255,0,0,255', 'Changes in red');
+                assertTrue(diff.pixels[0] > 190 && diff.pixels[0] === diff.pixels[1], 'Equal pixels faded gray');
+                assertEqual(ImageDiff.compare(baseline, actual, 5).count, 3, 'Custom threshold');
+            }
+        },
+        {
+            name: 'ASSERT SCREENSHOT records a baseline and compares later runs',
+            async run() {
+                const files = {};
+                await withFakeFiles(files, async (folder) => {
+                    await withFakeContent({}, [], async () => {
+                        const player = createPlayer(folder);
+                        await play(player, 'ASSERT SCREENSHOT NAME=checkout');
+                        assertEqual(files['/downloads/baselines/checkout.png'].image, 'PAGE',
+                            'First run saves the baseline');
+
+                        player.pages.push('data:image/png;base64,DIFF0');
+                        await play(player, 'ASSERT SCREENSHOT NAME=checkout');
+                        player.pages.push('data:image/png;base64,DIFF1');
+                        await play(player, 'ASSERT SCREENSHOT NAME=checkout TOLERANCE=1%');
+                        assertTrue(!files['/downloads/baselines/checkout.diff.png'], 'No diff while passing');
+
+                        player.pages.push('data:image/png;base64,DIFF3');
+                        const err = await assertRejects(play(player, 'ASSERT SCREENSHOT NAME=checkout TOLERANCE=2.5'),
+                            /NAME=checkout TOLERANCE=2\.5 failed: 3\.00% of the pixels differ from the baseline, TOLERANCE=2\.5%/,
+                            'Difference above the tolerance');
+                        assertEqual(err.errnum, 791, 'Assertion error number');
+                        assertEqual(files['/downloads/baselines/checkout.diff.png'].image, 'DIFF3',
+                            'Diff image next to the baseline');
+                        assertEqual(files['/downloads/baselines/checkout.actual.png'].image, 'DIFF3',
+                            'Failed capture kept');
+                        assertEqual(files['/downloads/baselines/checkout.png'].image, 'PAGE', 'Baseline unchanged');
+
+                        player.pages.push('data:image/png;base64,SIZE20');
+                        await assertRejects(play(player, 'ASSERT SCREENSHOT NAME=checkout TOLERANCE=100'),
+                            /the page is 20x20, the baseline 10x10/, 'Size change fails');
+                    });
+                });
+            }
+        },
+        {
+            name: 'ASSERT SCREENSHOT checks its parameters',
+            async run() {
+                await withFakeFiles({}, async (folder) => {
+                    const player = createPlayer(folder);
+                    const attempt = line => Promise.resolve().then(() => play(player, line));
+                    await assertRejects(attempt('ASSERT SCREENSHOT NAME=x TOLERANCE=abc'),
+                        /TOLERANCE=<percent>/, 'Tolerance must be a number');
+                    await assertRejects(attempt('ASSERT SCREENSHOT NAME=x TOLERANCE=150%'),
+                        /TOLERANCE=<percent>/, 'Tolerance up to 100%');
+                    await assertRejects(attempt('ASSERT SCREENSHOT NAME=""'),
+                        /NAME=<name>/, 'Name required');
+                    assertEqual(player.captured.length, 0, 'Nothing captured');
+                });
+            }
+        },
+        {
+            name: 'Reading the pixels of a tainted image fails instead of hanging',
+            async run() {
+                const originalImage = globalThis.Image;
+                const originalDocument = globalThis.document;
+                // an image loaded from a file: URL taints the canvas
+                globalThis.Image = class {
+                    set src(url) {
+                        this.naturalWidth = this.naturalHeight = 10;
+                        setTimeout(() => this.onload(), 0);
+                    }
+                };
+                globalThis.document = {
+                    createElementNS: () => ({
+                        getContext: () => ({
+                            drawImage() { },
+                            getImageData() {
+                                throw new Error('The canvas has been tainted by cross-origin data.');
+                            }
+                        })
+                    })
+                };
+                try {
+                    const err = await assertRejects(
+                        MacroPlayer.prototype.loadImagePixels('file:///C:/Macros/baseline.png'),
+                        /^Can not read image file:\/\/\/C:\/Macros\/baseline\.png: The canvas has been tainted/,
+                        'Tainted canvas');
+                    assertEqual(err.name, 'RuntimeError', 'Error type');
+                } finally {
+                    globalThis.Image = originalImage;
+                    globalThis.document = originalDocument;
+                }
+            }
+        },
+        {
+            name: 'splitPage scrolls over the region only and crops to it',
+            async run() {
+                const dmns = { doc_w: 1200, doc_h: 5000, win_w: 1000, win_h: 800 };
+                const region = splitMoves(dmns, { x: 100, y: 1000, width: 500, height: 1500 });
+                assertEqual(region.canvas.width, 500, 'Canvas as wide as the region');
+                assertEqual(region.canvas.height, 1500, 'Canvas as high as the region');
+                assertEqual(JSON.stringify(region.canvas.ops), '[[-100,-1000]]', 'Drawn in page coordinates');
+                const ys = region.moves.map(move => move.y_offset).sort((a, b) => a - b);
+                assertEqual(ys[0], 1000, 'Scrolled from the region top');
+                assertTrue(ys[ys.length - 1] + dmns.win_h >= 2500, 'Down to the region bottom');
+                assertTrue(region.moves.every(move => move.x_offset === 100), 'Region narrower than the window');
+
+                const bottom = splitMoves(dmns, { x: 0, y: 4900, width: 1500, height: 400 });
+                assertEqual(bottom.canvas.width, 1200, 'Clipped to the page width');
+                assertEqual(bottom.canvas.height, 100, 'Clipped to the page height');
+                assertEqual(bottom.moves[0].y_offset, 4200, 'Last screen of the page');
+
+                assertTrue(region.moves.every(move => move.scale), 'Region pieces scaled to CSS pixels');
+
+                const page = splitMoves(dmns);
+                assertEqual(page.canvas.height, 5000, 'Whole page without region');
+                assertTrue(page.moves.every(move => !move.scale), 'Page pieces drawn at captured size');
+
+                assertEqual(splitMoves(dmns, { x: 0, y: 6000, width: 10, height: 10 }).data, null,
+                    'Region outside of the page');
+            }
+        }
+    ];
+
+    const ScreenshotTestSuite = {
+        async run() {
+            resetResults();
+            log('='.repeat(80));
+            log('Screenshot Test Suite');
+            log('='.repeat(80));
+
+            for (const test of tests) {
+                if (test.skip) {
+                    log(`[SKIP] ${test.name}`);
+                    results.skipped++;
+                    continue;
+                }
+                try {
+                    await test.run();
+                    log(`[PASS] ${test.name}`);
+                    results.passed++;
+                } catch (err) {
+                    log(`[FAIL] ${test.name}: ${err.message}`);
+                    if (err && err.stack) {
+                        log(err.stack);
+                    }
+                    results.failed++;
+                    errors.push({ name: test.name, error: err.message, stack: err.stack });
+                }
+            }
+
+            return { results, errors };
+        }
+    };
+
+    if (typeof window !== 'undefined') {
+        window.ScreenshotTestSuite = ScreenshotTestSuite;
+    } else if (typeof global !== 'undefined') {
+        global.ScreenshotTestSuite = ScreenshotTestSuite;
+    }
+})();
@@ -0,0 +1,285 @@
+(function () {
+    'use strict';
+
+    /* global MacroPlayer, SuiteReport */
+
+    const results = { passed: 0, failed: 0, skipped: 0 };
+    const errors = [];
+
+    function log(message) {
+        if (typeof console !== 'undefined') {
+            console.log(message);
+        }
+    }
+
+    function resetResults() {
+        results.passed = 0;
+        results.failed = 0;
+        results.skipped = 0;
+        errors.length = 0;
+    }
+
+    function assertEqual(actual, expected, context) {
+        if (actual !== expected) {
+            throw new Error(`Expected "${expected}" but got "${actual}" (${context})`);
+        }
+    }
+
+    function assertTrue(value, context) {
+        if (!value) {
+            throw new Error(`Assertion failed (${context})`);
+        }
+    }
+
+    // Fake file system, folders are the paths ending with "/" in files
+    function withFakeFiles(files, fn) {
+        const originalAfio = globalThis.afio;
+        const isDir = path => Object.prototype.hasOwnProperty.call(files, path + '/');
+        const makeNode = (path) => ({
+            path,
+            get leafName() { return this.path.split('/').pop(); },
+            get is_dir() { return isDir(this.path); },
+            clone() { return makeNode(this.path); },
+            append(name) { this.path += '/' + name; },
+            exists() {
+                return Promise.resolve(isDir(this.path) ||
+                    Object.prototype.hasOwnProperty.call(files, this.path));
+            },
+            isDir() { return Promise.resolve(isDir(this.path)); }
+        });
+        globalThis.afio = {
+            openNode: makeNode,
+            getNodesInDir(node) {
+                const prefix = node.path + '/';
+                return Promise.resolve(Object.keys(files)
+                    .map(path => path.replace(/\/$/, ''))
+                    .filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+                    .map(makeNode));
+            },
+            readTextFile(node) {
+                return Object.prototype.hasOwnProperty.call(files, node.path) ?
+                    Promise.resolve(files[node.path]) :
+                    Promise.reject(new Error('File does not exist: ' + node.path));
+            },
+            writeTextFile(node, data) { files[node.path] = data; return Promise.resolve(); }
+        };
+
+        return Promise.resolve()
+            .then(() => fn(makeNode('/downloads')))
+            .finally(() => { globalThis.afio = originalAfio; });
+    }
+
+    function createPlayer(folder) {
+        if (typeof MacroPlayer === 'undefined') {
+            throw new Error('MacroPlayer not loaded');
+        }
+        globalThis.badge = globalThis.badge || { set() { }, clearText() { } };
+
+        const player = new MacroPlayer();
+        player.win_id = 'suite-runner-window';
+        player.afioIsInstalled = true;
+        player.defDownloadFolder = folder;
+        player.macrosFolder = globalThis.afio.openNode('/macros');
+        player.currentMacro = 'Suite.iim';
+        player.currentURL = 'https://example.com/';
+        player.delay = 0;
+        player.times = 1;
+        player.currentLoop = 1;
+        player.linenumber_delta = 0;
+        player.errorCode = 1;
+        player.errorMessage = 'OK';
+        player.ignoreErrors = false;
+        player.limits = player.convertLimits({
+            maxVariables: 'unlimited',
+            maxCSVRows: 'unlimited',
+            maxCSVCols: 'unlimited',
+            maxMacroLen: 'unlimited',
+            maxIterations: 'unlimited'
+        });
+        player.profiler = { init() { }, start() { }, end() { }, enabled: false };
+        player.afterEachRun = function () { };
+        // asyncRun() of the test window does not deliver its messages
+        player.next = function (caller) {
+            setTimeout(() => this.playNextAction(caller), 0);
+        };
+        return player;
+    }
+
+    // Replay a macro until it stops, resolves to the player
+    function playMacro(player, source) {
+        return new Promise((resolve) => {
+            player.stop = function () {
+                this.playing = false;
+                resolve(player);
+            };
+            player.source = source;
+            player.actions = [];
+            player.loopStack = [];
+            player.parseMacro();
+            player.action_stack = player.actions.slice().reverse();
+            player.playing = true;
+            player.playNextAction('start');
+        });
+    }
+
+    const tests = [
+        {
+            name: 'RUNSUITE plays each macro of the folder in order and goes on after failures',
+            async run() {
+                const files = {
+                    '/macros/': '',
+                    '/macros/regression/': '',
+                    '/macros/regression/10_checkout.iim': 'SET !VAR1 checkout\nSET out {{!VAR1}}',
+                    '/macros/regression/2_cart.iim': 'SET !VAR1 cart\n\nASSERT VAR {{shared}}=login',
+                    '/macros/regression/1_login.iim': 'SET shared login',
+                    '/macros/regression/notes.txt': 'not a macro',
+                    '/macros/regression/old/': ''
+                };
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    const played = [];
+                    const originalEnter = player.enterSubMacro;
+                    player.enterSubMacro = function (macro, params) {
+                        played.push(macro.name + ':' + (this.getUserVar('shared') || '-'));
+                        return originalEnter.call(this, macro, params);
+                    };
+                    await playMacro(player, 'SET before 1\nRUNSUITE FOLDER=regression\nSET after 1');
+
+                    assertEqual(played.join(','), '1_login.iim:-,2_cart.iim:-,10_checkout.iim:-',
+                        'Name order, clean variables for each macro');
+                    assertEqual(player.errorCode, -792, 'Failed macros fail RUNSUITE');
+                    assertTrue(/RUNSUITE 1 of 3 macros failed, see \/downloads\/SuiteReport_regression\.html/.test(player.errorMessage),
+                        'Error message points to the summary');
+                    assertTrue(/line: 2$/.test(player.errorMessage), 'Error at the RUNSUITE line');
+                    assertEqual(player.callStack.length, 0, 'Sub-macro frames left');
+
+                    const summary = JSON.parse(files['/downloads/SuiteReport_regression.json']);
+                    assertEqual(summary.total, 3, 'Total');
+                    assertEqual(summary.passed, 2, 'Passed');
+                    assertEqual(summary.failed, 1, 'Failed');
+                    assertEqual(summary.macros[1].status, 'failed', 'Failed macro');
+                    assertEqual(summary.macros[1].line, '3', 'Error line of the macro');
+                    assertEqual(summary.macros[1].errorCode, -791, 'Error code');
+                    assertTrue(/ASSERT VAR \{\{shared\}\}=login failed/.test(summary.macros[1].error), 'Error message');
+                    assertEqual(summary.macros[2].status, 'passed', 'Next macro played');
+                    assertTrue(files['/downloads/SuiteReport_regression.html'].includes('<td>2_cart.iim</td>'),
+                        'HTML summary');
+                });
+            }
+        },
+        {
+            name: 'RUNSUITE continues the macro when every macro passes',
+            async run() {
+                const files = {
+                    '/suites/smoke/': '',
+                    '/suites/smoke/a.iim': 'SET x 1',
+                    '/suites/smoke/b.iim': 'SET !ERRORIGNORE YES\nSET y {{x}}'
+                };
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await playMacro(player, 'RUNSUITE FOLDER=/suites/smoke REPORT=smoke_result\nSET after done');
+                    assertEqual(player.errorCode, 1, 'No error');
+                    assertEqual(player.getUserVar('after'), 'done', 'Commands after RUNSUITE played');
+                    assertEqual(player.ignoreErrors, false, '!ERRORIGNORE of a macro does not leak');
+                    const summary = JSON.parse(files['/downloads/smoke_result.json']);
+                    assertEqual(summary.passed, 2, 'Both passed');
+                    assertEqual(summary.folder, '/suites/smoke', 'Folder');
+                });
+            }
+        },
+        {
+            name: 'RUNSUITE reports macros that can not be parsed',
+            async run() {
+                const files = {
+                    '/macros/': '',
+                    '/macros/broken/': '',
+                    '/macros/broken/a.iim': 'NOSUCHCOMMAND x',
+                    '/macros/broken/b.iim': 'SET x 1'
+                };
+                await withFakeFiles(files, async (folder) => {
+                    const player = createPlayer(folder);
+                    await playMacro(player, 'RUNSUITE FOLDER=broken');
+                    const summary = JSON.parse(files['/downloads/SuiteReport_broken.json']);
+                    assertEqual(summary.macros[0].status, 'failed', 'Syntax error fails the macro');
+                    assertTrue(/unknown command/i.test(summary.macros[0].error), 'Syntax error reported');
+                    assertEqual(summary.macros[1].status, 'passed', 'Next macro played');
+                });
+            }
+        },
+        {
+            name: 'RUNSUITE fails for missing and empty folders',
+            async run() {
+                const files = { '/macros/': '', '/macros/empty/': '' };
+                await withFakeFiles(files, async (folder) => {
+                    let player = createPlayer(folder);
+                    await playMacro(player, 'RUNSUITE FOLDER=missing');
+                    assertTrue(/Folder \/macros\/missing not found/.test(player.errorMessage), 'Missing folder');
+                    player = createPlayer(folder);
+                    await playMacro(player, 'RUNSUITE FOLDER=empty');
+                    assertTrue(/has no macros/.test(player.errorMessage), 'Empty folder');
+                    assertEqual(Object.keys(files).length, 2, 'No summary written');
+                });
+            }
+        },
+        {
+            name: 'SuiteReport lists macros that were not played',
+            async run() {
+                const summary = {
+                    suite: 'nightly <1>',
+                    folder: '/macros/nightly',
+                    started: '2026-10-19T10:00:00.000Z',
+                    duration: 1.5,
+                    macros: [
+                        { name: 'a.iim', path: '/a', status: 'failed', duration: 1.25, errorCode: -721, error: 'RuntimeError: <input> not found', line: '4' },
+                        { name: 'b.iim', path: '/b', status: 'skipped', duration: 0, errorCode: 0, error: '', line: '' }
+                    ]
+                };
+                const json = JSON.parse(SuiteReport.toJSON(summary));
+                assertEqual([json.total, json.passed, json.failed, json.skipped].join(','), '2,0,1,1', 'Counts');
+                const html = SuiteReport.toHTML(summary);
+                assertTrue(html.includes('<title>nightly &lt;1&gt;</title>'), 'Escaped title');
+                assertTrue(html.includes('<td>RuntimeError: &lt;input&gt; not found</td>'), 'Escaped error');
+                assertTrue(html.includes('1 not played'), 'Not played macros');
+                assertTrue(html.includes('<tr class="failed"><td>a.iim</td><td>failed</td><td>1.250</td><td>4</td>'),
+                    'Row with duration and line');
+            }
+        }
+    ];
+
+    const SuiteRunnerTestSuite = {
+        async run() {
+            resetResults();
+            log('='.repeat(80));
+            log('Suite Runner Test Suite');
+            log('='.repeat(80));
+
+            for (const test of tests) {
+                if (test.skip) {
+                    log(`[SKIP] ${test.name}`);
+                    results.skipped++;
+                    continue;
+                }
+                try {
+                    await test.run();
+                    log(`[PASS] ${test.name}`);
+                    results.passed++;
+                } catch (err) {
+                    log(`[FAIL] ${test.name}: ${err.message}`);
+                    if (err && err.stack) {
+                        log(err.stack);
+                    }
+                    results.failed++;
+                    errors.push({ name: test.name, error: err.message, stack: err.stack });
+                }
+            }
+
+            return { results, errors };
+        }
+    };
+
+    if (typeof window !== 'undefined') {
+        window.SuiteRunnerTestSuite = SuiteRunnerTestSuite;
+    } else if (typeof global !== 'undefined') {
+        global.SuiteRunnerTestSuite = SuiteRunnerTestSuite;
+    }
+})();
@@ -1123,6 +1123,15 @@ function FreewareLimit(msg) {
 
 FreewareLimit.prototype = Error.prototype;
 
+// ASSERT command failures
+function AssertionFailed(msg) {
+    this.message = msg;
+    this.errnum = 791;
+    this.name = "AssertionFailed";
+}
+
+AssertionFailed.prototype = Error.prototype;
+
 SyntaxError.prototype.
     __defineGetter__("errnum", function () { return 710; });
 
@@ -144,6 +144,50 @@ VariableManager.prototype.resetLocalContext = function () {
     };
 };
 
+/**
+ * Bind named parameters (RUN ... ARGS=) to the local context.
+ * Parameters shadow user variables of the same name until the local
+ * context is restored.
+ * @param {Object} params - Parameter values keyed by name
+ */
+VariableManager.prototype.setParams = function (params) {
+    this.localContext.PARAMS = {};
+    for (let key in params) {
+        this.localContext.PARAMS[key.toLowerCase()] = params[key];
+    }
+};
+
+/**
+ * Check if a named parameter is bound in the local context
+ * @param {string} name - Parameter name (case insensitive)
+ * @returns {boolean} True if the parameter is bound
+ */
+VariableManager.prototype.hasParam = function (name) {
+    const params = this.localContext.PARAMS;
+    return !!params && Object.prototype.hasOwnProperty.call(params, name.toLowerCase());
+};
+
+/**
+ * Get a named parameter value
+ * @param {string} name - Parameter name (case insensitive)
+ * @returns {*} Parameter value or empty string if not bound
+ */
+VariableManager.prototype.getParam = function (name) {
+    return this.hasParam(name) ? this.localContext.PARAMS[name.toLowerCase()] : '';
+};
+
+/**
+ * Set a bound named parameter value
+ * @param {string} name - Parameter name (case insensitive)
+ * @param {*} value - Parameter value
+ */
+VariableManager.prototype.setParam = function (name, value) {
+    if (!this.localContext.PARAMS) {
+        this.localContext.PARAMS = {};
+    }
+    this.localContext.PARAMS[name.toLowerCase()] = value;
+};
+
 /**
  * Clear all global variables (reset to initial state)
  */